@@ -0,0 +1,165 @@
+const { DEFAULT_CHANNELS } = require('./metrics');
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const MAX_BUCKETS = 5000;
+
+/** "15m" -> 900000. Returns null for anything that is not <n><s|m|h|d>. */
+function parseBucket(bucket) {
+  const match = /^(\d+)([smhd])$/.exec(bucket || '');
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/** "avg,min,max,p95" -> ['avg', 'min', 'max', 'p95'], or null if any is unknown. */
+function parseAggregates(agg) {
+  const list = (agg || 'avg').split(',').map(s => s.trim()).filter(Boolean);
+  const valid = list.every(a => ['avg', 'min', 'max', 'sum', 'count'].includes(a) || /^p([1-9]\d?)$/.test(a));
+  return valid && list.length > 0 ? list : null;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function summarize(values, aggregates) {
+  const result = {};
+  if (values.length === 0) {
+    aggregates.forEach(a => {
+      result[a] = a === 'count' ? 0 : null;
+    });
+    return result;
+  }
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const sum = values.reduce((s, v) => s + v, 0);
+  aggregates.forEach(a => {
+    if (a === 'avg') result.avg = round(sum / values.length);
+    else if (a === 'min') result.min = sorted[0];
+    else if (a === 'max') result.max = sorted[sorted.length - 1];
+    else if (a === 'sum') result.sum = round(sum);
+    else if (a === 'count') result.count = values.length;
+    else result[a] = round(percentile(sorted, Number(a.slice(1))));
+  });
+  return result;
+}
+
+/**
+ * Groups readings (oldest first) into fixed buckets aligned to the epoch and
+ * summarises each of `metrics` (channel keys) per bucket. Empty buckets are
+ * left out.
+ */
+function downsample(vitals, bucketMs, aggregates, metrics = DEFAULT_CHANNELS.map(c => c.key)) {
+  const buckets = new Map();
+  vitals.forEach(v => {
+    const start = Math.floor(new Date(v.timestamp).getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, { count: 0, values: Object.fromEntries(metrics.map(m => [m, []])) });
+    }
+    const bucket = buckets.get(start);
+    bucket.count += 1;
+    metrics.forEach(m => {
+      if (typeof v[m] === 'number') bucket.values[m].push(v[m]);
+    });
+  });
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, bucket]) => {
+      const point = { timestamp: new Date(start).toISOString(), count: bucket.count };
+      metrics.forEach(m => {
+        point[m] = summarize(bucket.values[m], aggregates);
+      });
+      return point;
+    });
+}
+
+// Rollups keep count, min, max and sum per channel rather than the finished
+// aggregates, so buckets of different sources and sizes merge exactly.
+// Percentiles can't be rebuilt from them.
+
+function mergeStats(a, b) {
+  if (!a) return { ...b };
+  if (!b) return { ...a };
+  return { count: a.count + b.count, min: Math.min(a.min, b.min), max: Math.max(a.max, b.max), sum: a.sum + b.sum };
+}
+
+/** Merges rollups (or the `count` and `stats` of them) of the same bucket. */
+function mergeRollups(a, b) {
+  const stats = { ...a.stats };
+  Object.keys(b.stats).forEach(key => {
+    stats[key] = mergeStats(stats[key], b.stats[key]);
+  });
+  return { ...a, count: a.count + b.count, stats };
+}
+
+/**
+ * Readings (oldest first) as `{ timestamp, count, stats: { key: { count, min, max, sum } } }`
+ * per epoch-aligned bucket. Channels without values in a bucket are left out of its stats.
+ */
+function rollUp(vitals, bucketMs, metrics = DEFAULT_CHANNELS.map(c => c.key)) {
+  const buckets = new Map();
+  vitals.forEach(v => {
+    const start = Math.floor(new Date(v.timestamp).getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, { timestamp: new Date(start).toISOString(), count: 0, stats: {} });
+    const bucket = buckets.get(start);
+    bucket.count += 1;
+    metrics.forEach(m => {
+      if (typeof v[m] !== 'number') return;
+      bucket.stats[m] = mergeStats(bucket.stats[m], { count: 1, min: v[m], max: v[m], sum: v[m] });
+    });
+  });
+  return Array.from(buckets.values()).sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+}
+
+/** Re-buckets rollups and summarises them like `downsample`; percentiles come back null. */
+function downsampleRollups(rollups, bucketMs, aggregates, metrics = DEFAULT_CHANNELS.map(c => c.key)) {
+  const buckets = new Map();
+  rollups.forEach(r => {
+    const start = Math.floor(new Date(r.timestamp).getTime() / bucketMs) * bucketMs;
+    const bucket = buckets.get(start);
+    buckets.set(start, bucket ? mergeRollups(bucket, r) : { count: r.count, stats: r.stats });
+  });
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, bucket]) => {
+      const point = { timestamp: new Date(start).toISOString(), count: bucket.count };
+      metrics.forEach(m => {
+        const stats = bucket.stats[m];
+        point[m] = {};
+        aggregates.forEach(a => {
+          if (a === 'count') point[m].count = stats ? stats.count : 0;
+          else if (!stats) point[m][a] = null;
+          else if (a === 'avg') point[m].avg = round(stats.sum / stats.count);
+          else if (a === 'min' || a === 'max') point[m][a] = stats[a];
+          else if (a === 'sum') point[m].sum = round(stats.sum);
+          else point[m][a] = null;
+        });
+      });
+      return point;
+    });
+}
+
+module.exports = {
+  MAX_BUCKETS,
+  parseBucket,
+  parseAggregates,
+  downsample,
+  mergeRollups,
+  rollUp,
+  downsampleRollups
+};
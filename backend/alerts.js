@@ -0,0 +1,217 @@
+const express = require('express');
+const { validate, sendValidationErrors } = require('./validation');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+function createAlertService({ store, generateId, notify, publish = () => {} }) {
+  // `key` tells apart alerts of one type on one machine, e.g. the channel of a threshold alert.
+  function findActive(machineId, type, key = null) {
+    return store.list('alerts').find(a => a.machineId === machineId
+      && a.type === type
+      && (a.key || null) === key
+      && a.status !== 'resolved');
+  }
+
+  /**
+   * Records an alert. While an alert of the same type (and key) is still
+   * unresolved for the machine, new occurrences are folded into it instead of
+   * opening a new record, so one sustained problem shows up once in the inbox.
+   */
+  function raise({ type, key = null, severity, machine, reading, reasons, subject }) {
+    const now = new Date().toISOString();
+    const existing = findActive(machine.id, type, key);
+
+    if (existing) {
+      existing.occurrences += 1;
+      existing.lastOccurredAt = now;
+      existing.reading = reading || existing.reading;
+      existing.reasons = reasons;
+      existing.subject = subject;
+      if (severityRank(severity) > severityRank(existing.severity)) {
+        existing.severity = severity;
+      }
+      store.update('alerts', existing);
+      publish('alert', { alert: existing, machineId: existing.machineId });
+      return { alert: existing, created: false };
+    }
+
+    const alert = {
+      id: generateId(),
+      type,
+      key,
+      severity,
+      machineId: machine.id,
+      machineName: machine.name,
+      subject,
+      reasons,
+      reading: reading || null,
+      status: 'open',
+      occurrences: 1,
+      createdAt: now,
+      lastOccurredAt: now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      escalatedAt: null,
+      notes: []
+    };
+    store.insert('alerts', alert);
+    publish('alert', { alert, machineId: alert.machineId });
+    return { alert, created: true };
+  }
+
+  function addNote(alert, by, note, at) {
+    if (note) alert.notes.push({ by, note, at });
+  }
+
+  function acknowledge(alert, by, note) {
+    const now = new Date().toISOString();
+    if (alert.status === 'open') {
+      alert.status = 'acknowledged';
+      alert.acknowledgedAt = now;
+      alert.acknowledgedBy = by;
+    }
+    addNote(alert, by, note, now);
+    store.update('alerts', alert);
+    publish('alert', { alert, machineId: alert.machineId });
+    return alert;
+  }
+
+  function resolve(alert, by, note) {
+    const now = new Date().toISOString();
+    if (alert.status !== 'resolved') {
+      alert.status = 'resolved';
+      alert.resolvedAt = now;
+      alert.resolvedBy = by;
+    }
+    addNote(alert, by, note, now);
+    store.update('alerts', alert);
+    publish('alert', { alert, machineId: alert.machineId });
+    return alert;
+  }
+
+  // `key` (when given) narrows it to one channel's or component's alerts.
+  function resolveForMachine(machineId, type, by, note, key) {
+    store.list('alerts')
+      .filter(a => a.machineId === machineId && a.status !== 'resolved' && (!type || a.type === type))
+      .filter(a => key === undefined || (a.key || null) === key)
+      .forEach(a => resolve(a, by, note));
+  }
+
+  /**
+   * Sends critical alerts that nobody acknowledged within
+   * ALERT_ESCALATION_DELAY_MINUTES to ALERT_ESCALATION_EMAIL_TO, once each.
+   * Chat and webhook channels are notified again as well.
+   */
+  function checkEscalations(now = new Date()) {
+    const to = process.env.ALERT_ESCALATION_EMAIL_TO;
+    const delayMinutes = parseInt(process.env.ALERT_ESCALATION_DELAY_MINUTES || '15', 10);
+    if (!to) return;
+
+    const due = store.list('alerts').filter(a => a.status === 'open'
+      && a.severity === 'critical'
+      && !a.escalatedAt
+      && (now - new Date(a.createdAt)) / (1000 * 60) >= delayMinutes);
+
+    for (const alert of due) {
+      const subject = `🚨 ESCALATED: ${alert.subject}`;
+      const text = `This critical alert has not been acknowledged for ${delayMinutes} minutes.
+
+Machine: ${alert.machineName}
+Raised: ${alert.createdAt}
+Occurrences: ${alert.occurrences}
+
+Reasons:
+- ${alert.reasons.join('\n- ')}
+`;
+      alert.escalatedAt = now.toISOString();
+      store.update('alerts', alert);
+      publish('alert', { alert, machineId: alert.machineId });
+      const machine = store.get('machines', alert.machineId);
+      notify({ subject, text, severity: alert.severity, machine, alert, recipients: to });
+    }
+  }
+
+  return { raise, findActive, acknowledge, resolve, resolveForMachine, checkEscalations };
+}
+
+// Signed-in users act under their own name; `by` is only a fallback.
+function actor(req) {
+  return (req.user && req.user.username) || req.body.by || 'unknown';
+}
+
+const alertQuerySchema = {
+  limit: { type: 'number', integer: true, min: 1, max: 1000, default: 100 },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' }
+};
+
+function createAlertsRouter({ store, alertService }) {
+  const router = express.Router();
+
+  function findAlert(req, res) {
+    const alert = store.get('alerts', req.params.alertId);
+    if (!alert) {
+      res.status(404).json({ message: 'Alert not found' });
+      return null;
+    }
+    return alert;
+  }
+
+  router.get('/', (req, res) => {
+    const { value: query, errors } = validate(alertQuerySchema, req.query, { allowUnknown: true });
+    if (errors) return sendValidationErrors(res, errors);
+    const { limit, from, to } = query;
+    const { status, severity, type, machineId } = req.query;
+    const statuses = status ? status.split(',') : null;
+
+    const alerts = store.list('alerts')
+      .filter(a => !statuses || statuses.includes(a.status))
+      .filter(a => !severity || a.severity === severity)
+      .filter(a => !type || a.type === type)
+      .filter(a => !machineId || a.machineId === machineId)
+      .filter(a => !from || new Date(a.createdAt) >= from)
+      .filter(a => !to || new Date(a.createdAt) <= to)
+      .sort((a, b) => new Date(b.lastOccurredAt) - new Date(a.lastOccurredAt))
+      .slice(0, limit);
+    res.json(alerts);
+  });
+
+  router.get('/:alertId', (req, res) => {
+    const alert = findAlert(req, res);
+    if (!alert) return;
+    res.json(alert);
+  });
+
+  router.post('/:alertId/ack', (req, res) => {
+    const alert = findAlert(req, res);
+    if (!alert) return;
+    if (alert.status === 'resolved') {
+      return res.status(409).json({ message: 'Alert is already resolved' });
+    }
+    alertService.acknowledge(alert, actor(req), req.body.note);
+    res.json(alert);
+  });
+
+  router.post('/:alertId/resolve', (req, res) => {
+    const alert = findAlert(req, res);
+    if (!alert) return;
+    alertService.resolve(alert, actor(req), req.body.note);
+    res.json(alert);
+  });
+
+  return router;
+}
+
+module.exports = {
+  SEVERITIES,
+  STATUSES,
+  createAlertService,
+  createAlertsRouter
+};
@@ -0,0 +1,212 @@
+const { DEFAULT_CHANNELS, channelsFor, formatValue } = require('./metrics');
+
+const DETECTOR_DEFAULTS = {
+  zscore: { window: 30, threshold: 3, minSamples: 10 },
+  ewma: { alpha: 0.2, threshold: 3, minSamples: 10 },
+  rateOfChange: { window: 30, threshold: 4, minSamples: 10 }
+};
+
+function defaultAnomalyConfig(enabled = true, keys = DEFAULT_CHANNELS.map(c => c.key)) {
+  return {
+    enabled,
+    metrics: keys.reduce((acc, key) => {
+      acc[key] = Object.keys(DETECTOR_DEFAULTS);
+      return acc;
+    }, {}),
+    options: {}
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values, avg = mean(values)) {
+  if (values.length < 2) return 0;
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Each detector scores the new value against the baseline *before* it is
+// folded in, so a spike cannot dilute its own score.
+const detectors = {
+  zscore(baseline, value, opts) {
+    const window = baseline.values;
+    if (window.length < opts.minSamples) return null;
+    const avg = mean(window);
+    const sd = stdDev(window, avg);
+    if (sd === 0) return null;
+    const score = Math.abs(value - avg) / sd;
+    return {
+      score,
+      fired: score > opts.threshold,
+      detail: `rolling mean ${round(avg)}, std ${round(sd)}`
+    };
+  },
+
+  ewma(baseline, value, opts) {
+    if (baseline.count < opts.minSamples || baseline.ewmaVar <= 0) return null;
+    const sd = Math.sqrt(baseline.ewmaVar);
+    const score = Math.abs(value - baseline.ewmaMean) / sd;
+    return {
+      score,
+      fired: score > opts.threshold,
+      detail: `EWMA ${round(baseline.ewmaMean)}, std ${round(sd)}`
+    };
+  },
+
+  rateOfChange(baseline, value, opts, timestamp) {
+    if (baseline.lastValue === null || baseline.rates.length < opts.minSamples) return null;
+    const minutes = Math.max((timestamp - baseline.lastTimestamp) / 60000, 1 / 60);
+    const rate = (value - baseline.lastValue) / minutes;
+    const avg = mean(baseline.rates);
+    const sd = stdDev(baseline.rates, avg);
+    if (sd === 0) return null;
+    const score = Math.abs(rate - avg) / sd;
+    return {
+      score,
+      fired: score > opts.threshold,
+      detail: `rate ${round(rate)}/min vs typical ${round(avg)}±${round(sd)}/min`
+    };
+  }
+};
+
+function createBaseline() {
+  return {
+    values: [],
+    rates: [],
+    count: 0,
+    ewmaMean: 0,
+    ewmaVar: 0,
+    lastValue: null,
+    lastTimestamp: null
+  };
+}
+
+function updateBaseline(baseline, value, timestamp, options) {
+  const window = options.zscore.window;
+  const rateWindow = options.rateOfChange.window;
+  const alpha = options.ewma.alpha;
+
+  if (baseline.lastValue !== null) {
+    const minutes = Math.max((timestamp - baseline.lastTimestamp) / 60000, 1 / 60);
+    baseline.rates.push((value - baseline.lastValue) / minutes);
+    if (baseline.rates.length > rateWindow) baseline.rates.shift();
+  }
+
+  baseline.values.push(value);
+  if (baseline.values.length > window) baseline.values.shift();
+
+  if (baseline.count === 0) {
+    baseline.ewmaMean = value;
+    baseline.ewmaVar = 0;
+  } else {
+    const diff = value - baseline.ewmaMean;
+    const incr = alpha * diff;
+    baseline.ewmaMean += incr;
+    baseline.ewmaVar = (1 - alpha) * (baseline.ewmaVar + diff * incr);
+  }
+
+  baseline.count += 1;
+  baseline.lastValue = value;
+  baseline.lastTimestamp = timestamp;
+}
+
+function resolveOptions(config) {
+  const overrides = (config && config.options) || {};
+  return Object.keys(DETECTOR_DEFAULTS).reduce((acc, name) => {
+    acc[name] = { ...DETECTOR_DEFAULTS[name], ...(overrides[name] || {}) };
+    return acc;
+  }, {});
+}
+
+function createAnomalyEngine() {
+  // machineId -> metric -> baseline
+  const baselines = new Map();
+
+  function baselinesFor(machineId, keys, options, loadHistory) {
+    let perMachine = baselines.get(machineId);
+    if (perMachine) {
+      // Channels added since the baselines were seeded start out empty.
+      keys.forEach(metric => {
+        if (!perMachine[metric]) perMachine[metric] = createBaseline();
+      });
+      return perMachine;
+    }
+
+    perMachine = {};
+    keys.forEach(metric => {
+      perMachine[metric] = createBaseline();
+    });
+    (loadHistory ? loadHistory() : []).forEach(v => {
+      const ts = new Date(v.timestamp).getTime();
+      keys.forEach(metric => {
+        if (typeof v[metric] === 'number') {
+          updateBaseline(perMachine[metric], v[metric], ts, options);
+        }
+      });
+    });
+    baselines.set(machineId, perMachine);
+    return perMachine;
+  }
+
+  /**
+   * Scores a reading against the machine's rolling baselines and then folds
+   * it into them. `loadHistory` returns the machine's earlier readings (oldest
+   * first) and is only called to seed the baselines the first time a machine
+   * is seen.
+   */
+  function evaluate(machine, vital, loadHistory) {
+    const config = machine.anomalyDetection;
+    const options = resolveOptions(config);
+    const channels = channelsFor(machine);
+    const perMachine = baselinesFor(machine.id, channels.map(c => c.key), options, loadHistory);
+    const timestamp = new Date(vital.timestamp).getTime();
+    const anomalies = [];
+
+    channels.forEach(channel => {
+      const metric = channel.key;
+      const value = vital[metric];
+      if (typeof value !== 'number') return;
+
+      const baseline = perMachine[metric];
+      const enabled = config && config.enabled ? config.metrics?.[metric] || [] : [];
+
+      enabled.forEach(name => {
+        const detector = detectors[name];
+        if (!detector) return;
+        const result = detector(baseline, value, options[name], timestamp);
+        if (result && result.fired) {
+          anomalies.push({
+            metric,
+            detector: name,
+            score: round(result.score),
+            threshold: options[name].threshold,
+            message: `${channel.name} ${formatValue(channel, value)} anomalous (${name} score ${round(result.score)} > ${options[name].threshold}; ${result.detail})`
+          });
+        }
+      });
+
+      updateBaseline(baseline, value, timestamp, options);
+    });
+
+    return anomalies;
+  }
+
+  function reset(machineId) {
+    baselines.delete(machineId);
+  }
+
+  return { evaluate, reset };
+}
+
+module.exports = {
+  DETECTOR_DEFAULTS,
+  defaultAnomalyConfig,
+  createAnomalyEngine
+};
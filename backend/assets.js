@@ -0,0 +1,421 @@
+const express = require('express');
+const { maintenanceState } = require('./fleet');
+const { channelsFor } = require('./metrics');
+const { validate, sendValidationErrors, sendError } = require('./validation');
+
+// Where machines sit and what they are made of:
+//   site        { id, name, code, createdAt }
+//   area        { id, siteId, name, kind: 'area' | 'line', code, createdAt }
+//   machine     `areaId` points at its area or line (null while unassigned)
+//   component   { id, name, kind, nextMaintenanceDate }, kept in the
+//               machine's `components`; a channel's `componentId` says which
+//               component the sensor sits on, so its limits are the
+//               component's thresholds. Components are reminded of and
+//               rescheduled like machines, by work orders naming them
+//               (`lastMaintenanceAt` and `lastMaintenanceReminderSent` are
+//               the server's bookkeeping).
+// Readings stay per machine: devices keep posting under the machine's code.
+//
+// Health is worked out per node and rolled up the tree, the worst status
+// winning:
+//   critical  a sensor in alarm or maintenance overdue
+//   warning   a sensor warning, maintenance due within 3 days or the machine offline
+//   ok        none of that
+//   empty     a site or area without machines
+
+const AREA_KINDS = ['area', 'line'];
+const COMPONENT_KINDS = ['spindle', 'pump', 'motor', 'gearbox', 'bearing', 'fan', 'compressor', 'valve', 'other'];
+const STATUS_RANK = { empty: 0, ok: 1, warning: 2, critical: 3 };
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/** Another machine already using `code` (ignoring case), or null. Empty codes never clash. */
+function machineWithCode(store, code, exceptId = null) {
+  if (!code) return null;
+  return store.list('machines').find(m => m.id !== exceptId && sameText(m.code, code)) || null;
+}
+
+/** Groups of machines sharing a code in different cases, saved before codes had to be unique. */
+function duplicateCodes(store) {
+  const byCode = new Map();
+  store.list('machines').filter(m => m.code).forEach(m => {
+    const key = m.code.trim().toLowerCase();
+    byCode.set(key, [...(byCode.get(key) || []), m]);
+  });
+  return [...byCode.values()].filter(group => group.length > 1);
+}
+
+const componentSchema = {
+  id: { type: 'string', maxLength: 40 },
+  name: { type: 'string', required: true, maxLength: 120 },
+  kind: { type: 'enum', values: COMPONENT_KINDS, default: 'other' },
+  nextMaintenanceDate: { type: 'date', nullable: true, default: null }
+};
+
+/**
+ * Checks a component list sent by a client against the machine's `existing`
+ * components. Those keep their ids; new ones get a fresh id even if the
+ * client sent one, and `renamed` maps the id it sent to the new one so
+ * channels can refer to a component added in the same request. Returns
+ * `{ components, renamed }` or `{ errors }`; kept components keep their
+ * maintenance bookkeeping.
+ */
+function normalizeComponents(input, generateId, existing = [], path = 'components') {
+  const errors = [];
+  const known = new Set(existing.map(c => c.id));
+  const renamed = {};
+  const components = [];
+  input.forEach((raw, i) => {
+    const { value, errors: fieldErrors } = validate(componentSchema, raw);
+    if (fieldErrors) {
+      errors.push(...fieldErrors.map(e => ({ field: `${path}.${i}${e.field ? `.${e.field}` : ''}`, message: e.message })));
+      return;
+    }
+    if (components.some(c => sameText(c.name, value.name))) {
+      errors.push({ field: `${path}.${i}.name`, message: `${value.name} is listed twice` });
+      return;
+    }
+    let id = value.id;
+    if (!id || !known.has(id) || components.some(c => c.id === id)) {
+      id = generateId();
+      if (value.id) renamed[value.id] = id;
+    }
+    const previous = existing.find(c => c.id === id) || {};
+    components.push({
+      ...value,
+      id,
+      ...(previous.lastMaintenanceAt ? { lastMaintenanceAt: previous.lastMaintenanceAt } : {}),
+      ...(previous.lastMaintenanceReminderSent ? { lastMaintenanceReminderSent: previous.lastMaintenanceReminderSent } : {})
+    });
+  });
+  return errors.length > 0 ? { errors } : { components, renamed };
+}
+
+/**
+ * Checks that the machine's channels only point at its own components,
+ * following ids in `renamed`. With `strict` a bad reference is an error on
+ * `channels.<i>.componentId`; otherwise (components edited, channels left
+ * alone) it is dropped.
+ */
+function linkChannels(machine, { strict, renamed = {} }) {
+  const ids = new Set((machine.components || []).map(c => c.id));
+  const errors = [];
+  const channels = channelsFor(machine).map((channel, i) => {
+    if (!channel.componentId) return channel;
+    const componentId = renamed[channel.componentId] || channel.componentId;
+    if (ids.has(componentId)) return { ...channel, componentId };
+    if (strict) errors.push({ field: `channels.${i}.componentId`, message: 'is not a component of this machine' });
+    const { componentId: dropped, ...rest } = channel;
+    return rest;
+  });
+  if (errors.length > 0) return { errors };
+  if (Array.isArray(machine.channels)) machine.channels = channels;
+  return { machine };
+}
+
+function worst(statuses) {
+  return statuses.reduce((a, b) => (STATUS_RANK[b] > STATUS_RANK[a] ? b : a), 'empty');
+}
+
+function statusOf({ sensor, maintenance, connectivity }) {
+  if (sensor === 'alarm' || maintenance === 'overdue') return 'critical';
+  if (sensor === 'warning' || maintenance === 'due-soon' || connectivity === 'offline') return 'warning';
+  return 'ok';
+}
+
+function sensorStateOf(alerts) {
+  if (alerts.some(a => a.severity === 'critical')) return 'alarm';
+  if (alerts.some(a => a.severity === 'warning')) return 'warning';
+  return 'ok';
+}
+
+// Threshold alerts are keyed by channel, sensor alerts by `<check>:<channel>`.
+function alertChannel(alert) {
+  return alert.key ? alert.key.split(':').pop() : null;
+}
+
+function emptyCounts() {
+  return { machines: 0, critical: 0, warning: 0, overdue: 0, offline: 0, openAlerts: 0 };
+}
+
+function addCounts(total, counts) {
+  Object.keys(total).forEach(key => {
+    total[key] += counts[key];
+  });
+  return total;
+}
+
+function machineNode(machine, openAlerts, connectivity, now) {
+  const channels = channelsFor(machine);
+  const sensorAlerts = openAlerts.filter(a => a.type !== 'maintenance');
+  const components = (machine.components || []).map(component => {
+    const keys = channels.filter(c => c.componentId === component.id).map(c => c.key);
+    const sensor = sensorStateOf(sensorAlerts.filter(a => keys.includes(alertChannel(a))));
+    const maintenance = maintenanceState(component, now);
+    return {
+      type: 'component',
+      id: component.id,
+      name: component.name,
+      kind: component.kind,
+      nextMaintenanceDate: component.nextMaintenanceDate,
+      channels: keys,
+      sensorState: sensor,
+      maintenanceState: maintenance,
+      status: statusOf({ sensor, maintenance })
+    };
+  });
+
+  const sensor = sensorStateOf(sensorAlerts);
+  const maintenance = maintenanceState(machine, now);
+  const status = worst([statusOf({ sensor, maintenance, connectivity }), ...components.map(c => c.status)]);
+  return {
+    type: 'machine',
+    id: machine.id,
+    name: machine.name,
+    code: machine.code || '',
+    location: machine.location || '',
+    nextMaintenanceDate: machine.nextMaintenanceDate || null,
+    sensorState: sensor,
+    maintenanceState: maintenance,
+    connectivity,
+    status,
+    counts: {
+      machines: 1,
+      critical: status === 'critical' ? 1 : 0,
+      warning: status === 'warning' ? 1 : 0,
+      overdue: maintenance === 'overdue' || components.some(c => c.maintenanceState === 'overdue') ? 1 : 0,
+      offline: connectivity === 'offline' ? 1 : 0,
+      openAlerts: openAlerts.length
+    },
+    children: components
+  };
+}
+
+function groupNode(type, doc, children, extra = {}) {
+  return {
+    type,
+    id: doc.id,
+    name: doc.name,
+    code: doc.code || '',
+    ...extra,
+    status: worst(children.map(c => c.status)),
+    counts: children.reduce((total, c) => addCounts(total, c.counts), emptyCounts()),
+    children
+  };
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * The whole hierarchy with rolled-up health: sites, their areas and lines,
+ * their machines and those machines' components. Machines without a (known)
+ * area are listed under `unassigned`.
+ */
+function buildTree(store, watchdog, now = new Date()) {
+  const openAlerts = store.list('alerts').filter(a => a.status !== 'resolved');
+  const areas = store.list('areas');
+  const areaIds = new Set(areas.map(a => a.id));
+  const machines = store.list('machines').sort(byName).map(machine => ({
+    areaId: areaIds.has(machine.areaId) ? machine.areaId : null,
+    node: machineNode(
+      machine,
+      openAlerts.filter(a => a.machineId === machine.id),
+      watchdog.connectivity(machine, now.getTime()).state,
+      now
+    )
+  }));
+  const machinesIn = areaId => machines.filter(m => m.areaId === areaId).map(m => m.node);
+
+  const sites = store.list('sites').sort(byName).map(site => groupNode(
+    'site',
+    site,
+    areas.filter(a => a.siteId === site.id).sort(byName).map(area => groupNode('area', area, machinesIn(area.id), { kind: area.kind }))
+  ));
+  const unassigned = machinesIn(null);
+  const all = [...sites, ...unassigned];
+  return {
+    generatedAt: now.toISOString(),
+    status: worst(all.map(n => n.status)),
+    counts: all.reduce((total, n) => addCounts(total, n.counts), emptyCounts()),
+    sites,
+    unassigned
+  };
+}
+
+/** The node of `type` and `id` in `tree` and the nodes above it, or null. */
+function findNode(tree, type, id) {
+  const search = (nodes, path) => {
+    for (const node of nodes) {
+      if (node.type === type && node.id === id) return { path, node };
+      const found = search(node.children || [], [...path, { type: node.type, id: node.id, name: node.name }]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return search([...tree.sites, ...tree.unassigned], []);
+}
+
+const siteSchema = {
+  name: { type: 'string', required: true, maxLength: 120 },
+  code: { type: 'string', maxLength: 40, default: '' }
+};
+
+const areaSchema = {
+  siteId: { type: 'string', required: true },
+  name: { type: 'string', required: true, maxLength: 120 },
+  kind: { type: 'enum', values: AREA_KINDS, default: 'area' },
+  code: { type: 'string', maxLength: 40, default: '' }
+};
+
+const importSchema = {
+  siteId: { type: 'string', required: true }
+};
+
+/**
+ * Mounted at /api/assets:
+ *   GET    /tree                      the hierarchy with rolled-up health
+ *   GET    /tree/:type/:id            one node (site, area, machine or component) and its path
+ *   GET    /sites, /areas?siteId=     the plain records
+ *   POST   /sites, /areas             create; PUT and DELETE /sites/:id, /areas/:id
+ *   POST   /areas/from-locations      { siteId } files unassigned machines into
+ *                                     areas named after their location
+ * Sites and areas can only be deleted once nothing is left in them.
+ */
+function createAssetsRouter({ store, generateId, watchdog, events, auditLog }) {
+  const router = express.Router();
+
+  function changed() {
+    events.publish('assets.changed', {});
+  }
+
+  // Site names and codes are unique; area names are unique within their site.
+  function clashes(collection, doc, value) {
+    const errors = [];
+    const others = store.list(collection).filter(o => o.id !== (doc && doc.id)
+      && (collection === 'sites' || o.siteId === value.siteId));
+    if (value.name !== undefined && others.some(o => sameText(o.name, value.name))) {
+      errors.push({ field: 'name', message: `is already used${collection === 'areas' ? ' on this site' : ''}` });
+    }
+    if (value.code && others.some(o => sameText(o.code, value.code))) {
+      errors.push({ field: 'code', message: 'is already used' });
+    }
+    return errors;
+  }
+
+  function save(collection, schema, req, res) {
+    const existing = req.params.id ? store.get(collection, req.params.id) : null;
+    if (req.params.id && !existing) {
+      return res.status(404).json({ message: `${collection === 'sites' ? 'Site' : 'Area'} not found` });
+    }
+    const { value, errors } = validate(schema, req.body, { partial: Boolean(existing) });
+    if (errors) return sendValidationErrors(res, errors);
+    const doc = existing
+      ? { ...existing, ...value, id: existing.id }
+      : { id: generateId(), ...value, createdAt: new Date().toISOString() };
+    if (collection === 'areas' && !store.get('sites', doc.siteId)) {
+      return sendValidationErrors(res, [{ field: 'siteId', message: 'is not a site' }]);
+    }
+    const clash = clashes(collection, existing, { ...value, siteId: doc.siteId });
+    if (clash.length > 0) return sendValidationErrors(res, clash);
+
+    if (existing) store.update(collection, doc);
+    else store.insert(collection, doc);
+    changed();
+    res.status(existing ? 200 : 201).json(doc);
+  }
+
+  router.get('/tree', (req, res) => {
+    res.json(buildTree(store, watchdog));
+  });
+
+  router.get('/tree/:type/:id', (req, res) => {
+    const found = findNode(buildTree(store, watchdog), req.params.type, req.params.id);
+    if (!found) return res.status(404).json({ message: `No ${req.params.type} with id ${req.params.id}` });
+    res.json(found);
+  });
+
+  router.get('/sites', (req, res) => {
+    res.json(store.list('sites').sort(byName));
+  });
+
+  router.post('/sites', (req, res) => save('sites', siteSchema, req, res));
+  router.put('/sites/:id', (req, res) => save('sites', siteSchema, req, res));
+
+  router.delete('/sites/:id', (req, res) => {
+    const site = store.get('sites', req.params.id);
+    if (!site) return res.status(404).json({ message: 'Site not found' });
+    const areas = store.list('areas').filter(a => a.siteId === site.id);
+    if (areas.length > 0) {
+      return sendError(res, 409, `${site.name} still has ${areas.length} area(s); delete or move them first`);
+    }
+    store.remove('sites', site.id);
+    changed();
+    res.status(204).end();
+  });
+
+  router.get('/areas', (req, res) => {
+    const areas = store.list('areas').filter(a => !req.query.siteId || a.siteId === req.query.siteId);
+    res.json(areas.sort(byName));
+  });
+
+  router.post('/areas', (req, res) => save('areas', areaSchema, req, res));
+  router.put('/areas/:id', (req, res) => save('areas', areaSchema, req, res));
+
+  router.delete('/areas/:id', (req, res) => {
+    const area = store.get('areas', req.params.id);
+    if (!area) return res.status(404).json({ message: 'Area not found' });
+    const machines = store.list('machines').filter(m => m.areaId === area.id);
+    if (machines.length > 0) {
+      return sendError(res, 409, `${area.name} still has ${machines.length} machine(s); move them first`);
+    }
+    store.remove('areas', area.id);
+    changed();
+    res.status(204).end();
+  });
+
+  // The free-text locations machines had before the hierarchy existed become
+  // areas of one site; names differing only in case share an area.
+  router.post('/areas/from-locations', (req, res) => {
+    const { value, errors } = validate(importSchema, req.body);
+    if (errors) return sendValidationErrors(res, errors);
+    const site = store.get('sites', value.siteId);
+    if (!site) return sendValidationErrors(res, [{ field: 'siteId', message: 'is not a site' }]);
+
+    const areas = store.list('areas');
+    const known = new Set(areas.map(a => a.id));
+    const created = [];
+    const moved = [];
+    store.list('machines')
+      .filter(m => !known.has(m.areaId) && (m.location || '').trim())
+      .forEach(machine => {
+        let area = areas.find(a => a.siteId === site.id && sameText(a.name, machine.location));
+        if (!area) {
+          area = { id: generateId(), siteId: site.id, name: machine.location.trim(), kind: 'area', code: '', createdAt: new Date().toISOString() };
+          store.insert('areas', area);
+          areas.push(area);
+          created.push(area);
+        }
+        const before = { ...machine };
+        machine.areaId = area.id;
+        store.update('machines', machine);
+        auditLog.record({ action: 'updated', before, after: machine, user: req.user });
+        events.publish('machine.updated', { machine });
+        moved.push(machine.id);
+      });
+    if (created.length > 0 || moved.length > 0) changed();
+    res.json({ areasCreated: created, machinesAssigned: moved.length });
+  });
+
+  return router;
+}
+
+module.exports = {
+  AREA_KINDS,
+  COMPONENT_KINDS,
+  machineWithCode,
+  duplicateCodes,
+  normalizeComponents,
+  linkChannels,
+  buildTree,
+  createAssetsRouter
+};
@@ -0,0 +1,143 @@
+const express = require('express');
+const { validate, sendValidationErrors } = require('./validation');
+
+// Who changed what on a machine, and when. Entries are only ever appended:
+//   { id, machineId, machineName, action, actor, at, changes: [{ field, from, to }] }
+// `action` is created, updated, deleted, rules or maintenance. Channel and
+// rule changes are recorded per channel property and per rule, e.g.
+// `channels.temperature.max` or `alertRules.r1`.
+
+// Machine fields worth recording; runtime bookkeeping such as reminder
+// timestamps changes on its own and would drown out the edits.
+const AUDITED_FIELDS = [
+  'name',
+  'code',
+  'location',
+  'areaId',
+  'components',
+  'nextMaintenanceDate',
+  'responsibleEmail',
+  'maintenanceInterval',
+  'reportingIntervalSeconds',
+  'notificationChannels',
+  'anomalyDetection'
+];
+const CHANNEL_FIELDS = ['name', 'unit', 'min', 'max', 'sensorMin', 'sensorMax', 'precision', 'componentId'];
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffChannels(before = [], after = []) {
+  const changes = [];
+  const old = new Map(before.map(c => [c.key, c]));
+  const now = new Map(after.map(c => [c.key, c]));
+  after.forEach(channel => {
+    const previous = old.get(channel.key);
+    if (!previous) {
+      changes.push({ field: `channels.${channel.key}`, from: null, to: channel });
+      return;
+    }
+    CHANNEL_FIELDS.forEach(field => {
+      if (!same(previous[field], channel[field])) {
+        changes.push({ field: `channels.${channel.key}.${field}`, from: previous[field] ?? null, to: channel[field] ?? null });
+      }
+    });
+  });
+  before.filter(c => !now.has(c.key)).forEach(channel => {
+    changes.push({ field: `channels.${channel.key}`, from: channel, to: null });
+  });
+  return changes;
+}
+
+function diffRules(before, after) {
+  if (!Array.isArray(before) || !Array.isArray(after)) {
+    // Switching between custom rules and the channel-limit defaults.
+    return same(before, after) ? [] : [{ field: 'alertRules', from: before ?? null, to: after ?? null }];
+  }
+  const changes = [];
+  const old = new Map(before.map(r => [r.id, r]));
+  after.forEach(rule => {
+    if (!same(old.get(rule.id), rule)) {
+      changes.push({ field: `alertRules.${rule.id}`, from: old.get(rule.id) || null, to: rule });
+    }
+  });
+  const kept = new Set(after.map(r => r.id));
+  before.filter(r => !kept.has(r.id)).forEach(rule => {
+    changes.push({ field: `alertRules.${rule.id}`, from: rule, to: null });
+  });
+  return changes;
+}
+
+/** The audited differences between two versions of a machine (either may be null). */
+function diffMachine(before, after) {
+  const changes = AUDITED_FIELDS
+    .filter(field => !same(before && before[field], after && after[field]))
+    .map(field => ({ field, from: (before && before[field]) ?? null, to: (after && after[field]) ?? null }));
+  return [
+    ...changes,
+    ...diffChannels(before ? before.channels : [], after ? after.channels : []),
+    ...diffRules(before ? before.alertRules : undefined, after ? after.alertRules : undefined)
+  ];
+}
+
+function actorName(user) {
+  return user ? user.username : 'system';
+}
+
+function createAuditLog({ store, generateId }) {
+  /**
+   * Records the change from `before` to `after` by `user` (null for the
+   * system). Nothing is written when no audited field changed.
+   */
+  function record({ action, before = null, after = null, user = null }) {
+    const machine = after || before;
+    const changes = diffMachine(before, after);
+    if (changes.length === 0) return null;
+    const entry = {
+      id: generateId(),
+      machineId: machine.id,
+      machineName: machine.name,
+      action,
+      actor: actorName(user),
+      at: new Date().toISOString(),
+      changes
+    };
+    store.insert('auditLog', entry);
+    return entry;
+  }
+
+  /** A machine's entries, newest first. */
+  function forMachine(machineId, { limit = 100, before } = {}) {
+    return store.list('auditLog')
+      .filter(e => e.machineId === machineId && (!before || e.at < before))
+      .sort((a, b) => (a.at < b.at ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  return { record, forMachine };
+}
+
+const auditQuerySchema = {
+  limit: { type: 'number', integer: true, min: 1, max: 1000, default: 100 },
+  before: { type: 'datetime', check: date => ({ value: date.toISOString() }) }
+};
+
+/** GET /api/machines/:id/audit: the machine's change history. Deleted machines keep theirs. */
+function createAuditRouter({ auditLog }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    const { value, errors } = validate(auditQuerySchema, req.query, { allowUnknown: true });
+    if (errors) return sendValidationErrors(res, errors);
+    res.json(auditLog.forMachine(req.params.id, value));
+  });
+
+  return router;
+}
+
+module.exports = {
+  diffMachine,
+  createAuditLog,
+  createAuditRouter
+};
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { validate, sendValidationErrors } = require('./validation');
+
+// Ordered from least to most privileged; each role can do everything the
+// ones before it can.
+//   viewer      read machines, vitals, alerts and history
+//   technician  + record work, acknowledge/resolve alerts, post manual readings
+//   manager     + add and edit machines (channels, limits, contacts), device API keys
+//   admin       + delete machines, manage user accounts
+const ROLES = ['viewer', 'technician', 'manager', 'admin'];
+
+const API_KEY_PREFIX = 'pmk_';
+const FEED_TOKEN_PREFIX = 'pmc_';
+
+function roleAtLeast(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum) && ROLES.includes(role);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function publicUser(user) {
+  const { passwordHash, calendarTokenHash, ...rest } = user;
+  return { ...rest, calendarFeed: Boolean(calendarTokenHash) };
+}
+
+function publicApiKey(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+/**
+ * Accounts, login tokens and per-device API keys. Users sign in for a JWT
+ * sent as `Authorization: Bearer <token>`; sensors send their machine's key
+ * as `X-API-Key` and may only post readings for that machine.
+ */
+function createAuth({ store, generateId }) {
+  let secret = process.env.JWT_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET not set. Using a random secret; sessions end when the server restarts.');
+  }
+  const expiresIn = process.env.JWT_EXPIRES_IN || '12h';
+
+  // The first start creates an admin so there is someone to create the other accounts.
+  function ensureAdmin() {
+    if (store.list('users').length > 0) return;
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(9).toString('base64url');
+      console.warn(`Created admin account "${username}" with generated password: ${password}`);
+    }
+    store.insert('users', {
+      id: generateId(),
+      username,
+      name: 'Administrator',
+      role: 'admin',
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  function findUser(username) {
+    const wanted = String(username || '').toLowerCase();
+    return store.list('users').find(u => u.username.toLowerCase() === wanted) || null;
+  }
+
+  function issueToken(user) {
+    return jwt.sign({ sub: user.id, role: user.role }, secret, { expiresIn });
+  }
+
+  function userFromToken(token) {
+    try {
+      const payload = jwt.verify(token, secret);
+      const user = store.get('users', payload.sub);
+      return user && !user.disabled ? user : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function deviceFromKey(key) {
+    if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+    const keyHash = hashApiKey(key);
+    const apiKey = store.list('apiKeys').find(k => k.keyHash === keyHash && !k.revokedAt);
+    if (!apiKey) return null;
+    apiKey.lastUsedAt = new Date().toISOString();
+    store.update('apiKeys', apiKey);
+    return apiKey;
+  }
+
+  function createApiKey(machineId, name) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = {
+      id: generateId(),
+      machineId,
+      name: name || 'Sensor',
+      keyHash: hashApiKey(key),
+      hint: key.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    store.insert('apiKeys', apiKey);
+    return { apiKey, key };
+  }
+
+  /**
+   * Calendar apps subscribe to a plain URL and can't sign in, so each user
+   * may hold one feed token that reads their calendar feed and nothing else.
+   * Issuing a new one revokes the old.
+   */
+  function createFeedToken(user) {
+    const token = `${FEED_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    user.calendarTokenHash = hashApiKey(token);
+    store.update('users', user);
+    return token;
+  }
+
+  function revokeFeedToken(user) {
+    delete user.calendarTokenHash;
+    store.update('users', user);
+  }
+
+  function userFromFeedToken(token) {
+    if (!token || !token.startsWith(FEED_TOKEN_PREFIX)) return null;
+    const tokenHash = hashApiKey(token);
+    return store.list('users').find(u => u.calendarTokenHash === tokenHash && !u.disabled) || null;
+  }
+
+  /**
+   * Sets `req.user` or `req.device` from the request's credentials and turns
+   * away requests that have neither. EventSource can't send headers, so the
+   * token may also come as `?access_token=`.
+   */
+  function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.access_token;
+    if (token) {
+      req.user = userFromToken(token);
+      if (!req.user) return res.status(401).json({ message: 'Session expired or invalid; please sign in again' });
+      return next();
+    }
+
+    const key = req.get('X-API-Key');
+    if (key) {
+      req.device = deviceFromKey(key);
+      if (!req.device) return res.status(401).json({ message: 'Invalid API key' });
+      return next();
+    }
+
+    res.status(401).json({ message: 'Authentication required' });
+  }
+
+  return {
+    ensureAdmin,
+    findUser,
+    issueToken,
+    createApiKey,
+    createFeedToken,
+    revokeFeedToken,
+    userFromFeedToken,
+    authenticate
+  };
+}
+
+function requireRole(minimum) {
+  return (req, res, next) => {
+    if (req.user && roleAtLeast(req.user.role, minimum)) return next();
+    if (!req.user) return res.status(403).json({ message: 'API keys may only post readings' });
+    res.status(403).json({ message: `Requires the ${minimum} role` });
+  };
+}
+
+/** Reads need `read`, anything that changes state needs `write`. */
+function requireRoleByMethod({ read = 'viewer', write }) {
+  const readGuard = requireRole(read);
+  const writeGuard = requireRole(write);
+  return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? readGuard : writeGuard)(req, res, next);
+}
+
+// The only route a device key may call; the handler checks the machine matches.
+const DEVICE_ROUTE = /^\/machines\/[^/]+\/vitals(\/batch)?\/?$/;
+
+/**
+ * Runs after `authenticate` on everything under /api: signed-in users need at
+ * least the viewer role, devices are confined to posting readings.
+ */
+function restrictDevices(req, res, next) {
+  if (!req.device) return requireRole('viewer')(req, res, next);
+  if (req.method === 'POST' && DEVICE_ROUTE.test(req.path)) return next();
+  res.status(403).json({ message: 'API keys may only post readings' });
+}
+
+/** A device key for this machine, or a signed-in user with at least `minimum`. */
+function allowDeviceOrRole(minimum) {
+  const guard = requireRole(minimum);
+  return (req, res, next) => {
+    if (req.device) {
+      if (req.device.machineId === req.params.id) return next();
+      return res.status(403).json({ message: 'This API key belongs to another machine' });
+    }
+    guard(req, res, next);
+  };
+}
+
+function findActiveUser(auth, username) {
+  const user = auth.findUser(username);
+  return user && !user.disabled ? user : null;
+}
+
+/** POST /login and GET /me. Mounted before `authenticate`, which /me runs itself. */
+function createAuthRouter({ auth }) {
+  const router = express.Router();
+
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = findActiveUser(auth, username);
+    if (!user || typeof password !== 'string' || !password || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+    res.json({ token: auth.issueToken(user), user: publicUser(user) });
+  });
+
+  router.get('/me', auth.authenticate, (req, res) => {
+    if (!req.user) return res.status(403).json({ message: 'API keys have no user account' });
+    res.json(publicUser(req.user));
+  });
+
+  return router;
+}
+
+/** User administration (admin only). */
+function createUsersRouter({ store, generateId, auth }) {
+  const router = express.Router();
+
+  const userSchema = {
+    username: {
+      type: 'string',
+      required: true,
+      pattern: /^[a-zA-Z0-9._-]{3,40}$/,
+      patternMessage: 'must be 3-40 letters, digits, dots, dashes or underscores'
+    },
+    name: { type: 'string', maxLength: 120 },
+    role: { type: 'enum', values: ROLES, required: true },
+    password: {
+      type: 'string',
+      required: true,
+      trim: false,
+      check: value => (value.length >= 8 ? { value } : { error: 'must be at least 8 characters' })
+    },
+    disabled: { type: 'boolean' }
+  };
+
+  function otherAdmins(id) {
+    return store.list('users').filter(u => u.id !== id && u.role === 'admin' && !u.disabled).length;
+  }
+
+  router.get('/', (req, res) => {
+    res.json(store.list('users').map(publicUser));
+  });
+
+  router.post('/', (req, res) => {
+    const { value: body, errors } = validate(userSchema, req.body);
+    if (errors) return sendValidationErrors(res, errors);
+    if (auth.findUser(body.username)) {
+      return res.status(409).json({ message: 'username is already taken' });
+    }
+
+    const user = {
+      id: generateId(),
+      username: body.username,
+      name: body.name || body.username,
+      role: body.role,
+      ...(body.disabled ? { disabled: true } : {}),
+      passwordHash: hashPassword(body.password),
+      createdAt: new Date().toISOString()
+    };
+    store.insert('users', user);
+    res.status(201).json(publicUser(user));
+  });
+
+  router.put('/:userId', (req, res) => {
+    const user = store.get('users', req.params.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const { value: body, errors } = validate(userSchema, req.body, { partial: true });
+    if (errors) return sendValidationErrors(res, errors);
+
+    const existing = body.username !== undefined ? auth.findUser(body.username) : null;
+    if (existing && existing.id !== user.id) {
+      return res.status(409).json({ message: 'username is already taken' });
+    }
+    const demoted = (body.role !== undefined && body.role !== 'admin') || body.disabled === true;
+    if (user.role === 'admin' && demoted && otherAdmins(user.id) === 0) {
+      return res.status(409).json({ message: 'Cannot remove the last admin' });
+    }
+
+    ['username', 'name', 'role', 'disabled'].forEach(field => {
+      if (body[field] !== undefined) user[field] = body[field];
+    });
+    if (body.password !== undefined) user.passwordHash = hashPassword(body.password);
+    store.update('users', user);
+    res.json(publicUser(user));
+  });
+
+  router.delete('/:userId', (req, res) => {
+    const user = store.get('users', req.params.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.role === 'admin' && otherAdmins(user.id) === 0) {
+      return res.status(409).json({ message: 'Cannot remove the last admin' });
+    }
+    store.remove('users', user.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/** Device API keys for one machine, mounted at /api/machines/:id/api-keys. */
+function createApiKeysRouter({ store, auth }) {
+  const router = express.Router({ mergeParams: true });
+
+  function findMachine(req, res) {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) res.status(404).json({ message: 'Machine not found' });
+    return machine;
+  }
+
+  router.get('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    res.json(store.list('apiKeys').filter(k => k.machineId === machine.id).map(publicApiKey));
+  });
+
+  // The key itself is only ever returned here; afterwards only its last four characters are kept in the clear.
+  router.post('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const { apiKey, key } = auth.createApiKey(machine.id, req.body.name);
+    res.status(201).json({ ...publicApiKey(apiKey), key });
+  });
+
+  router.delete('/:keyId', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const apiKey = store.get('apiKeys', req.params.keyId);
+    if (!apiKey || apiKey.machineId !== machine.id) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    apiKey.revokedAt = apiKey.revokedAt || new Date().toISOString();
+    store.update('apiKeys', apiKey);
+    res.json(publicApiKey(apiKey));
+  });
+
+  return router;
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  createAuth,
+  requireRole,
+  requireRoleByMethod,
+  restrictDevices,
+  allowDeviceOrRole,
+  createAuthRouter,
+  createUsersRouter,
+  createApiKeysRouter
+};
@@ -0,0 +1,173 @@
+const express = require('express');
+const { requireRole } = require('./auth');
+const { maintenanceState } = require('./fleet');
+const { intervalDays } = require('./workOrders');
+const { validate, sendValidationErrors } = require('./validation');
+
+// iCalendar (RFC 5545) feed of upcoming maintenance: one all-day event per
+// machine on its nextMaintenanceDate, repeating every maintenance interval.
+// The repeats are a forecast; the real next date is set when the work order
+// is completed and the feed picks it up on the calendar app's next refresh.
+
+const PRODID = '-//Smart Maintenance Monitor//Maintenance calendar//EN';
+const STATE_LABELS = {
+  overdue: 'Overdue',
+  'due-soon': 'Due soon',
+  planned: 'Planned',
+  ok: 'OK',
+  unknown: 'Unknown'
+};
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, never inside a UTF-8 character.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/** The RRULE for the machine's maintenance interval, rounded to whole days. */
+function recurrenceRule(machine, orders) {
+  const days = intervalDays(machine, orders);
+  if (!days) return null;
+  const whole = Math.max(1, Math.round(days));
+  return whole % 7 === 0 ? `FREQ=WEEKLY;INTERVAL=${whole / 7}` : `FREQ=DAILY;INTERVAL=${whole}`;
+}
+
+function machineEvent(machine, orders, { now, host }) {
+  const state = maintenanceState(machine, now);
+  const interval = machine.maintenanceInterval;
+  const description = [
+    `Status: ${STATE_LABELS[state]}`,
+    `Code: ${machine.code || '-'}`,
+    `Location: ${machine.location || '-'}`,
+    `Responsible: ${machine.responsibleEmail || '-'}`,
+    `Interval: ${interval ? `${interval.value} ${interval.type === 'runHours' ? 'run hours' : 'days'}` : 'default'}`
+  ].join('\n');
+  const rule = recurrenceRule(machine, orders);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:maintenance-${machine.id}@${host}`,
+    `DTSTAMP:${icsTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${icsDate(machine.nextMaintenanceDate)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(machine.nextMaintenanceDate))}`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    `SUMMARY:${escapeText(`Maintenance: ${machine.name}${machine.code ? ` (${machine.code})` : ''}`)}`,
+    ...(machine.location ? [`LOCATION:${escapeText(machine.location)}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(STATE_LABELS[state])}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/** The feed for `machines` as one string with CRLF line endings. */
+function buildCalendar(machines, orders, { name, now = new Date(), host = 'smart-maintenance-monitor' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...machines
+      .filter(m => m.nextMaintenanceDate)
+      .flatMap(m => machineEvent(m, orders.filter(o => o.machineId === m.id), { now, host })),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function hasEmail(machine, email) {
+  return (machine.responsibleEmail || '')
+    .split(/[,;]/)
+    .some(address => address.trim().toLowerCase() === email.toLowerCase());
+}
+
+const feedQuerySchema = {
+  location: { type: 'string', maxLength: 120 },
+  email: { type: 'string', maxLength: 254 },
+  token: { type: 'string' }
+};
+
+/**
+ * Mounted at /api ahead of the login check, since calendar apps can't sign in:
+ *   GET    /calendar.ics?location=&email=   signed in, or with ?token=<feed token>
+ *   POST   /calendar/feed-token             issues the caller's feed token
+ *   DELETE /calendar/feed-token             revokes it
+ */
+function createCalendarRouter({ store, auth }) {
+  const router = express.Router();
+
+  function feedAuth(req, res, next) {
+    if (!req.query.token) return auth.authenticate(req, res, next);
+    req.user = auth.userFromFeedToken(req.query.token);
+    if (!req.user) return res.status(401).json({ message: 'Calendar link is invalid or has been revoked' });
+    next();
+  }
+
+  router.get('/calendar.ics', feedAuth, requireRole('viewer'), (req, res) => {
+    const { value: query, errors } = validate(feedQuerySchema, req.query, { allowUnknown: true });
+    if (errors) return sendValidationErrors(res, errors);
+
+    const machines = store.list('machines')
+      .filter(m => !query.location || (m.location || '').toLowerCase() === query.location.toLowerCase())
+      .filter(m => !query.email || hasEmail(m, query.email));
+    const scope = [query.location, query.email].filter(Boolean).join(', ');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="maintenance.ics"');
+    res.send(buildCalendar(machines, store.list('workOrders'), {
+      name: scope ? `Maintenance – ${scope}` : 'Maintenance',
+      host: req.hostname
+    }));
+  });
+
+  router.post('/calendar/feed-token', auth.authenticate, requireRole('viewer'), (req, res) => {
+    res.status(201).json({ token: auth.createFeedToken(req.user) });
+  });
+
+  router.delete('/calendar/feed-token', auth.authenticate, requireRole('viewer'), (req, res) => {
+    auth.revokeFeedToken(req.user);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  buildCalendar,
+  createCalendarRouter
+};
@@ -0,0 +1,79 @@
+// Small RFC 4180 reader and writer: quoted fields, doubled quotes and CRLF or
+// LF line ends. Enough for spreadsheets exported by Excel, LibreOffice and
+// Google Sheets.
+
+// Spreadsheets run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/** European Excel writes `;`-separated files; anything else is taken as `,`. */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+}
+
+/** Rows of string cells. Throws on an unterminated quoted field. */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Undoes the formula guard `toCsvCell` adds, so exported files import unchanged. */
+function unguardCell(value) {
+  return value.length > 1 && value[0] === "'" && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(toCsvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  unguardCell,
+  toCsvRow
+};
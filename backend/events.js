@@ -0,0 +1,89 @@
+const express = require('express');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * In-process publish/subscribe for live dashboard updates. Keeps the last
+ * `bufferSize` events so a reconnecting client can catch up from the
+ * Last-Event-ID it saw before the connection dropped.
+ */
+function createEventBus({ bufferSize = 200 } = {}) {
+  const subscribers = new Set();
+  const buffer = [];
+  let lastId = 0;
+
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data, at: new Date().toISOString() };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+    subscribers.forEach(fn => {
+      try {
+        fn(event);
+      } catch (err) {
+        console.error('Event subscriber failed:', err.message);
+      }
+    });
+    return event;
+  }
+
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  function since(id) {
+    return buffer.filter(e => e.id > id);
+  }
+
+  return { publish, subscribe, since };
+}
+
+function eventMachineId(event) {
+  const data = event.data || {};
+  return data.machineId || (data.machine && data.machine.id) || (data.vital && data.vital.machineId) || null;
+}
+
+/**
+ * GET /stream: Server-Sent Events feed of everything published on the bus.
+ * `?machineId=` narrows it to one machine (events without a machine, such as
+ * fleet-wide notices, are always sent).
+ */
+function createStreamRouter({ events }) {
+  const router = express.Router();
+
+  router.get('/stream', (req, res) => {
+    const machineId = req.query.machineId;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    function send(event) {
+      const id = eventMachineId(event);
+      if (machineId && id && id !== machineId) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10);
+    if (lastEventId > 0) events.since(lastEventId).forEach(send);
+
+    const unsubscribe = events.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventBus,
+  createStreamRouter
+};
@@ -0,0 +1,189 @@
+const express = require('express');
+const { parseQuery } = require('./vitalsQuery');
+const { sendValidationErrors } = require('./validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SENSOR_STATES = ['alarm', 'warning', 'ok', 'no-data'];
+const MAINTENANCE_STATES = ['overdue', 'due-soon', 'planned', 'ok', 'unknown'];
+const CONNECTIVITY_STATES = ['online', 'stale', 'offline'];
+
+// Same bands as the dashboard's maintenance pill.
+function maintenanceState(machine, now) {
+  if (!machine.nextMaintenanceDate) return 'unknown';
+  const diffDays = (new Date(machine.nextMaintenanceDate) - now) / DAY_MS;
+  if (diffDays < 0) return 'overdue';
+  if (diffDays <= 3) return 'due-soon';
+  if (diffDays <= 7) return 'planned';
+  return 'ok';
+}
+
+function sensorState(openAlerts, latest) {
+  if (openAlerts.some(a => a.severity === 'critical' && a.type !== 'maintenance')) return 'alarm';
+  if (openAlerts.some(a => a.severity === 'warning' && a.type !== 'maintenance')) return 'warning';
+  return latest ? 'ok' : 'no-data';
+}
+
+function isFailure(alert) {
+  return alert.severity === 'critical' && alert.type !== 'maintenance';
+}
+
+// Total length of the union of [start, end] intervals, so overlapping
+// failures on one machine are not counted twice.
+function unionMs(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+  sorted.forEach(([start, end]) => {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else {
+      current[1] = Math.max(current[1], end);
+    }
+  });
+  if (current) total += current[1] - current[0];
+  return total;
+}
+
+function round(value, digits = 1) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Reliability figures for one machine over [from, to]:
+ * - a failure is a critical, non-maintenance alert raised in the window;
+ * - downtime is the time failures stayed unresolved (clipped to the window)
+ *   plus the downtime booked on work orders completed in the window;
+ * - MTTR is the mean time from a failure being raised to it being resolved;
+ * - MTBF is uptime divided by the number of failures;
+ * - availability is uptime over the hours the machine existed in the window.
+ */
+function reliability(machine, alerts, workOrders, from, to) {
+  const start = Math.max(from.getTime(), new Date(machine.createdAt || from).getTime());
+  const end = to.getTime();
+  const operatingMs = Math.max(0, end - start);
+
+  const failures = alerts.filter(a => isFailure(a) && new Date(a.createdAt).getTime() >= start);
+  const failureMs = unionMs(failures.map(a => [
+    new Date(a.createdAt).getTime(),
+    Math.min(a.resolvedAt ? new Date(a.resolvedAt).getTime() : end, end)
+  ]));
+  const bookedMs = workOrders
+    .filter(o => o.completedAt && new Date(o.completedAt).getTime() >= start)
+    .reduce((sum, o) => sum + (Number(o.downtimeMinutes) || 0) * 60 * 1000, 0);
+  const downtimeMs = Math.min(operatingMs, failureMs + bookedMs);
+  const uptimeMs = operatingMs - downtimeMs;
+
+  const repairs = failures.filter(a => a.resolvedAt);
+  const repairMs = repairs.reduce((sum, a) => sum + (new Date(a.resolvedAt) - new Date(a.createdAt)), 0);
+
+  return {
+    operatingHours: operatingMs / HOUR_MS,
+    downtimeHours: downtimeMs / HOUR_MS,
+    uptimeHours: uptimeMs / HOUR_MS,
+    failures: failures.length,
+    repairs: repairs.length,
+    repairHours: repairMs / HOUR_MS
+  };
+}
+
+const summarySchema = {
+  days: { type: 'number', integer: true, min: 1, max: 366, default: 30 }
+};
+
+/** GET /fleet/summary: every machine's health plus fleet-wide KPIs. */
+function createFleetRouter({ store, watchdog }) {
+  const router = express.Router();
+
+  router.get('/fleet/summary', (req, res) => {
+    const { value: query, errors } = parseQuery(summarySchema, req.query);
+    if (errors) return sendValidationErrors(res, errors);
+    const { days } = query;
+
+    const now = new Date();
+    const from = new Date(now.getTime() - days * DAY_MS);
+    const alerts = store.list('alerts');
+    const workOrders = store.list('workOrders');
+
+    const totals = { operatingHours: 0, downtimeHours: 0, uptimeHours: 0, failures: 0, repairs: 0, repairHours: 0 };
+    const machines = store.list('machines').map(machine => {
+      const machineAlerts = alerts.filter(a => a.machineId === machine.id);
+      const openAlerts = machineAlerts.filter(a => a.status !== 'resolved');
+      const latest = store.queryVitals(machine.id, { limit: 1 })[0] || null;
+      const stats = reliability(
+        machine,
+        machineAlerts.filter(a => new Date(a.createdAt) >= from),
+        workOrders.filter(o => o.machineId === machine.id),
+        from,
+        now
+      );
+      Object.keys(totals).forEach(k => {
+        totals[k] += stats[k];
+      });
+
+      return {
+        id: machine.id,
+        name: machine.name,
+        code: machine.code || '',
+        location: machine.location || '',
+        sensorState: sensorState(openAlerts, latest),
+        maintenanceState: maintenanceState(machine, now),
+        connectivity: watchdog.connectivity(machine, now.getTime()).state,
+        nextMaintenanceDate: machine.nextMaintenanceDate || null,
+        openAlerts: {
+          critical: openAlerts.filter(a => a.severity === 'critical').length,
+          warning: openAlerts.filter(a => a.severity === 'warning').length,
+          info: openAlerts.filter(a => a.severity === 'info').length
+        },
+        latest,
+        availability: stats.operatingHours > 0 ? round(stats.uptimeHours / stats.operatingHours, 4) : null,
+        failures: stats.failures
+      };
+    });
+
+    const locations = {};
+    machines.forEach(m => {
+      const key = m.location || '';
+      locations[key] = locations[key] || { location: key, machines: 0, inAlarm: 0, overdue: 0 };
+      locations[key].machines += 1;
+      if (m.sensorState === 'alarm') locations[key].inAlarm += 1;
+      if (m.maintenanceState === 'overdue') locations[key].overdue += 1;
+    });
+
+    res.json({
+      generatedAt: now.toISOString(),
+      from: from.toISOString(),
+      days,
+      kpis: {
+        machines: machines.length,
+        inAlarm: machines.filter(m => m.sensorState === 'alarm').length,
+        warning: machines.filter(m => m.sensorState === 'warning').length,
+        overdue: machines.filter(m => m.maintenanceState === 'overdue').length,
+        dueSoon: machines.filter(m => m.maintenanceState === 'due-soon').length,
+        offline: machines.filter(m => m.connectivity === 'offline').length,
+        failures: totals.failures,
+        mtbfHours: totals.failures > 0 ? round(totals.uptimeHours / totals.failures) : null,
+        mttrHours: totals.repairs > 0 ? round(totals.repairHours / totals.repairs, 2) : null,
+        availability: totals.operatingHours > 0 ? round(totals.uptimeHours / totals.operatingHours, 4) : null,
+        downtimeHours: round(totals.downtimeHours)
+      },
+      locations: Object.values(locations).sort((a, b) => a.location.localeCompare(b.location)),
+      machines
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  SENSOR_STATES,
+  MAINTENANCE_STATES,
+  CONNECTIVITY_STATES,
+  maintenanceState,
+  reliability,
+  createFleetRouter
+};
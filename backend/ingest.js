@@ -0,0 +1,365 @@
+const express = require('express');
+const { channelsFor, readChannelValues, formatValue } = require('./metrics');
+const { describeRule } = require('./rules');
+const { validateReading } = require('./schemas');
+const { sendError } = require('./validation');
+
+// How many recent sequence numbers per machine are remembered for deduplication.
+const SEQ_WINDOW = 10000;
+const MAX_BATCH_READINGS = 5000;
+
+function backfillSettings() {
+  return {
+    // Readings older than this still raise and clear alerts, but nobody is paged for them.
+    notifyMaxAgeMs: parseInt(process.env.BACKFILL_NOTIFY_MAX_AGE_MINUTES || '15', 10) * 60 * 1000
+  };
+}
+
+// Exact code first; fall back to a case-insensitive match only if it is unambiguous.
+function findMachineByCode(store, code) {
+  const machines = store.list('machines');
+  const exact = machines.find(m => m.code === code);
+  if (exact) return exact;
+  const loose = machines.filter(m => m.code && m.code.toLowerCase() === code.toLowerCase());
+  return loose.length === 1 ? loose[0] : null;
+}
+
+/**
+ * The single path every reading takes into the system, whichever transport
+ * delivered it (REST, MQTT, ...): normalise, check the sensors, score for
+ * anomalies, store, run the alert rules, raise, notify and clear alerts, and
+ * publish live events.
+ */
+function createIngestService({
+  store,
+  generateId,
+  anomalyEngine,
+  ruleEngine,
+  alertService,
+  notifier,
+  events,
+  watchdog,
+  vitalsSinceMaintenance
+}) {
+  // Sequence numbers seen per machine, oldest first, loaded from storage on first use.
+  const recentSeqs = new Map();
+
+  function toVital(machine, reading) {
+    return {
+      id: generateId(),
+      machineId: machine.id,
+      ...readChannelValues(channelsFor(machine), reading),
+      ...(reading.seq !== undefined ? { seq: reading.seq } : {}),
+      timestamp: reading.timestamp || new Date().toISOString()
+    };
+  }
+
+  function seqsFor(machineId) {
+    if (!recentSeqs.has(machineId)) {
+      const seqs = store.queryVitals(machineId, { limit: SEQ_WINDOW }).filter(v => v.seq !== undefined).map(v => v.seq);
+      recentSeqs.set(machineId, { order: seqs, set: new Set(seqs) });
+    }
+    return recentSeqs.get(machineId);
+  }
+
+  function rememberSeq(machineId, seq) {
+    if (seq === undefined) return;
+    const seqs = seqsFor(machineId);
+    seqs.order.push(seq);
+    seqs.set.add(seq);
+    if (seqs.order.length > SEQ_WINDOW) seqs.set.delete(seqs.order.shift());
+  }
+
+  /**
+   * Runs one reading through detection, rules and alerting. With `quiet`
+   * (readings that arrive long after they were taken) alerts are still
+   * raised and cleared so the history is right, but no one is notified and
+   * no live events go out for the reading.
+   */
+  function ingest(machine, reading, { quiet = false } = {}) {
+    const id = machine.id;
+    const channels = channelsFor(machine);
+    const vital = toVital(machine, reading);
+    rememberSeq(id, vital.seq);
+
+    const sensorIssues = watchdog.observe(machine, vital, { quiet });
+    const anomalies = anomalyEngine.evaluate(machine, vital, () => vitalsSinceMaintenance(machine, 200));
+
+    store.appendVitals([vital]);
+
+    const rules = ruleEngine.evaluate(machine, vital);
+    const byKey = Object.fromEntries(channels.map(c => [c.key, c]));
+    const readingText = channels.map(c => `- ${c.name}: ${formatValue(c, vital[c.key])}`).join('\n');
+
+    // Threshold alerts are raised and notified when a rule fires, not on
+    // every reading past the limit; the rule's own duration settings do the
+    // de-noising that the global gap used to.
+    let alert = null;
+    rules.triggered.forEach(({ rule, value }) => {
+      const channel = byKey[rule.channel];
+      const reason = `${channel.name} ${formatValue(channel, value)} ${rule.operator} ${formatValue(channel, rule.value)}`
+        + (rule.forReadings > 1 || rule.forMinutes > 0 ? ` (rule: ${describeRule(rule, channel)})` : '');
+      const subject = `${rule.severity === 'critical' ? '🚨' : '⚠️'} ${channel.name} ${rule.operator} limit on machine: ${machine.name}`;
+
+      ({ alert } = alertService.raise({
+        type: 'threshold',
+        key: channel.key,
+        severity: rule.severity,
+        machine,
+        reading: vital,
+        reasons: [reason],
+        subject
+      }));
+
+      const text = `Machine: ${machine.name}
+Code: ${machine.code || '-'}
+Location: ${machine.location || '-'}
+Time: ${vital.timestamp}
+Severity: ${rule.severity}
+
+${reason}
+
+Latest reading:
+${readingText}
+`;
+      // Deliveries retry with backoff, so don't hold the sensor's request open for them.
+      if (!quiet) notifier.notify({ subject, text, severity: rule.severity, machine, alert });
+    });
+
+    // A channel is back to normal once none of its rules is active any more.
+    const stillActive = new Set(rules.active.map(r => r.channel));
+    const recoveredChannels = [...new Set(rules.recovered.map(r => r.rule.channel))].filter(key => !stillActive.has(key));
+    recoveredChannels.forEach(key => {
+      const channel = byKey[key];
+      const open = channel && alertService.findActive(id, 'threshold', key);
+      if (!open) return;
+
+      alertService.resolve(open, 'system', `${channel.name} returned to normal at ${formatValue(channel, vital[key])}`);
+      const subject = `✅ ${channel.name} back to normal on machine: ${machine.name}`;
+      const text = `Machine: ${machine.name}
+Code: ${machine.code || '-'}
+Location: ${machine.location || '-'}
+Time: ${vital.timestamp}
+
+${channel.name} is back within its limits at ${formatValue(channel, vital[key])}.
+The alert raised at ${open.createdAt} has been resolved.
+
+Latest reading:
+${readingText}
+`;
+      if (quiet) return;
+      notifier.notify({ subject, text, severity: 'info', machine, alert: open });
+      events.publish('recovered', { machineId: id, channel: key, alertId: open.id, vital });
+    });
+
+    if (anomalies.length > 0) {
+      const now = new Date();
+      const lastAlert = machine.lastAbnormalAlertSent ? new Date(machine.lastAbnormalAlertSent) : null;
+      const minGapMinutes = parseInt(process.env.ABNORMAL_ALERT_MIN_GAP_MINUTES || '30', 10);
+      const subject = `⚠️ Abnormal condition detected on machine: ${machine.name}`;
+      const reasons = anomalies.map(a => a.message);
+
+      ({ alert } = alertService.raise({
+        type: 'abnormal',
+        severity: 'warning',
+        machine,
+        reading: vital,
+        reasons,
+        subject
+      }));
+
+      if (!quiet && (!lastAlert || (now - lastAlert) / (1000 * 60) > minGapMinutes)) {
+        const text = `Machine: ${machine.name}
+Code: ${machine.code || '-'}
+Location: ${machine.location || '-'}
+Time: ${vital.timestamp}
+
+Reasons:
+- ${reasons.join('\n- ')}
+
+Latest reading:
+${readingText}
+`;
+        notifier.notify({ subject, text, severity: alert.severity, machine, alert });
+        machine.lastAbnormalAlertSent = now.toISOString();
+        store.update('machines', machine);
+      }
+    }
+
+    const abnormal = rules.active.length > 0 || anomalies.length > 0;
+    if (abnormal && !quiet) {
+      const reasons = [
+        ...rules.triggered.map(({ rule }) => describeRule(rule, byKey[rule.channel])),
+        ...anomalies.map(a => a.message)
+      ];
+      events.publish('abnormal', { machineId: id, reasons, activeRules: rules.active.map(r => r.id), alertId: alert ? alert.id : null, vital });
+    }
+
+    const result = {
+      vital,
+      abnormal,
+      anomalies,
+      sensorIssues,
+      rules: {
+        triggered: rules.triggered.map(t => t.rule.id),
+        recovered: rules.recovered.map(r => r.rule.id),
+        active: rules.active.map(r => r.id)
+      },
+      alertId: alert ? alert.id : null
+    };
+    if (!quiet) events.publish('vital', result);
+    return result;
+  }
+
+  /**
+   * Readings a gateway buffered and uploads in one go, possibly late and out
+   * of order. They are sorted by time and checked for duplicates (same `seq`
+   * or, without one, same timestamp as a stored reading). Readings newer than
+   * the machine's latest go through `ingest`, quietly if they are old; ones
+   * older than the latest are only stored, since the rule and anomaly state
+   * has already moved past them.
+   *
+   * `readings` are validated, each with a timestamp. Returns a result per
+   * reading in the order given. Live clients are told to reload history only
+   * when a reading went in without its own `vital` event.
+   */
+  function ingestBatch(machine, readings) {
+    const { notifyMaxAgeMs } = backfillSettings();
+    const now = Date.now();
+    const latest = store.queryVitals(machine.id, { limit: 1 })[0];
+    let latestTime = latest ? new Date(latest.timestamp).getTime() : -Infinity;
+    const seqs = seqsFor(machine.id);
+    const batchKeys = new Set();
+    const late = [];
+    let unannounced = 0;
+    const results = new Array(readings.length);
+
+    const sorted = readings
+      .map((reading, index) => ({ reading, index, time: new Date(reading.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time || a.index - b.index);
+
+    sorted.forEach(({ reading, index, time }) => {
+      const key = reading.seq !== undefined ? `seq:${reading.seq}` : `time:${time}`;
+      const stored = reading.seq !== undefined
+        ? seqs.set.has(reading.seq)
+        : store.queryVitals(machine.id, { from: new Date(time), to: new Date(time), limit: 1 }).length > 0;
+      if (stored || batchKeys.has(key)) {
+        results[index] = { index, status: 'duplicate' };
+        return;
+      }
+      batchKeys.add(key);
+
+      if (time < latestTime) {
+        const vital = toVital(machine, reading);
+        rememberSeq(machine.id, vital.seq);
+        late.push(vital);
+        results[index] = { index, status: 'accepted', vitalId: vital.id, evaluated: false };
+        return;
+      }
+
+      const quiet = now - time > notifyMaxAgeMs;
+      const result = ingest(machine, reading, { quiet });
+      if (quiet) unannounced += 1;
+      latestTime = time;
+      results[index] = {
+        index,
+        status: 'accepted',
+        vitalId: result.vital.id,
+        evaluated: true,
+        abnormal: result.abnormal,
+        alertId: result.alertId
+      };
+    });
+
+    if (late.length > 0) {
+      store.appendVitals(late);
+      watchdog.observe(machine, late[late.length - 1], { late: true });
+    }
+    unannounced += late.length;
+    if (unannounced > 0) events.publish('vitals.backfilled', { machineId: machine.id, count: unannounced });
+    return results;
+  }
+
+  return { ingest, ingestBatch };
+}
+
+function summarize(results) {
+  const summary = { received: results.length, accepted: 0, duplicate: 0, rejected: 0 };
+  results.forEach(r => { summary[r.status] += 1; });
+  return summary;
+}
+
+/**
+ * Batch uploads, mounted at /api:
+ *   POST /machines/:id/vitals/batch  [reading, ...] or { readings: [...] }
+ *   POST /vitals/batch               { machines: { <machine code>: [reading, ...] } }
+ * Each reading is accepted, skipped as a duplicate or rejected on its own,
+ * and the response lists the outcome for every one.
+ */
+function createBatchIngestRouter({ store, ingestService }) {
+  const router = express.Router();
+
+  function ingestReadings(machine, readings) {
+    const channels = channelsFor(machine);
+    const results = new Array(readings.length);
+    const valid = [];
+    readings.forEach((reading, index) => {
+      const { value, errors } = validateReading(channels, reading, { requireTimestamp: true });
+      if (errors) results[index] = { index, status: 'rejected', errors };
+      else valid.push({ index, reading: value });
+    });
+
+    ingestService.ingestBatch(machine, valid.map(v => v.reading)).forEach((result, i) => {
+      results[valid[i].index] = { ...result, index: valid[i].index };
+    });
+    return { machineId: machine.id, summary: summarize(results), results };
+  }
+
+  function tooMany(res) {
+    return sendError(res, 413, `At most ${MAX_BATCH_READINGS} readings can be sent at once`);
+  }
+
+  router.post('/machines/:id/vitals/batch', (req, res) => {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) {
+      return res.status(404).json({ message: 'Machine not found' });
+    }
+    const readings = Array.isArray(req.body) ? req.body : req.body && req.body.readings;
+    if (!Array.isArray(readings)) {
+      return sendError(res, 400, 'Send an array of readings or { readings: [...] }');
+    }
+    if (readings.length > MAX_BATCH_READINGS) return tooMany(res);
+
+    res.json(ingestReadings(machine, readings));
+  });
+
+  router.post('/vitals/batch', (req, res) => {
+    const byCode = req.body && req.body.machines;
+    if (!byCode || typeof byCode !== 'object' || Array.isArray(byCode)
+      || Object.values(byCode).some(readings => !Array.isArray(readings))) {
+      return sendError(res, 400, 'Send { machines: { <machine code>: [readings] } }');
+    }
+    const total = Object.values(byCode).reduce((sum, readings) => sum + readings.length, 0);
+    if (total > MAX_BATCH_READINGS) return tooMany(res);
+
+    const machines = Object.entries(byCode).map(([code, readings]) => {
+      const machine = findMachineByCode(store, code);
+      if (!machine) {
+        const results = readings.map((reading, index) => ({
+          index,
+          status: 'rejected',
+          errors: [{ field: '', message: `No machine with code ${code}` }]
+        }));
+        return { code, machineId: null, summary: summarize(results), results };
+      }
+      return { code, ...ingestReadings(machine, readings) };
+    });
+
+    const summary = summarize(machines.flatMap(m => m.results));
+    res.json({ summary, machines });
+  });
+
+  return router;
+}
+
+module.exports = { findMachineByCode, createIngestService, createBatchIngestRouter };
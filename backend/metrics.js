@@ -0,0 +1,154 @@
+// Every machine describes what it measures with a list of sensor channels:
+//   { key, name, unit, min, max, precision }
+// `key` is the field name a reading carries the value under, `min`/`max` are
+// the low and high limits (null when there is none; a machine without its
+// own alert rules alarms past them) and `precision` is the number of
+// decimals shown for the channel. Channels may also carry `sensorMin` /
+// `sensorMax`, the sensor's measuring range; readings outside it are flagged
+// as impossible (see watchdog.js), and `componentId`, the machine component
+// the sensor is mounted on (see assets.js).
+const DEFAULT_CHANNELS = [
+  { key: 'temperature', name: 'Temperature', unit: '°C', min: null, max: 80, precision: 1 },
+  { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: null, max: 10, precision: 1 },
+  { key: 'pressure', name: 'Pressure', unit: 'bar', min: null, max: 200, precision: 1 }
+];
+
+// Fields every stored reading has, which therefore can't be channel keys.
+const RESERVED_KEYS = ['id', 'machineId', 'timestamp', 'seq'];
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const MAX_PRECISION = 6;
+
+function defaultChannels() {
+  return DEFAULT_CHANNELS.map(c => ({ ...c }));
+}
+
+/** Channels for a machine saved before channels existed, from its old `thresholds` object. */
+function channelsFromThresholds(thresholds) {
+  return DEFAULT_CHANNELS.map(c => {
+    const max = thresholds && thresholds[c.key] !== undefined ? Number(thresholds[c.key]) : c.max;
+    return { ...c, max: Number.isFinite(max) ? max : null };
+  });
+}
+
+function channelsFor(machine) {
+  if (machine && Array.isArray(machine.channels)) return machine.channels;
+  return channelsFromThresholds(machine && machine.thresholds);
+}
+
+function channelKeys(machine) {
+  return channelsFor(machine).map(c => c.key);
+}
+
+function optionalNumber(value) {
+  if (value === null || value === undefined || value === '') return { ok: true, value: null };
+  const number = Number(value);
+  return Number.isFinite(number) ? { ok: true, value: number } : { ok: false };
+}
+
+/**
+ * Checks a channel list sent by a client and fills in defaults. Returns
+ * `{ channels }` or `{ error, field }` with a message naming the offending
+ * channel and the path of the bad value (e.g. `channels.2.max`).
+ */
+function normalizeChannels(input, path = 'channels') {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'channels must be a non-empty array', field: path };
+  }
+
+  const seen = new Set();
+  const channels = [];
+  for (let i = 0; i < input.length; i++) {
+    const raw = input[i] || {};
+    const key = typeof raw.key === 'string' ? raw.key.trim() : '';
+    const label = key || `#${i + 1}`;
+
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Channel ${label}: key must start with a letter and contain only letters, digits and _`, field: `${path}.${i}.key` };
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      return { error: `Channel ${label}: ${key} is a reserved field name`, field: `${path}.${i}.key` };
+    }
+    if (seen.has(key)) {
+      return { error: `Channel ${label}: duplicate key`, field: `${path}.${i}.key` };
+    }
+    seen.add(key);
+
+    const min = optionalNumber(raw.min);
+    const max = optionalNumber(raw.max);
+    if (!min.ok || !max.ok) {
+      return { error: `Channel ${label}: min and max must be numbers`, field: `${path}.${i}.${min.ok ? 'max' : 'min'}` };
+    }
+    if (min.value !== null && max.value !== null && min.value >= max.value) {
+      return { error: `Channel ${label}: min must be below max`, field: `${path}.${i}.min` };
+    }
+
+    const sensorMin = optionalNumber(raw.sensorMin);
+    const sensorMax = optionalNumber(raw.sensorMax);
+    if (!sensorMin.ok || !sensorMax.ok) {
+      return { error: `Channel ${label}: sensorMin and sensorMax must be numbers`, field: `${path}.${i}.${sensorMin.ok ? 'sensorMax' : 'sensorMin'}` };
+    }
+    if (sensorMin.value !== null && sensorMax.value !== null && sensorMin.value >= sensorMax.value) {
+      return { error: `Channel ${label}: sensorMin must be below sensorMax`, field: `${path}.${i}.sensorMin` };
+    }
+
+    const precision = raw.precision === undefined || raw.precision === '' ? 1 : Number(raw.precision);
+    if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) {
+      return { error: `Channel ${label}: precision must be a whole number from 0 to ${MAX_PRECISION}`, field: `${path}.${i}.precision` };
+    }
+
+    channels.push({
+      key,
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : key,
+      unit: typeof raw.unit === 'string' ? raw.unit.trim() : '',
+      min: min.value,
+      max: max.value,
+      ...(sensorMin.value !== null ? { sensorMin: sensorMin.value } : {}),
+      ...(sensorMax.value !== null ? { sensorMax: sensorMax.value } : {}),
+      precision,
+      ...(typeof raw.componentId === 'string' && raw.componentId ? { componentId: raw.componentId } : {})
+    });
+  }
+  return { channels };
+}
+
+function formatValue(channel, value) {
+  if (typeof value !== 'number') return '-';
+  return `${value.toFixed(channel.precision ?? 1)}${channel.unit ? ` ${channel.unit}` : ''}`;
+}
+
+/** `{ key: number|null }` for each channel, taken from a reading body. */
+function readChannelValues(channels, reading) {
+  return channels.reduce((acc, c) => {
+    const value = reading[c.key];
+    acc[c.key] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    return acc;
+  }, {});
+}
+
+/**
+ * Gives machines stored with the old fixed temperature/vibration/pressure
+ * `thresholds` an equivalent channel list. Returns how many were converted.
+ */
+function migrateMachineChannels(store) {
+  let migrated = 0;
+  store.list('machines').forEach(machine => {
+    if (Array.isArray(machine.channels)) return;
+    machine.channels = channelsFromThresholds(machine.thresholds);
+    delete machine.thresholds;
+    store.update('machines', machine);
+    migrated += 1;
+  });
+  return migrated;
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  defaultChannels,
+  channelsFromThresholds,
+  channelsFor,
+  channelKeys,
+  normalizeChannels,
+  formatValue,
+  readChannelValues,
+  migrateMachineChannels
+};
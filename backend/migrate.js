@@ -0,0 +1,79 @@
+/*
+ * One-shot migration from a legacy db.json file into any storage adapter.
+ *
+ *   node migrate.js [--from db.json] [--driver sqlite] [--to data.sqlite] [--force]
+ *
+ * Refuses to write into a target that already holds machines unless --force
+ * is given. The source file is never modified.
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { createStorage } = require('./storage');
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') args.force = true;
+    else if (arg.startsWith('--')) args[arg.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+function migrate({ from, driver, to, force }) {
+  const source = JSON.parse(fs.readFileSync(from, 'utf8'));
+  const target = createStorage({ driver, file: to });
+
+  if (target.list('machines').length > 0 && !force) {
+    target.close();
+    throw new Error('Target storage already contains machines; re-run with --force to merge into it');
+  }
+
+  const summary = {};
+  Object.keys(source).forEach(name => {
+    if (!Array.isArray(source[name]) || name === 'vitals' || name === 'vitalRollups') return;
+    source[name].forEach(doc => target.insert(name, doc));
+    summary[name] = source[name].length;
+  });
+
+  const vitals = (source.vitals || []).slice()
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  for (let i = 0; i < vitals.length; i += BATCH_SIZE) {
+    target.appendVitals(vitals.slice(i, i + BATCH_SIZE));
+  }
+  summary.vitals = vitals.length;
+
+  const rollups = source.vitalRollups || [];
+  for (let i = 0; i < rollups.length; i += BATCH_SIZE) {
+    target.upsertRollups(rollups.slice(i, i + BATCH_SIZE));
+  }
+  summary.vitalRollups = rollups.length;
+
+  target.close();
+  return summary;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    from: path.resolve(args.from || path.join(__dirname, 'db.json')),
+    driver: args.driver || 'sqlite',
+    to: args.to ? path.resolve(args.to) : undefined,
+    force: args.force
+  };
+
+  try {
+    const summary = migrate(options);
+    console.log(`Migrated ${options.from} into ${options.driver} storage:`, summary);
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { migrate };
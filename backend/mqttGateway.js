@@ -0,0 +1,229 @@
+const express = require('express');
+const { channelsFor } = require('./metrics');
+const { findMachineByCode } = require('./ingest');
+const { validateReading } = require('./schemas');
+
+const DEFAULT_TOPIC = 'plant/+/vitals';
+
+// Where fields are found in an incoming payload, as dot-paths. A channel
+// missing from the map is read from the top-level field named after its key,
+// so a gateway sending {"code": "P1", "data": {"t": 71.2}} only needs
+// MQTT_PAYLOAD_MAP={"temperature": "data.t"}.
+const DEFAULT_PAYLOAD_MAP = {
+  code: 'code',
+  timestamp: 'timestamp',
+  seq: 'seq'
+};
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+// PLCs tend to send epoch seconds or milliseconds rather than ISO strings.
+function toTimestamp(value) {
+  if (value == null || value === '') return undefined;
+  const number = toNumber(value);
+  const date = number !== null ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/** The machine code a payload names through the `code` mapping, if any. */
+function payloadCode(payload, payloadMap = {}) {
+  const code = getPath(payload, payloadMap.code || DEFAULT_PAYLOAD_MAP.code);
+  return code == null ? null : String(code);
+}
+
+/**
+ * Pulls a reading for the given channels out of a decoded payload and checks
+ * it like a reading posted over REST; `error` is set when it doesn't pass.
+ */
+function mapPayload(payload, channels, payloadMap = {}) {
+  const map = { ...DEFAULT_PAYLOAD_MAP, ...payloadMap };
+  const timestamp = toTimestamp(getPath(payload, map.timestamp));
+  if (timestamp === null) {
+    return { error: 'timestamp is not a valid date' };
+  }
+
+  const body = { timestamp, seq: getPath(payload, map.seq) };
+  channels.forEach(c => {
+    body[c.key] = getPath(payload, map[c.key] || c.key);
+  });
+  Object.keys(body).forEach(key => body[key] === undefined && delete body[key]);
+
+  const { value, errors } = validateReading(channels, body);
+  if (errors) {
+    return { error: errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message)).join('; ') };
+  }
+  return { reading: value };
+}
+
+/** Index of the topic level that carries the machine code (the first `+`), or -1. */
+function codeLevel(topicPattern) {
+  return topicPattern.split('/').indexOf('+');
+}
+
+function parsePayloadMap(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error('Ignoring MQTT_PAYLOAD_MAP, it is not valid JSON:', err.message);
+    return {};
+  }
+}
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString();
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Optional MQTT subscriber. Readings published on `topic` are matched to a
+ * machine by its `code` (taken from the first `+` level of the topic, or from
+ * the payload when the pattern has none) and handed to the same ingest path
+ * as POST /api/machines/:id/vitals/batch, so redelivered readings are skipped
+ * and late ones don't re-run the alert rules.
+ *
+ * `connect` defaults to mqtt.connect; pass another to point the gateway at an
+ * in-process broker.
+ */
+function createMqttGateway({
+  store,
+  ingestBatch,
+  url = process.env.MQTT_URL,
+  topic = process.env.MQTT_TOPIC || DEFAULT_TOPIC,
+  payloadMap = parsePayloadMap(process.env.MQTT_PAYLOAD_MAP),
+  qos = parseInt(process.env.MQTT_QOS || '0', 10),
+  options = {
+    clientId: process.env.MQTT_CLIENT_ID || undefined,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined
+  },
+  connect
+}) {
+  const level = codeLevel(topic);
+  const stats = {
+    received: 0,
+    ingested: 0,
+    duplicate: 0,
+    rejected: 0,
+    lastMessageAt: null,
+    lastError: null
+  };
+  let client = null;
+  let connected = false;
+
+  function reject(topicName, reason) {
+    stats.rejected += 1;
+    stats.lastError = { topic: topicName, reason, at: new Date().toISOString() };
+    console.warn(`MQTT message on ${topicName} dropped: ${reason}`);
+  }
+
+  function handleMessage(topicName, message) {
+    stats.received += 1;
+    stats.lastMessageAt = new Date().toISOString();
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString('utf8'));
+    } catch (err) {
+      return reject(topicName, 'payload is not valid JSON');
+    }
+    if (!payload || typeof payload !== 'object') {
+      return reject(topicName, 'payload must be a JSON object');
+    }
+
+    const code = level >= 0 ? topicName.split('/')[level] : payloadCode(payload, payloadMap);
+    if (!code) return reject(topicName, 'no machine code in topic or payload');
+
+    const machine = findMachineByCode(store, code);
+    if (!machine) return reject(topicName, `no machine with code ${code}`);
+
+    const mapped = mapPayload(payload, channelsFor(machine), payloadMap);
+    if (mapped.error) return reject(topicName, mapped.error);
+
+    // Readings without a timestamp were taken now.
+    const reading = { ...mapped.reading, timestamp: mapped.reading.timestamp || new Date().toISOString() };
+    try {
+      const [result] = ingestBatch(machine, [reading]);
+      stats[result.status === 'duplicate' ? 'duplicate' : 'ingested'] += 1;
+    } catch (err) {
+      reject(topicName, err.message);
+    }
+  }
+
+  function start() {
+    if (!url) return false;
+    const connectFn = connect || require('mqtt').connect;
+    client = connectFn(url, { ...options, reconnectPeriod: 5000 });
+
+    client.on('connect', () => {
+      connected = true;
+      client.subscribe(topic, { qos }, (err) => {
+        if (err) console.error(`MQTT subscribe to ${topic} failed:`, err.message);
+        else console.log(`MQTT gateway subscribed to ${topic} on ${redactUrl(url)}`);
+      });
+    });
+    client.on('close', () => {
+      connected = false;
+    });
+    client.on('error', (err) => {
+      stats.lastError = { reason: err.message, at: new Date().toISOString() };
+      console.error('MQTT error:', err.message);
+    });
+    client.on('message', handleMessage);
+    return true;
+  }
+
+  function stop() {
+    return new Promise(resolve => {
+      if (!client) return resolve();
+      client.end(false, {}, () => {
+        client = null;
+        connected = false;
+        resolve();
+      });
+    });
+  }
+
+  function status() {
+    return {
+      enabled: Boolean(url),
+      connected,
+      url: url ? redactUrl(url) : null,
+      topic,
+      ...stats
+    };
+  }
+
+  return { start, stop, status, handleMessage };
+}
+
+/** GET /status: whether the gateway is connected and what it has ingested. */
+function createMqttRouter({ gateway }) {
+  const router = express.Router();
+
+  router.get('/status', (req, res) => {
+    res.json(gateway.status());
+  });
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_TOPIC,
+  mapPayload,
+  createMqttGateway,
+  createMqttRouter
+};
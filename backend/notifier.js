@@ -0,0 +1,266 @@
+const express = require('express');
+const { validate, sendValidationErrors } = require('./validation');
+
+function splitList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return list.map(s => s.trim()).filter(Boolean);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function notifySettings() {
+  return {
+    maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '3', 10),
+    retryBaseMs: parseInt(process.env.NOTIFY_RETRY_BASE_MS || '1000', 10),
+    timeoutMs: parseInt(process.env.NOTIFY_TIMEOUT_MS || '10000', 10),
+    logLimit: parseInt(process.env.NOTIFY_DELIVERY_LOG_LIMIT || '1000', 10)
+  };
+}
+
+async function postJson(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+}
+
+function machineSummary(machine) {
+  return machine
+    ? { id: machine.id, name: machine.name, code: machine.code, location: machine.location }
+    : null;
+}
+
+const SEVERITY_COLORS = { info: '0EA5E9', warning: 'F97316', critical: 'EF4444' };
+
+/**
+ * Built-in channels. Each one turns a message into a delivery to a single
+ * target (an email recipient list or a webhook URL) and throws on failure so
+ * the dispatcher can retry it.
+ */
+function builtInChannels(transporter) {
+  return {
+    email: {
+      async send(target, message) {
+        if (!transporter) {
+          console.log('EMAIL ALERT (simulated):', { subject: message.subject, text: message.text, ...target });
+          return 'simulated';
+        }
+        await transporter.sendMail({
+          from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+          to: target.to.join(', '),
+          cc: target.cc.length > 0 ? target.cc.join(', ') : undefined,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          attachments: message.attachments
+        });
+        return 'delivered';
+      }
+    },
+
+    webhook: {
+      async send(target, message, settings) {
+        await postJson(target.url, {
+          event: message.event,
+          subject: message.subject,
+          text: message.text,
+          severity: message.severity,
+          machine: machineSummary(message.machine),
+          alert: message.alert || null,
+          sentAt: new Date().toISOString()
+        }, settings.timeoutMs);
+        return 'delivered';
+      }
+    },
+
+    slack: {
+      async send(target, message, settings) {
+        await postJson(target.url, {
+          text: `*${message.subject}*\n${message.text}`
+        }, settings.timeoutMs);
+        return 'delivered';
+      }
+    },
+
+    teams: {
+      async send(target, message, settings) {
+        await postJson(target.url, {
+          '@type': 'MessageCard',
+          '@context': 'https://schema.org/extensions',
+          summary: message.subject,
+          themeColor: SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info,
+          title: message.subject,
+          text: message.text.replace(/\n/g, '<br>')
+        }, settings.timeoutMs);
+        return 'delivered';
+      }
+    }
+  };
+}
+
+function createNotifier({ store, generateId, transporter }) {
+  const channels = builtInChannels(transporter);
+
+  function registerChannel(type, channel) {
+    channels[type] = channel;
+  }
+
+  /**
+   * Works out who hears about a message: the machine's responsible contacts
+   * (falling back to ALERT_EMAIL_TO) with ALERT_EMAIL_CC copied, plus every
+   * global and per-machine webhook channel. `recipients` replaces the email
+   * recipients, e.g. for escalations.
+   */
+  function routesFor(message) {
+    const routes = [];
+    const machine = message.machine;
+    const to = message.recipients
+      ? splitList(message.recipients)
+      : splitList(machine && machine.responsibleEmail);
+    const emailTo = to.length > 0 ? to : splitList(process.env.ALERT_EMAIL_TO);
+    const cc = splitList(process.env.ALERT_EMAIL_CC).filter(addr => !emailTo.includes(addr));
+
+    if (emailTo.length > 0) {
+      routes.push({ channel: 'email', target: { to: emailTo, cc }, label: emailTo.join(', ') });
+    } else {
+      console.warn('No email recipients for alert:', message.subject);
+    }
+
+    const webhooks = [
+      ...splitList(process.env.ALERT_WEBHOOK_URLS).map(url => ({ type: 'webhook', url })),
+      ...splitList(process.env.ALERT_SLACK_WEBHOOK_URLS).map(url => ({ type: 'slack', url })),
+      ...splitList(process.env.ALERT_TEAMS_WEBHOOK_URLS).map(url => ({ type: 'teams', url })),
+      ...((machine && machine.notificationChannels) || [])
+    ];
+    webhooks.forEach(hook => {
+      if (!channels[hook.type]) {
+        console.warn(`Unknown notification channel "${hook.type}" skipped`);
+        return;
+      }
+      routes.push({ channel: hook.type, target: { url: hook.url }, label: hook.url });
+    });
+
+    return routes;
+  }
+
+  function recordDelivery(route, message) {
+    const settings = notifySettings();
+    const delivery = {
+      id: generateId(),
+      channel: route.channel,
+      target: route.label,
+      subject: message.subject,
+      alertId: message.alert ? message.alert.id : null,
+      machineId: message.machine ? message.machine.id : null,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    store.insert('deliveries', delivery);
+    const log = store.list('deliveries');
+    log.slice(0, Math.max(0, log.length - settings.logLimit)).forEach(d => store.remove('deliveries', d.id));
+    return delivery;
+  }
+
+  async function deliver(route, message, delivery) {
+    const settings = notifySettings();
+    const channel = channels[route.channel];
+
+    for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+      try {
+        const status = await channel.send(route.target, message, settings);
+        delivery.attempts.push({ at: new Date().toISOString(), ok: true });
+        delivery.status = status || 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        break;
+      } catch (err) {
+        delivery.attempts.push({ at: new Date().toISOString(), ok: false, error: err.message });
+        console.error(`Error delivering ${route.channel} notification to ${route.label}:`, err.message);
+        if (attempt < settings.maxAttempts) {
+          await sleep(settings.retryBaseMs * 2 ** (attempt - 1));
+        } else {
+          delivery.status = 'failed';
+        }
+      }
+    }
+    store.update('deliveries', delivery);
+    return delivery;
+  }
+
+  /**
+   * Sends `message` ({ subject, text, severity, machine, alert, recipients })
+   * on every route that applies to it, or only on the channel types listed in
+   * `via`. Email also takes `html` and nodemailer `attachments`. Resolves once
+   * all channels have delivered or exhausted their retries.
+   */
+  async function notify(message) {
+    const full = { event: 'alert', severity: 'info', ...message };
+    const routes = routesFor(full).filter(route => !full.via || full.via.includes(route.channel));
+    const deliveries = routes.map(route => ({ route, delivery: recordDelivery(route, full) }));
+
+    return Promise.all(deliveries.map(({ route, delivery }) => deliver(route, full, delivery)));
+  }
+
+  return { notify, registerChannel, routesFor };
+}
+
+const deliveryQuerySchema = {
+  limit: { type: 'number', integer: true, min: 1, max: 1000, default: 100 }
+};
+
+function createNotificationsRouter({ store, notifier }) {
+  const router = express.Router();
+
+  router.get('/deliveries', (req, res) => {
+    const { value: query, errors } = validate(deliveryQuerySchema, req.query, { allowUnknown: true });
+    if (errors) return sendValidationErrors(res, errors);
+    const { limit } = query;
+    const { status, channel, alertId, machineId } = req.query;
+    const deliveries = store.list('deliveries')
+      .filter(d => !status || d.status === status)
+      .filter(d => !channel || d.channel === channel)
+      .filter(d => !alertId || d.alertId === alertId)
+      .filter(d => !machineId || d.machineId === machineId)
+      .slice(-limit)
+      .reverse();
+    res.json(deliveries);
+  });
+
+  router.post('/test', async (req, res, next) => {
+    const machine = req.body.machineId
+      ? store.get('machines', req.body.machineId)
+      : null;
+    if (req.body.machineId && !machine) {
+      return res.status(404).json({ message: 'Machine not found' });
+    }
+    try {
+      const deliveries = await notifier.notify({
+        event: 'test',
+        subject: 'Test notification from Smart Maintenance Monitor',
+        text: 'If you can read this, alert routing for this channel works.',
+        machine,
+        recipients: req.body.recipients
+      });
+      res.json(deliveries);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  splitList,
+  createNotifier,
+  createNotificationsRouter
+};
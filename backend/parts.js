@@ -0,0 +1,322 @@
+const express = require('express');
+const { validate, sendValidationErrors, sendError } = require('./validation');
+
+// Spare parts and what maintenance takes of them:
+//   part  { id, partNumber, description, quantityOnHand, reorderLevel, location,
+//           lowStockNotifiedAt, createdAt, updatedAt }
+//   bom   { id, machineId, items: [{ partId, quantity }], updatedAt }, one per
+//         machine (id = machine id): the parts each scheduled maintenance of
+//         that machine consumes.
+// Part numbers are unique ignoring case; work orders name parts by number.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function partsSettings() {
+  return {
+    lookaheadDays: parseInt(process.env.MAINTENANCE_LOOKAHEAD_DAYS || '7', 10),
+    // Falls back to ALERT_EMAIL_TO like any alert without a machine.
+    alertEmailTo: process.env.PARTS_ALERT_EMAIL_TO || ''
+  };
+}
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+const isLow = part => part.quantityOnHand <= part.reorderLevel;
+
+function partWithNumber(store, partNumber, exceptId = null) {
+  return store.list('parts').find(p => p.id !== exceptId && sameText(p.partNumber, partNumber)) || null;
+}
+
+function bomItems(store, machineId) {
+  const bom = store.get('boms', machineId);
+  return bom ? bom.items : [];
+}
+
+const byDueDate = (a, b) => (a.nextMaintenanceDate < b.nextMaintenanceDate ? -1 : a.nextMaintenanceDate > b.nextMaintenanceDate ? 1 : a.name.localeCompare(b.name));
+
+/**
+ * Hands the stock out to `machines` in order, so maintenance due first gets
+ * its parts first, and returns each machine's BOM as
+ * `{ machineId, name, code, nextMaintenanceDate, shortfall, items }` where every
+ * item says how many are `needed`, how many are left for it (`available`)
+ * and how many are `short`.
+ */
+function allocate(store, machines) {
+  const parts = new Map(store.list('parts').map(p => [p.id, p]));
+  const left = new Map(store.list('parts').map(p => [p.id, p.quantityOnHand]));
+  return machines.map(machine => {
+    const items = bomItems(store, machine.id).filter(item => parts.has(item.partId)).map(item => {
+      const part = parts.get(item.partId);
+      const available = left.get(part.id);
+      left.set(part.id, Math.max(0, available - item.quantity));
+      return {
+        partId: part.id,
+        partNumber: part.partNumber,
+        description: part.description,
+        location: part.location,
+        needed: item.quantity,
+        quantityOnHand: part.quantityOnHand,
+        available,
+        short: Math.max(0, item.quantity - available)
+      };
+    });
+    return {
+      machineId: machine.id,
+      name: machine.name,
+      code: machine.code || '',
+      nextMaintenanceDate: machine.nextMaintenanceDate || null,
+      shortfall: items.some(i => i.short > 0),
+      items
+    };
+  });
+}
+
+const dueBy = (machine, limit) => Boolean(machine.nextMaintenanceDate) && machine.nextMaintenanceDate.slice(0, 10) <= limit;
+
+/** Every machine whose maintenance falls due by `until` (overdue included), with its parts allocated. */
+function forecast(store, until) {
+  const limit = until.toISOString().slice(0, 10);
+  return allocate(store, store.list('machines').filter(m => dueBy(m, limit)).sort(byDueDate));
+}
+
+/** The machine's next maintenance with its parts, after the maintenance due before it has taken its share. */
+function machineForecast(store, machine, now = new Date()) {
+  // Without a date the machine queues behind everything already due.
+  const ahead = store.list('machines').filter(m => m.id !== machine.id && (machine.nextMaintenanceDate
+    ? Boolean(m.nextMaintenanceDate) && byDueDate(m, machine) < 0
+    : dueBy(m, now.toISOString().slice(0, 10))));
+  return allocate(store, [...ahead.sort(byDueDate), machine]).pop();
+}
+
+/** Lines for the maintenance reminder email, or '' when the machine has no BOM. */
+function describeParts(entry) {
+  if (entry.items.length === 0) return '';
+  const lines = entry.items.map(i => `  - ${i.partNumber} ${i.description}: ${i.needed} needed, ${i.available} available`
+    + `${i.location ? ` (${i.location})` : ''}${i.short > 0 ? ` — SHORT ${i.short}` : ''}`);
+  return `Parts for this maintenance${entry.shortfall ? ' (NOT ALL IN STOCK)' : ''}:\n${lines.join('\n')}`;
+}
+
+/**
+ * Stock movements with their side effects: parts taken by completed
+ * maintenance, and the low-stock email, sent once when a part drops to its
+ * reorder level and armed again when it is restocked above it.
+ */
+function createInventory({ store, notifier, events }) {
+  function changed() {
+    events.publish('parts.changed', {});
+  }
+
+  function notifyLowStock(part, now) {
+    const settings = partsSettings();
+    const until = new Date(now.getTime() + settings.lookaheadDays * DAY_MS);
+    const waiting = forecast(store, until).filter(e => e.items.some(i => i.partId === part.id));
+    const subject = `📦 Low stock: ${part.partNumber} ${part.description}`.trim();
+    const text = `Part: ${part.partNumber}
+Description: ${part.description || '-'}
+Storage location: ${part.location || '-'}
+
+Quantity on hand: ${part.quantityOnHand}
+Reorder level: ${part.reorderLevel}
+${waiting.length > 0 ? `
+Needed for maintenance due in the next ${settings.lookaheadDays} days:
+${waiting.map(e => `  - ${e.name} (${e.nextMaintenanceDate}): ${e.items.find(i => i.partId === part.id).needed}`).join('\n')}
+` : ''}
+Please reorder.`;
+    notifier.notify({
+      event: 'low-stock',
+      subject,
+      text,
+      severity: part.quantityOnHand === 0 ? 'warning' : 'info',
+      recipients: settings.alertEmailTo || undefined,
+      via: ['email']
+    });
+  }
+
+  /** Saves a part whose quantity or reorder level may have changed and emails if it just ran low. */
+  function saveStock(part, now = new Date()) {
+    if (isLow(part) && !part.lowStockNotifiedAt) {
+      part.lowStockNotifiedAt = now.toISOString();
+      notifyLowStock(part, now);
+    } else if (!isLow(part)) {
+      part.lowStockNotifiedAt = null;
+    }
+    part.updatedAt = now.toISOString();
+    store.update('parts', part);
+  }
+
+  /**
+   * Takes the parts of a completed work order out of stock. A machine order
+   * that lists no parts used the machine's BOM; one for a single component
+   * used only what it lists. Parts the inventory doesn't know
+   * are left alone; `order.stockTaken` records what was taken and what
+   * was missing.
+   */
+  function consume(machine, order, now = new Date()) {
+    if (!Array.isArray(order.partsUsed)) order.partsUsed = [];
+    if (order.partsUsed.length === 0 && !order.componentId) {
+      order.partsUsed = bomItems(store, machine.id)
+        .map(item => ({ item, part: store.get('parts', item.partId) }))
+        .filter(({ part }) => part)
+        .map(({ item, part }) => ({ partNumber: part.partNumber, description: part.description, quantity: item.quantity }));
+    }
+
+    order.stockTaken = [];
+    order.partsUsed.forEach(used => {
+      const part = partWithNumber(store, used.partNumber);
+      if (!part) return;
+      const taken = Math.min(used.quantity, part.quantityOnHand);
+      part.quantityOnHand -= taken;
+      saveStock(part, now);
+      order.stockTaken.push({ partId: part.id, partNumber: part.partNumber, quantity: taken, short: used.quantity - taken });
+    });
+    if (order.stockTaken.length > 0) changed();
+  }
+
+  return { changed, saveStock, consume };
+}
+
+const partSchema = {
+  partNumber: { type: 'string', required: true, maxLength: 60 },
+  description: { type: 'string', maxLength: 200, default: '' },
+  quantityOnHand: { type: 'number', integer: true, min: 0, default: 0 },
+  reorderLevel: { type: 'number', integer: true, min: 0, default: 0 },
+  location: { type: 'string', maxLength: 120, default: '' }
+};
+
+const bomItemSchema = {
+  partId: { type: 'string', required: true },
+  quantity: { type: 'number', integer: true, min: 1, default: 1 }
+};
+
+const bomSchema = {
+  items: { type: 'array', required: true, maxItems: 100 }
+};
+
+/**
+ * Mounted at /api/parts:
+ *   GET    /                 parts with `low` and how many upcoming maintenance `reserved`
+ *   POST   /, PUT /:id       create and edit (quantity changes count as stock movements)
+ *   DELETE /:id              refused while a BOM lists the part
+ *   GET    /shortfalls       maintenance due within ?days= (default
+ *                            MAINTENANCE_LOOKAHEAD_DAYS) and whether its parts are there
+ */
+function createPartsRouter({ store, generateId, inventory }) {
+  const router = express.Router();
+
+  function withStatus(parts, now) {
+    const entries = forecast(store, new Date(now.getTime() + partsSettings().lookaheadDays * DAY_MS));
+    const reserved = new Map();
+    entries.forEach(e => e.items.forEach(i => reserved.set(i.partId, (reserved.get(i.partId) || 0) + i.needed)));
+    return parts.map(p => ({ ...p, low: isLow(p), reserved: reserved.get(p.id) || 0 }));
+  }
+
+  function save(req, res) {
+    const existing = req.params.id ? store.get('parts', req.params.id) : null;
+    if (req.params.id && !existing) return res.status(404).json({ message: 'Part not found' });
+    const { value, errors } = validate(partSchema, req.body, { partial: Boolean(existing) });
+    if (errors) return sendValidationErrors(res, errors);
+    if (value.partNumber !== undefined && partWithNumber(store, value.partNumber, existing && existing.id)) {
+      return sendValidationErrors(res, [{ field: 'partNumber', message: 'is already used by another part' }]);
+    }
+
+    const now = new Date();
+    const part = existing
+      ? { ...existing, ...value }
+      : { id: generateId(), ...value, lowStockNotifiedAt: null, createdAt: now.toISOString() };
+    if (!existing) store.insert('parts', part);
+    inventory.saveStock(part, now);
+    inventory.changed();
+    res.status(existing ? 200 : 201).json(withStatus([part], now)[0]);
+  }
+
+  router.get('/', (req, res) => {
+    const parts = store.list('parts').sort((a, b) => a.partNumber.localeCompare(b.partNumber));
+    res.json(withStatus(parts, new Date()));
+  });
+
+  router.get('/shortfalls', (req, res) => {
+    const { value, errors } = validate({
+      days: { type: 'number', integer: true, min: 0, max: 366, default: partsSettings().lookaheadDays }
+    }, req.query, { allowUnknown: true });
+    if (errors) return sendValidationErrors(res, errors);
+    const now = new Date();
+    const entries = forecast(store, new Date(now.getTime() + value.days * DAY_MS)).filter(e => e.items.length > 0);
+    res.json({ days: value.days, shortfall: entries.some(e => e.shortfall), machines: entries });
+  });
+
+  router.post('/', save);
+  router.put('/:id', save);
+
+  router.delete('/:id', (req, res) => {
+    const part = store.get('parts', req.params.id);
+    if (!part) return res.status(404).json({ message: 'Part not found' });
+    const users = store.list('boms').filter(b => b.items.some(i => i.partId === part.id));
+    if (users.length > 0) {
+      return sendError(res, 409, `${part.partNumber} is on the bill of materials of ${users.length} machine(s); take it off first`);
+    }
+    store.remove('parts', part.id);
+    inventory.changed();
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * Mounted at /api/machines/:id/bom: GET the machine's bill of materials as
+ * its next maintenance would draw on stock, PUT `{ items: [{ partId, quantity }] }`
+ * to replace it.
+ */
+function createBomRouter({ store, inventory }) {
+  const router = express.Router({ mergeParams: true });
+
+  function findMachine(req, res) {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) res.status(404).json({ message: 'Machine not found' });
+    return machine;
+  }
+
+  router.get('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    res.json(machineForecast(store, machine));
+  });
+
+  router.put('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const { value, errors } = validate(bomSchema, req.body);
+    if (errors) return sendValidationErrors(res, errors);
+
+    const itemErrors = [];
+    const items = [];
+    value.items.forEach((raw, i) => {
+      const result = validate(bomItemSchema, raw);
+      if (result.errors) {
+        itemErrors.push(...result.errors.map(e => ({ field: `items.${i}${e.field ? `.${e.field}` : ''}`, message: e.message })));
+      } else if (!store.get('parts', result.value.partId)) {
+        itemErrors.push({ field: `items.${i}.partId`, message: 'is not a part' });
+      } else if (items.some(item => item.partId === result.value.partId)) {
+        itemErrors.push({ field: `items.${i}.partId`, message: 'is listed twice' });
+      } else {
+        items.push(result.value);
+      }
+    });
+    if (itemErrors.length > 0) return sendValidationErrors(res, itemErrors);
+
+    const bom = { id: machine.id, machineId: machine.id, items, updatedAt: new Date().toISOString() };
+    if (store.get('boms', machine.id)) store.update('boms', bom);
+    else store.insert('boms', bom);
+    inventory.changed();
+    res.json(machineForecast(store, machine));
+  });
+
+  return router;
+}
+
+module.exports = {
+  machineForecast,
+  describeParts,
+  createInventory,
+  createPartsRouter,
+  createBomRouter
+};
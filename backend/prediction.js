@@ -0,0 +1,223 @@
+const { channelsFor } = require('./metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const Z_95 = 1.96;
+
+function predictionSettings() {
+  return {
+    minSamples: parseInt(process.env.PREDICTION_MIN_SAMPLES || '5', 10),
+    maxSamples: parseInt(process.env.PREDICTION_MAX_SAMPLES || '500', 10),
+    horizonDays: parseInt(process.env.PREDICTION_HORIZON_DAYS || '365', 10)
+  };
+}
+
+function linearFit(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((s, x) => s + x, 0) / n;
+  const meanY = ys.reduce((s, y) => s + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const sse = xs.reduce((s, x, i) => s + (ys[i] - (intercept + slope * x)) ** 2, 0);
+  const slopeStdErr = n > 2 ? Math.sqrt(sse / (n - 2)) / Math.sqrt(sxx) : 0;
+  return { slope, intercept, slopeStdErr };
+}
+
+function rSquared(ys, predicted) {
+  const meanY = ys.reduce((s, y) => s + y, 0) / ys.length;
+  const sst = ys.reduce((s, y) => s + (y - meanY) ** 2, 0);
+  if (sst === 0) return 1;
+  const sse = ys.reduce((s, y, i) => s + (y - predicted[i]) ** 2, 0);
+  return Math.max(0, 1 - sse / sst);
+}
+
+// Both models are linear in a transformed space: identity for the linear
+// model, ln(y) for exponential degradation. `toSpace`/`fromSpace` convert
+// between the reading scale and that space.
+const MODELS = {
+  linear: {
+    applies: () => true,
+    toSpace: y => y,
+    fromSpace: v => v
+  },
+  exponential: {
+    applies: ys => ys.every(y => y > 0),
+    toSpace: y => Math.log(y),
+    fromSpace: v => Math.exp(v)
+  }
+};
+
+function fitBestModel(xs, ys) {
+  let best = null;
+  Object.keys(MODELS).forEach(name => {
+    const model = MODELS[name];
+    if (!model.applies(ys)) return;
+    const fit = linearFit(xs, ys.map(model.toSpace));
+    if (!fit) return;
+    const predicted = xs.map(x => model.fromSpace(fit.intercept + fit.slope * x));
+    const r2 = rSquared(ys, predicted);
+    if (!best || r2 > best.r2) {
+      best = { name, model, fit, r2 };
+    }
+  });
+  return best;
+}
+
+function crossingHours(model, intercept, slope, threshold, xNow) {
+  if (slope <= 0) return null;
+  const x = (model.toSpace(threshold) - intercept) / slope;
+  return Math.max(0, x - xNow);
+}
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function predictMetric(metric, samples, threshold, now, settings) {
+  const base = { metric, limit: 'max', threshold, sampleCount: samples.length };
+  if (typeof threshold !== 'number' || Number.isNaN(threshold)) {
+    return { ...base, status: 'no-threshold' };
+  }
+  if (samples.length < settings.minSamples) {
+    return { ...base, status: 'insufficient-data' };
+  }
+
+  const t0 = samples[0].t;
+  const xs = samples.map(s => (s.t - t0) / HOUR_MS);
+  const ys = samples.map(s => s.value);
+  const best = fitBestModel(xs, ys);
+  if (!best) return { ...base, status: 'insufficient-data' };
+
+  const { model, fit } = best;
+  const xNow = (now.getTime() - t0) / HOUR_MS;
+  const current = model.fromSpace(fit.intercept + fit.slope * xNow);
+  const result = {
+    ...base,
+    model: best.name,
+    r2: round(best.r2, 3),
+    current: round(current),
+    slopePerDay: round((model.fromSpace(fit.intercept + fit.slope * (xNow + 24)) - current), 4)
+  };
+
+  if (current >= threshold) {
+    return { ...result, status: 'exceeded', timeToThresholdHours: 0, estimatedDate: now.toISOString() };
+  }
+
+  const hours = crossingHours(model, fit.intercept, fit.slope, threshold, xNow);
+  if (hours === null || hours > settings.horizonDays * 24) {
+    return { ...result, status: 'stable', timeToThresholdHours: null, estimatedDate: null };
+  }
+
+  // A steeper slope reaches the threshold sooner, so the upper slope bound
+  // gives the earliest date of the 95% band.
+  const margin = Z_95 * fit.slopeStdErr;
+  const earliest = crossingHours(model, fit.intercept, fit.slope + margin, threshold, xNow);
+  const latest = crossingHours(model, fit.intercept, fit.slope - margin, threshold, xNow);
+  const toDate = h => (h === null ? null : new Date(now.getTime() + h * HOUR_MS).toISOString());
+
+  return {
+    ...result,
+    status: 'degrading',
+    timeToThresholdHours: round(hours, 1),
+    estimatedDate: toDate(hours),
+    confidence: {
+      level: 0.95,
+      earliestDate: toDate(earliest),
+      latestDate: toDate(latest)
+    }
+  };
+}
+
+// A falling trend towards a low limit is the same problem mirrored: negate
+// the readings and the limit, project, then flip the numbers back.
+function predictLowLimit(metric, samples, min, now, settings) {
+  const mirrored = samples.map(s => ({ t: s.t, value: -s.value }));
+  const result = predictMetric(metric, mirrored, -min, now, settings);
+  const flipped = { ...result, limit: 'min', threshold: min };
+  if (typeof result.current === 'number') flipped.current = -result.current;
+  if (typeof result.slopePerDay === 'number') flipped.slopePerDay = -result.slopePerDay;
+  return flipped;
+}
+
+function soonest(result) {
+  if (result.status === 'exceeded') return 0;
+  if (result.status !== 'degrading') return Infinity;
+  return result.timeToThresholdHours;
+}
+
+function predictChannel(channel, samples, now, settings) {
+  const hasMax = typeof channel.max === 'number';
+  const hasMin = typeof channel.min === 'number';
+  const high = predictMetric(channel.key, samples, hasMax ? channel.max : null, now, settings);
+  if (!hasMin) return high;
+
+  const low = predictLowLimit(channel.key, samples, channel.min, now, settings);
+  return !hasMax || soonest(low) < soonest(high) ? low : high;
+}
+
+/**
+ * Fits a degradation trend per channel over the machine's stored readings and
+ * projects when each one will reach its high or low limit. `vitals` must be
+ * the machine's readings, oldest first.
+ */
+function predictMachine(machine, vitals, now = new Date()) {
+  const settings = predictionSettings();
+  const recent = vitals.slice(-settings.maxSamples);
+
+  const metrics = {};
+  channelsFor(machine).forEach(channel => {
+    const samples = recent
+      .filter(v => typeof v[channel.key] === 'number')
+      .map(v => ({ t: new Date(v.timestamp).getTime(), value: v[channel.key] }));
+    metrics[channel.key] = predictChannel(channel, samples, now, settings);
+  });
+
+  let limiting = null;
+  Object.values(metrics).forEach(m => {
+    if (m.status !== 'degrading' && m.status !== 'exceeded') return;
+    const date = m.confidence ? m.confidence.earliestDate : m.estimatedDate;
+    if (!limiting || new Date(date) < new Date(limiting.date)) {
+      limiting = { metric: m.metric, date };
+    }
+  });
+
+  return {
+    machineId: machine.id,
+    generatedAt: now.toISOString(),
+    sampleCount: recent.length,
+    scheduledMaintenanceDate: machine.nextMaintenanceDate || null,
+    predictedMaintenanceDate: limiting ? limiting.date.slice(0, 10) : null,
+    limitingMetric: limiting ? limiting.metric : null,
+    metrics
+  };
+}
+
+/**
+ * Returns the date maintenance is actually due: the predicted date when it
+ * comes before the scheduled one, otherwise the scheduled date.
+ */
+function effectiveMaintenanceDate(machine, prediction) {
+  const scheduled = machine.nextMaintenanceDate ? new Date(machine.nextMaintenanceDate) : null;
+  const predicted = prediction && prediction.predictedMaintenanceDate
+    ? new Date(prediction.predictedMaintenanceDate)
+    : null;
+
+  if (predicted && (!scheduled || predicted < scheduled)) {
+    return { date: predicted, source: 'predicted' };
+  }
+  return scheduled ? { date: scheduled, source: 'scheduled' } : null;
+}
+
+module.exports = {
+  predictionSettings,
+  predictMachine,
+  effectiveMaintenanceDate
+};
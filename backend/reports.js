@@ -0,0 +1,589 @@
+const express = require('express');
+const PDFDocument = require('pdfkit');
+const { channelsFor, formatValue } = require('./metrics');
+const { splitList } = require('./notifier');
+const { vitalsHistory } = require('./retention');
+const { parseQuery } = require('./vitalsQuery');
+const { validate, sendValidationErrors } = require('./validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const REPORT_FORMATS = ['json', 'html', 'pdf'];
+const MAX_REPORT_DAYS = 366;
+const MAX_LISTED_ALERTS = 50;
+const CHART_COLORS = ['#0ea5e9', '#f97316', '#22c55e', '#a855f7', '#ef4444', '#eab308'];
+
+function dateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function inRange(value, from, to) {
+  if (!value) return false;
+  const t = new Date(value).getTime();
+  return t >= from.getTime() && t <= to.getTime();
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Keeps each trend chart to a few dozen points whatever the period.
+function trendBucketMs(spanMs) {
+  if (spanMs <= 2 * DAY_MS) return HOUR_MS;
+  if (spanMs <= 14 * DAY_MS) return 6 * HOUR_MS;
+  return DAY_MS;
+}
+
+// Combined from the trend points, which may come from rollups of expired readings.
+function channelStats(channel, points) {
+  const stats = points.map(p => p[channel.key]).filter(s => s.count > 0);
+  const count = stats.reduce((sum, s) => sum + s.count, 0);
+  const precision = channel.precision ?? 1;
+  return {
+    key: channel.key,
+    name: channel.name,
+    unit: channel.unit,
+    precision,
+    count,
+    min: count > 0 ? Math.min(...stats.map(s => s.min)) : null,
+    avg: count > 0 ? round(stats.reduce((sum, s) => sum + s.sum, 0) / count, precision + 1) : null,
+    max: count > 0 ? Math.max(...stats.map(s => s.max)) : null
+  };
+}
+
+/** The start of the period a schedule's report covers when it runs at `to`. */
+function periodStart(frequency, to) {
+  const from = new Date(to);
+  if (frequency === 'daily') from.setDate(from.getDate() - 1);
+  else if (frequency === 'weekly') from.setDate(from.getDate() - 7);
+  else from.setMonth(from.getMonth() - 1);
+  return from;
+}
+
+/** When a schedule next fires after `after`, in the server's local time. */
+function nextRunAt(schedule, after = new Date()) {
+  const next = new Date(after);
+  next.setHours(schedule.hour, 0, 0, 0);
+  if (schedule.frequency === 'weekly') {
+    next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+  } else if (schedule.frequency === 'monthly') {
+    next.setDate(schedule.dayOfMonth);
+  }
+  while (next <= after) {
+    if (schedule.frequency === 'daily') next.setDate(next.getDate() + 1);
+    else if (schedule.frequency === 'weekly') next.setDate(next.getDate() + 7);
+    else next.setMonth(next.getMonth() + 1);
+  }
+  return next;
+}
+
+/**
+ * Collects what a report shows for the machines in `machineIds` (the whole
+ * fleet when empty) over [from, to]: maintenance due within `lookaheadDays`
+ * of the end or already overdue, alerts raised and resolved in the period,
+ * min/avg/max per channel and averaged trend points for the charts.
+ */
+function buildReport(store, { from, to, machineIds = [], lookaheadDays = 7, title }) {
+  const all = store.list('machines');
+  const machines = machineIds.length > 0 ? all.filter(m => machineIds.includes(m.id)) : all;
+  const alerts = store.list('alerts');
+  const workOrders = store.list('workOrders');
+  const bucketMs = trendBucketMs(to - from);
+  const upcomingUntil = to.getTime() + lookaheadDays * DAY_MS;
+
+  const overdue = [];
+  const upcoming = [];
+  const raisedAlerts = [];
+
+  const rows = machines.map(machine => {
+    const machineAlerts = alerts.filter(a => a.machineId === machine.id);
+    const raised = machineAlerts.filter(a => inRange(a.createdAt, from, to));
+    const resolved = machineAlerts.filter(a => inRange(a.resolvedAt, from, to));
+    const completed = workOrders.filter(o => o.machineId === machine.id && inRange(o.completedAt, from, to));
+    raisedAlerts.push(...raised);
+
+    let maintenanceState = 'unknown';
+    let daysUntilDue = null;
+    if (machine.nextMaintenanceDate) {
+      const due = new Date(machine.nextMaintenanceDate).getTime();
+      daysUntilDue = round((due - to.getTime()) / DAY_MS, 1);
+      maintenanceState = due < to.getTime() ? 'overdue' : due <= upcomingUntil ? 'upcoming' : 'ok';
+      const entry = { machineId: machine.id, name: machine.name, code: machine.code || '', dueDate: machine.nextMaintenanceDate, daysUntilDue };
+      if (maintenanceState === 'overdue') overdue.push(entry);
+      if (maintenanceState === 'upcoming') upcoming.push(entry);
+    }
+
+    const channels = channelsFor(machine);
+    const keys = channels.map(c => c.key);
+    const { points } = vitalsHistory(store, machine, { from, to }, bucketMs, ['avg', 'min', 'max', 'sum', 'count']);
+    const trend = points.map(point => {
+      const flat = { timestamp: point.timestamp };
+      keys.forEach(k => {
+        flat[k] = point[k].avg;
+      });
+      return flat;
+    });
+
+    return {
+      id: machine.id,
+      name: machine.name,
+      code: machine.code || '',
+      location: machine.location || '',
+      nextMaintenanceDate: machine.nextMaintenanceDate || null,
+      maintenanceState,
+      daysUntilDue,
+      maintenanceCompleted: completed.length,
+      alertsRaised: raised.length,
+      alertsResolved: resolved.length,
+      openAlerts: machineAlerts.filter(a => a.status !== 'resolved').length,
+      readings: points.reduce((sum, p) => sum + p.count, 0),
+      channels: channels.map(c => channelStats(c, points)),
+      trend
+    };
+  });
+
+  raisedAlerts.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  overdue.sort((a, b) => a.daysUntilDue - b.daysUntilDue);
+  upcoming.sort((a, b) => a.daysUntilDue - b.daysUntilDue);
+
+  return {
+    title: title || (machines.length === 1 && machineIds.length > 0 ? `Health report: ${machines[0].name}` : 'Fleet health report'),
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generatedAt: new Date().toISOString(),
+    summary: {
+      machines: rows.length,
+      overdue: overdue.length,
+      upcoming: upcoming.length,
+      maintenanceCompleted: rows.reduce((sum, r) => sum + r.maintenanceCompleted, 0),
+      alertsRaised: raisedAlerts.length,
+      criticalAlerts: raisedAlerts.filter(a => a.severity === 'critical').length,
+      alertsResolved: rows.reduce((sum, r) => sum + r.alertsResolved, 0),
+      openAlerts: rows.reduce((sum, r) => sum + r.openAlerts, 0)
+    },
+    maintenance: { overdue, upcoming },
+    alerts: raisedAlerts.slice(0, MAX_LISTED_ALERTS).map(a => ({
+      id: a.id,
+      machineName: a.machineName,
+      severity: a.severity,
+      type: a.type,
+      reason: (a.reasons && a.reasons[0]) || a.subject || '',
+      createdAt: a.createdAt,
+      resolvedAt: a.resolvedAt
+    })),
+    machines: rows
+  };
+}
+
+function periodLabel(report) {
+  return `${dateOnly(report.from)} to ${dateOnly(report.to)}`;
+}
+
+function dueText(entry) {
+  return entry.daysUntilDue < 0
+    ? `${Math.abs(entry.daysUntilDue)} days overdue`
+    : `due in ${entry.daysUntilDue} days`;
+}
+
+/** Plain-text version, used as the email's text part. */
+function renderText(report) {
+  const s = report.summary;
+  const lines = [
+    report.title,
+    `Period: ${periodLabel(report)}`,
+    '',
+    `Machines: ${s.machines}`,
+    `Maintenance overdue: ${s.overdue}, due soon: ${s.upcoming}, completed in period: ${s.maintenanceCompleted}`,
+    `Alerts raised: ${s.alertsRaised} (${s.criticalAlerts} critical), resolved: ${s.alertsResolved}, still open: ${s.openAlerts}`
+  ];
+
+  if (report.maintenance.overdue.length > 0 || report.maintenance.upcoming.length > 0) {
+    lines.push('', 'Maintenance:');
+    [...report.maintenance.overdue, ...report.maintenance.upcoming].forEach(e => {
+      lines.push(`- ${e.name}${e.code ? ` (${e.code})` : ''}: ${e.dueDate}, ${dueText(e)}`);
+    });
+  }
+
+  lines.push('', 'Vitals (min / avg / max):');
+  report.machines.forEach(m => {
+    lines.push(`${m.name}${m.code ? ` (${m.code})` : ''}: ${m.readings} readings, ${m.alertsRaised} alerts`);
+    m.channels.forEach(c => {
+      lines.push(`  ${c.name}: ${formatValue(c, c.min)} / ${formatValue(c, c.avg)} / ${formatValue(c, c.max)}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/** A small line chart of one channel's averages, as inline SVG. */
+function sparklineSvg(trend, key, color, width = 260, height = 48) {
+  const points = trend.filter(p => typeof p[key] === 'number');
+  if (points.length < 2) return '<span style="color:#6b7280">not enough readings</span>';
+
+  const values = points.map(p => p[key]);
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const start = new Date(points[0].timestamp).getTime();
+  const duration = new Date(points[points.length - 1].timestamp).getTime() - start || 1;
+  const coords = points.map(p => {
+    const x = ((new Date(p.timestamp).getTime() - start) / duration) * (width - 4) + 2;
+    const y = height - 2 - ((p[key] - min) / span) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`
+    + `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords.join(' ')}"/></svg>`;
+}
+
+const CELL = 'style="padding:4px 8px;border-bottom:1px solid #e5e7eb;text-align:left"';
+
+function htmlTable(headers, rows) {
+  if (rows.length === 0) return '<p style="color:#6b7280">None.</p>';
+  return `<table style="border-collapse:collapse;font-size:13px;margin:4px 0 12px">`
+    + `<tr>${headers.map(h => `<th ${CELL}>${escapeHtml(h)}</th>`).join('')}</tr>`
+    + rows.map(r => `<tr>${r.map(c => `<td ${CELL}>${c}</td>`).join('')}</tr>`).join('')
+    + '</table>';
+}
+
+/** The email body. Styles are inline because most mail clients drop style sheets. */
+function renderHtml(report) {
+  const s = report.summary;
+  const maintenanceRows = [...report.maintenance.overdue, ...report.maintenance.upcoming].map(e => [
+    escapeHtml(e.name),
+    escapeHtml(e.code),
+    escapeHtml(e.dueDate),
+    `<span style="color:${e.daysUntilDue < 0 ? '#ef4444' : '#f97316'}">${escapeHtml(dueText(e))}</span>`
+  ]);
+  const alertRows = report.alerts.map(a => [
+    escapeHtml(new Date(a.createdAt).toLocaleString()),
+    escapeHtml(a.machineName),
+    escapeHtml(a.severity),
+    escapeHtml(a.reason),
+    a.resolvedAt ? 'resolved' : 'open'
+  ]);
+
+  const machineSections = report.machines.map(m => `
+<h3 style="margin:18px 0 4px">${escapeHtml(m.name)} <span style="color:#6b7280;font-weight:normal">${escapeHtml(m.code)} ${escapeHtml(m.location)}</span></h3>
+<p style="margin:0;color:#374151;font-size:13px">${m.readings} readings, ${m.alertsRaised} alerts raised, ${m.alertsResolved} resolved, ${m.maintenanceCompleted} maintenance jobs completed. Next maintenance: ${escapeHtml(m.nextMaintenanceDate || '-')}</p>
+${htmlTable(['Channel', 'Min', 'Avg', 'Max', 'Trend'], m.channels.map((c, i) => [
+    escapeHtml(c.name),
+    escapeHtml(formatValue(c, c.min)),
+    escapeHtml(formatValue(c, c.avg)),
+    escapeHtml(formatValue(c, c.max)),
+    sparklineSvg(m.trend, c.key, CHART_COLORS[i % CHART_COLORS.length])
+  ]))}`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#111827;max-width:760px">
+<h1 style="font-size:20px;margin-bottom:0">${escapeHtml(report.title)}</h1>
+<p style="color:#6b7280;margin-top:4px">${escapeHtml(periodLabel(report))}</p>
+${htmlTable(['Machines', 'Overdue', 'Due soon', 'Maintenance done', 'Alerts raised', 'Critical', 'Resolved', 'Open'], [[
+    s.machines, s.overdue, s.upcoming, s.maintenanceCompleted, s.alertsRaised, s.criticalAlerts, s.alertsResolved, s.openAlerts
+  ]])}
+<h2 style="font-size:16px">Maintenance overdue and due soon</h2>
+${htmlTable(['Machine', 'Code', 'Due', ''], maintenanceRows)}
+<h2 style="font-size:16px">Alerts raised</h2>
+${htmlTable(['Raised', 'Machine', 'Severity', 'Reason', 'Status'], alertRows)}
+<h2 style="font-size:16px">Vitals</h2>
+${machineSections}
+<p style="color:#9ca3af;font-size:12px;margin-top:24px">Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())} by Smart Maintenance Monitor</p>
+</body>
+</html>`;
+}
+
+function drawChart(doc, trend, channel, color, { x, y, width, height }) {
+  doc.save().lineWidth(0.5).strokeColor('#d1d5db').rect(x, y, width, height).stroke().restore();
+  const points = trend.filter(p => typeof p[channel.key] === 'number');
+  if (points.length < 2) {
+    doc.fontSize(8).fillColor('#6b7280').text('not enough readings', x + 6, y + height / 2 - 4);
+    return;
+  }
+
+  const values = points.map(p => p[channel.key]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const start = new Date(points[0].timestamp).getTime();
+  const duration = new Date(points[points.length - 1].timestamp).getTime() - start || 1;
+
+  doc.save().lineWidth(1).strokeColor(color);
+  points.forEach((p, i) => {
+    const px = x + ((new Date(p.timestamp).getTime() - start) / duration) * width;
+    const py = y + height - ((p[channel.key] - min) / span) * height;
+    if (i === 0) doc.moveTo(px, py);
+    else doc.lineTo(px, py);
+  });
+  doc.stroke().restore();
+  doc.fontSize(7).fillColor('#6b7280')
+    .text(formatValue(channel, max), x + width + 4, y - 3)
+    .text(formatValue(channel, min), x + width + 4, y + height - 6);
+}
+
+/** The same report as a PDF, resolved as a Buffer. */
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: report.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = (height) => {
+      if (doc.y + height > bottom) doc.addPage();
+    };
+    const heading = (text) => {
+      ensureSpace(40);
+      doc.moveDown(0.8).fontSize(13).fillColor('#111827').text(text);
+      doc.moveDown(0.3);
+    };
+    const line = (text, color = '#374151') => {
+      ensureSpace(14);
+      doc.fontSize(9).fillColor(color).text(text);
+    };
+
+    const s = report.summary;
+    doc.fontSize(18).fillColor('#111827').text(report.title);
+    doc.fontSize(10).fillColor('#6b7280').text(periodLabel(report));
+
+    heading('Summary');
+    line(`Machines: ${s.machines}`);
+    line(`Maintenance overdue: ${s.overdue}, due soon: ${s.upcoming}, completed in period: ${s.maintenanceCompleted}`);
+    line(`Alerts raised: ${s.alertsRaised} (${s.criticalAlerts} critical), resolved: ${s.alertsResolved}, still open: ${s.openAlerts}`);
+
+    heading('Maintenance overdue and due soon');
+    const due = [...report.maintenance.overdue, ...report.maintenance.upcoming];
+    if (due.length === 0) line('None.', '#6b7280');
+    due.forEach(e => line(`${e.name}${e.code ? ` (${e.code})` : ''}: ${e.dueDate}, ${dueText(e)}`, e.daysUntilDue < 0 ? '#b91c1c' : '#374151'));
+
+    heading('Alerts raised');
+    if (report.alerts.length === 0) line('None.', '#6b7280');
+    report.alerts.forEach(a => {
+      line(`${new Date(a.createdAt).toLocaleString()}  ${a.severity.toUpperCase()}  ${a.machineName}: ${a.reason}${a.resolvedAt ? ' (resolved)' : ''}`);
+    });
+
+    report.machines.forEach(m => {
+      heading(`${m.name}${m.code ? ` (${m.code})` : ''}`);
+      line(`${m.location ? `${m.location}. ` : ''}${m.readings} readings, ${m.alertsRaised} alerts raised, ${m.alertsResolved} resolved. Next maintenance: ${m.nextMaintenanceDate || '-'}`);
+      m.channels.forEach((c, i) => {
+        ensureSpace(50);
+        const top = doc.y + 4;
+        doc.fontSize(9).fillColor('#111827').text(c.name, doc.page.margins.left, top, { width: 150 });
+        doc.fontSize(8).fillColor('#374151')
+          .text(`min ${formatValue(c, c.min)}`, doc.page.margins.left, top + 12, { width: 150 })
+          .text(`avg ${formatValue(c, c.avg)}   max ${formatValue(c, c.max)}`, doc.page.margins.left, top + 22, { width: 150 });
+        drawChart(doc, m.trend, c, CHART_COLORS[i % CHART_COLORS.length], { x: 200, y: top, width: 290, height: 36 });
+        doc.x = doc.page.margins.left;
+        doc.y = top + 44;
+      });
+    });
+
+    doc.end();
+  });
+}
+
+function reportFilename(report, extension) {
+  return `${report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${dateOnly(report.to)}.${extension}`;
+}
+
+function lookaheadDays() {
+  return parseInt(process.env.MAINTENANCE_LOOKAHEAD_DAYS || '7', 10);
+}
+
+// `hour`, `weekday` and `dayOfMonth` default to 07:00 on Mondays and the 1st.
+const scheduleSchema = {
+  name: { type: 'string', required: true, maxLength: 120 },
+  frequency: { type: 'enum', values: FREQUENCIES, required: true },
+  recipients: {
+    type: 'emails',
+    required: true,
+    check: value => (value ? { value: splitList(value) } : { error: 'must list at least one email address' })
+  },
+  machineIds: { type: 'array', maxItems: 500, nullable: true, default: () => [] },
+  hour: { type: 'number', integer: true, min: 0, max: 23, default: 7 },
+  weekday: { type: 'number', integer: true, min: 0, max: 6, default: 1 },
+  dayOfMonth: { type: 'number', integer: true, min: 1, max: 28, default: 1 },
+  attachPdf: { type: 'boolean', default: true },
+  enabled: { type: 'boolean', default: true }
+};
+
+/**
+ * A create (no `existing`) or update body merged into the schedule, or
+ * `{ errors }`. Fields the server owns, such as nextRunAt, are ignored so a
+ * fetched schedule can be sent back as it is.
+ */
+function validateSchedule(body, existing, store) {
+  const { value, errors } = validate(scheduleSchema, body, { partial: Boolean(existing), allowUnknown: true });
+  if (errors) return { errors };
+
+  if (value.machineIds !== undefined) {
+    value.machineIds = value.machineIds || [];
+    const unknown = value.machineIds.findIndex(id => !store.get('machines', id));
+    if (unknown >= 0) {
+      return { errors: [{ field: `machineIds.${unknown}`, message: 'is not an existing machine (leave machineIds empty for the whole fleet)' }] };
+    }
+  }
+  return { schedule: { ...existing, ...value } };
+}
+
+/**
+ * Emails reports on each schedule's cadence. Schedules live in the
+ * `reportSchedules` collection:
+ *   { id, name, frequency, recipients, machineIds, hour, weekday, dayOfMonth,
+ *     attachPdf, enabled, nextRunAt, lastRunAt, lastStatus }
+ * `hour`, `weekday` (0 = Sunday) and `dayOfMonth` are in server local time;
+ * an empty `machineIds` reports on the whole fleet.
+ */
+function createReportScheduler({ store, notifier }) {
+  async function send(schedule, now = new Date()) {
+    const report = buildReport(store, {
+      from: periodStart(schedule.frequency, now),
+      to: now,
+      machineIds: schedule.machineIds,
+      lookaheadDays: lookaheadDays(),
+      title: schedule.name
+    });
+    const pdf = schedule.attachPdf ? await renderPdf(report) : null;
+    const deliveries = await notifier.notify({
+      event: 'report',
+      via: ['email'],
+      subject: `📊 ${report.title}: ${periodLabel(report)}`,
+      text: renderText(report),
+      html: renderHtml(report),
+      attachments: pdf ? [{ filename: reportFilename(report, 'pdf'), content: pdf, contentType: 'application/pdf' }] : undefined,
+      recipients: schedule.recipients
+    });
+
+    const current = store.get('reportSchedules', schedule.id);
+    if (current) {
+      current.lastRunAt = now.toISOString();
+      current.lastStatus = deliveries.length > 0 && deliveries.every(d => d.status !== 'failed') ? 'sent' : 'failed';
+      store.update('reportSchedules', current);
+    }
+    return deliveries;
+  }
+
+  // The next run is booked before sending so a failing mail server doesn't
+  // make the schedule fire again every minute.
+  function runDue(now = new Date()) {
+    store.list('reportSchedules')
+      .filter(s => s.enabled && s.nextRunAt && new Date(s.nextRunAt) <= now)
+      .forEach(schedule => {
+        schedule.nextRunAt = nextRunAt(schedule, now).toISOString();
+        store.update('reportSchedules', schedule);
+        send(schedule, now).catch(err => console.error(`Error sending report "${schedule.name}":`, err.message));
+      });
+  }
+
+  return { send, runDue };
+}
+
+const reportQuerySchema = {
+  format: { type: 'enum', values: REPORT_FORMATS, default: 'json' },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' },
+  days: { type: 'number', integer: true, min: 1, max: MAX_REPORT_DAYS, default: 7 },
+  machineId: { type: 'string' }
+};
+
+/**
+ * GET / builds a report on demand; /schedules manages the emailed ones.
+ * Mounted at /api/reports.
+ */
+function createReportsRouter({ store, generateId, scheduler }) {
+  const router = express.Router();
+
+  router.get('/', async (req, res, next) => {
+    const { value: query, errors } = parseQuery(reportQuerySchema, req.query);
+    if (errors) return sendValidationErrors(res, errors);
+    const { format, days } = query;
+    const to = query.to || new Date();
+    const from = query.from || new Date(to.getTime() - days * DAY_MS);
+    if (from >= to || to - from > MAX_REPORT_DAYS * DAY_MS) {
+      return sendValidationErrors(res, [{ field: 'from', message: `must be before to, at most ${MAX_REPORT_DAYS} days earlier` }]);
+    }
+    const machineIds = query.machineId ? [query.machineId] : [];
+    if (query.machineId && !store.get('machines', query.machineId)) {
+      return res.status(404).json({ message: 'Machine not found' });
+    }
+
+    const report = buildReport(store, { from, to, machineIds, lookaheadDays: lookaheadDays() });
+    if (format === 'json') return res.json(report);
+    if (format === 'html') return res.type('html').send(renderHtml(report));
+
+    try {
+      const pdf = await renderPdf(report);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${reportFilename(report, 'pdf')}"`);
+      res.send(pdf);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/schedules', (req, res) => {
+    res.json(store.list('reportSchedules'));
+  });
+
+  router.post('/schedules', (req, res) => {
+    const { schedule, errors } = validateSchedule(req.body, null, store);
+    if (errors) return sendValidationErrors(res, errors);
+
+    schedule.id = generateId();
+    schedule.nextRunAt = nextRunAt(schedule).toISOString();
+    schedule.lastRunAt = null;
+    schedule.lastStatus = null;
+    schedule.createdAt = new Date().toISOString();
+    store.insert('reportSchedules', schedule);
+    res.status(201).json(schedule);
+  });
+
+  router.put('/schedules/:scheduleId', (req, res) => {
+    const existing = store.get('reportSchedules', req.params.scheduleId);
+    if (!existing) return res.status(404).json({ message: 'Schedule not found' });
+    const { schedule, errors } = validateSchedule(req.body, existing, store);
+    if (errors) return sendValidationErrors(res, errors);
+
+    schedule.nextRunAt = nextRunAt(schedule).toISOString();
+    store.update('reportSchedules', schedule);
+    res.json(schedule);
+  });
+
+  router.delete('/schedules/:scheduleId', (req, res) => {
+    if (!store.remove('reportSchedules', req.params.scheduleId)) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+    res.status(204).end();
+  });
+
+  // Sends the report now without moving the schedule's next run.
+  router.post('/schedules/:scheduleId/send', async (req, res, next) => {
+    const schedule = store.get('reportSchedules', req.params.scheduleId);
+    if (!schedule) return res.status(404).json({ message: 'Schedule not found' });
+    try {
+      res.json(await scheduler.send(schedule));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  FREQUENCIES,
+  buildReport,
+  renderText,
+  renderHtml,
+  renderPdf,
+  nextRunAt,
+  createReportScheduler,
+  createReportsRouter
+};
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { downsample, downsampleRollups, mergeRollups, rollUp } = require('./aggregate');
+const { channelKeys } = require('./metrics');
+const { validate, sendValidationErrors } = require('./validation');
+
+// Raw readings are kept for RETENTION_RAW_DAYS. After that each UTC day of a
+// machine's readings is
+//   1. appended to <archive dir>/<machine id>/<YYYY-MM>.ndjson.gz, one gzip
+//      member per day (gunzip reads the members as one file),
+//   2. summarised into hourly and daily rollups (count, min, max and sum per
+//      channel), merged into any rollups the day already has, and
+//   3. deleted.
+// Hourly rollups are kept for RETENTION_HOURLY_DAYS and daily ones for
+// RETENTION_DAILY_DAYS; 0 keeps them forever. A day whose archive can't be
+// written keeps its readings. If the server stops between archiving a day
+// and deleting it, the next run archives that day again; its rollups are
+// written just before the delete, so they are rarely doubled that way.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESOLUTIONS = { hour: HOUR_MS, day: DAY_MS };
+const MAX_RUNS = 50;
+
+function retentionSettings() {
+  return {
+    rawDays: parseInt(process.env.RETENTION_RAW_DAYS || '90', 10),
+    hourlyDays: parseInt(process.env.RETENTION_HOURLY_DAYS || '365', 10),
+    dailyDays: parseInt(process.env.RETENTION_DAILY_DAYS || '0', 10),
+    archiveDir: process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, 'archive'),
+    dryRun: process.env.RETENTION_DRY_RUN === 'true',
+    intervalHours: parseInt(process.env.RETENTION_INTERVAL_HOURS || '24', 10)
+  };
+}
+
+function startOfDay(t) {
+  return Math.floor(t / DAY_MS) * DAY_MS;
+}
+
+/** The start of the oldest UTC day still kept `days` days back from `now`, or null to keep everything. */
+function keptFrom(days, now) {
+  return days > 0 ? startOfDay(new Date(now).getTime()) - days * DAY_MS : null;
+}
+
+function rollupId(machineId, resolution, timestamp) {
+  return `${machineId}:${resolution}:${timestamp}`;
+}
+
+// Rollups whose bucket overlaps [from, to]: daily ones for day-sized buckets,
+// otherwise hourly ones where they are still kept and daily ones before that.
+function rollupsInRange(store, machineId, { from, to }, bucketMs, now) {
+  const since = resolution => new Date(Math.floor(from.getTime() / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution]);
+  if (bucketMs % DAY_MS === 0) {
+    return store.queryRollups(machineId, 'day', { from: since('day'), to });
+  }
+  const hourlyFrom = keptFrom(retentionSettings().hourlyDays, now);
+  if (hourlyFrom === null || hourlyFrom <= from.getTime()) {
+    return store.queryRollups(machineId, 'hour', { from: since('hour'), to });
+  }
+  return [
+    ...(since('day') < hourlyFrom
+      ? store.queryRollups(machineId, 'day', { from: since('day'), to: new Date(Math.min(to.getTime(), hourlyFrom - 1)) })
+      : []),
+    ...(to.getTime() >= hourlyFrom ? store.queryRollups(machineId, 'hour', { from: new Date(hourlyFrom), to }) : [])
+  ];
+}
+
+/**
+ * Bucketed history for [from, to] from raw readings and, for periods whose
+ * readings have expired, from rollups. Rollups only hold readings that are
+ * no longer stored, so a bucket with both merges them. Buckets built from
+ * rollups have no percentiles, and are no finer than the rollups (an hour,
+ * or a day once hourly rollups have expired). Returns `{ points, sources }`,
+ * where `sources` lists 'raw', 'hour' and/or 'day'.
+ */
+function vitalsHistory(store, machine, { from, to }, bucketMs, aggregates, now = new Date()) {
+  const metrics = channelKeys(machine);
+  const raw = store.queryVitals(machine.id, { from, to });
+  const rollups = rollupsInRange(store, machine.id, { from, to }, bucketMs, now);
+  const sources = [
+    ...(raw.length > 0 ? ['raw'] : []),
+    ...['hour', 'day'].filter(resolution => rollups.some(r => r.resolution === resolution))
+  ];
+  if (rollups.length === 0) {
+    return { points: downsample(raw, bucketMs, aggregates, metrics), sources };
+  }
+
+  const bucketOf = timestamp => Math.floor(new Date(timestamp).getTime() / bucketMs) * bucketMs;
+  const rolled = new Set(rollups.map(r => bucketOf(r.timestamp)));
+  const rawOnly = raw.filter(v => !rolled.has(bucketOf(v.timestamp)));
+  const mixed = rollUp(raw.filter(v => rolled.has(bucketOf(v.timestamp))), bucketMs, metrics);
+  const points = [
+    ...downsample(rawOnly, bucketMs, aggregates, metrics),
+    ...downsampleRollups([...rollups, ...mixed], bucketMs, aggregates, metrics)
+  ].sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+  return { points, sources };
+}
+
+function archiveFile(dir, machineId, day) {
+  return path.join(dir, machineId, `${new Date(day).toISOString().slice(0, 7)}.ndjson.gz`);
+}
+
+function createRetentionJob({ store, generateId }) {
+  // Rollups for one day of readings, merged into the ones already stored.
+  function rollupsFor(machine, day, vitals, resolutions) {
+    return resolutions.flatMap(resolution => {
+      const existing = new Map(store.queryRollups(machine.id, resolution, { from: new Date(day), to: new Date(day + DAY_MS - 1) })
+        .map(r => [r.timestamp, r]));
+      return rollUp(vitals, RESOLUTIONS[resolution], channelKeys(machine)).map(bucket => {
+        const rollup = { id: rollupId(machine.id, resolution, bucket.timestamp), machineId: machine.id, resolution, ...bucket };
+        const previous = existing.get(bucket.timestamp);
+        return previous ? mergeRollups(previous, rollup) : rollup;
+      });
+    });
+  }
+
+  function expireMachine(machine, settings, cutoffs, dryRun) {
+    const result = { machineId: machine.id, name: machine.name, readings: 0, days: 0, from: null, to: null, hourlyRollups: 0, dailyRollups: 0, archiveFiles: [] };
+    const oldest = store.oldestVital(machine.id);
+    if (!oldest || cutoffs.raw === null) return result;
+
+    for (let day = startOfDay(new Date(oldest.timestamp).getTime()); day < cutoffs.raw; day += DAY_MS) {
+      const vitals = store.queryVitals(machine.id, { from: new Date(day), to: new Date(day + DAY_MS - 1) });
+      if (vitals.length === 0) continue;
+
+      const resolutions = cutoffs.hourly === null || day >= cutoffs.hourly ? ['hour', 'day'] : ['day'];
+      const rollups = rollupsFor(machine, day, vitals, resolutions);
+      const file = archiveFile(settings.archiveDir, machine.id, day);
+      if (!dryRun) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, zlib.gzipSync(`${vitals.map(v => JSON.stringify(v)).join('\n')}\n`));
+        store.upsertRollups(rollups);
+        store.deleteVitalsBefore(machine.id, new Date(day + DAY_MS));
+      }
+
+      result.readings += vitals.length;
+      result.days += 1;
+      result.from = result.from || vitals[0].timestamp;
+      result.to = vitals[vitals.length - 1].timestamp;
+      result.hourlyRollups += rollups.filter(r => r.resolution === 'hour').length;
+      result.dailyRollups += rollups.filter(r => r.resolution === 'day').length;
+      if (!result.archiveFiles.includes(file)) result.archiveFiles.push(file);
+    }
+    return result;
+  }
+
+  function pruneRollups(machine, resolution, before, dryRun) {
+    if (before === null) return 0;
+    return dryRun
+      ? store.queryRollups(machine.id, resolution, { to: new Date(before - 1) }).length
+      : store.deleteRollupsBefore(machine.id, resolution, new Date(before));
+  }
+
+  /**
+   * Applies the retention policy once and returns (and keeps) a report of
+   * what was archived and pruned. A dry run only reports what would be.
+   */
+  function run({ dryRun = retentionSettings().dryRun, trigger = 'manual', user = null, now = new Date() } = {}) {
+    const settings = retentionSettings();
+    const startedAt = new Date();
+    const cutoffs = {
+      raw: keptFrom(settings.rawDays, now),
+      hourly: keptFrom(settings.hourlyDays, now),
+      daily: keptFrom(settings.dailyDays, now)
+    };
+
+    const machines = store.list('machines').map(machine => {
+      let result;
+      try {
+        result = expireMachine(machine, settings, cutoffs, dryRun);
+      } catch (err) {
+        // Readings of the day that failed (and later days) stay until the next run.
+        console.error(`Retention failed for machine ${machine.name}:`, err.message);
+        result = { machineId: machine.id, name: machine.name, error: err.message };
+      }
+      result.hourlyRollupsPruned = pruneRollups(machine, 'hour', cutoffs.hourly, dryRun);
+      result.dailyRollupsPruned = pruneRollups(machine, 'day', cutoffs.daily, dryRun);
+      return result;
+    });
+
+    const total = key => machines.reduce((sum, m) => sum + (m[key] || 0), 0);
+    const iso = t => (t === null ? null : new Date(t).toISOString());
+    const report = {
+      id: generateId(),
+      trigger,
+      dryRun,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      requestedBy: user ? user.username : null,
+      keepRawSince: iso(cutoffs.raw),
+      keepHourlySince: iso(cutoffs.hourly),
+      keepDailySince: iso(cutoffs.daily),
+      readingsArchived: total('readings'),
+      hourlyRollupsWritten: total('hourlyRollups'),
+      dailyRollupsWritten: total('dailyRollups'),
+      hourlyRollupsPruned: total('hourlyRollupsPruned'),
+      dailyRollupsPruned: total('dailyRollupsPruned'),
+      errors: machines.filter(m => m.error).length,
+      machines: machines.filter(m => m.error || m.readings || m.hourlyRollupsPruned || m.dailyRollupsPruned)
+    };
+
+    store.insert('retentionRuns', report);
+    const runs = store.list('retentionRuns').sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    const kept = new Set(runs.slice(0, MAX_RUNS).map(r => r.id));
+    store.removeWhere('retentionRuns', r => !kept.has(r.id));
+    return report;
+  }
+
+  /** The scheduled run, every RETENTION_INTERVAL_HOURS; RETENTION_DRY_RUN=true makes it report only. */
+  function runDue(now = new Date()) {
+    const settings = retentionSettings();
+    const last = store.list('retentionRuns')
+      .filter(r => r.trigger === 'scheduled')
+      .reduce((latest, r) => (!latest || r.startedAt > latest ? r.startedAt : latest), null);
+    if (last && now - new Date(last) < settings.intervalHours * HOUR_MS) return null;
+
+    const report = run({ trigger: 'scheduled', now });
+    const pruned = report.readingsArchived + report.hourlyRollupsPruned + report.dailyRollupsPruned;
+    if (pruned > 0 || report.errors > 0) {
+      console.log(`Retention${report.dryRun ? ' (dry run)' : ''}: archived ${report.readingsArchived} reading(s), `
+        + `pruned ${report.hourlyRollupsPruned} hourly and ${report.dailyRollupsPruned} daily rollup(s)`
+        + `${report.errors > 0 ? `, ${report.errors} machine(s) failed` : ''}`);
+    }
+    return report;
+  }
+
+  return { run, runDue };
+}
+
+const runSchema = {
+  dryRun: { type: 'boolean' }
+};
+
+/**
+ * Mounted at /api/retention (admins only):
+ *   GET  /       the policy in force and the latest runs, newest first
+ *   POST /run    { dryRun? } runs it now; dryRun defaults to RETENTION_DRY_RUN
+ */
+function createRetentionRouter({ store, job }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const { archiveDir, ...settings } = retentionSettings();
+    const runs = store.list('retentionRuns').sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    res.json({ settings: { ...settings, archiveDir: path.resolve(archiveDir) }, runs });
+  });
+
+  router.post('/run', (req, res) => {
+    const { value, errors } = validate(runSchema, req.body || {});
+    if (errors) return sendValidationErrors(res, errors);
+    res.json(job.run({ dryRun: value.dryRun, user: req.user }));
+  });
+
+  return router;
+}
+
+module.exports = {
+  retentionSettings,
+  vitalsHistory,
+  createRetentionJob,
+  createRetentionRouter
+};
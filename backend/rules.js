@@ -0,0 +1,305 @@
+const express = require('express');
+const { channelsFor, formatValue } = require('./metrics');
+const { validate, sendValidationErrors } = require('./validation');
+
+const OPERATORS = ['above', 'below'];
+const RULE_SEVERITIES = ['warning', 'critical'];
+
+// A rule fires once its channel has been past `value` for `forReadings`
+// consecutive readings spanning at least `forMinutes`, and clears once the
+// reading is back on the safe side of `value` by more than `hysteresis`:
+//   { id, channel, operator: 'above'|'below', value, severity: 'warning'|'critical',
+//     forReadings, forMinutes, hysteresis, enabled }
+
+/** Rules equivalent to the plain channel limits: critical on the first reading past min or max. */
+function defaultRules(channels) {
+  const rules = [];
+  channels.forEach(c => {
+    if (typeof c.max === 'number') {
+      rules.push({ id: `${c.key}-max`, channel: c.key, operator: 'above', value: c.max, severity: 'critical', forReadings: 1, forMinutes: 0, hysteresis: 0, enabled: true });
+    }
+    if (typeof c.min === 'number') {
+      rules.push({ id: `${c.key}-min`, channel: c.key, operator: 'below', value: c.min, severity: 'critical', forReadings: 1, forMinutes: 0, hysteresis: 0, enabled: true });
+    }
+  });
+  return rules;
+}
+
+/** The machine's own rules, or ones derived from its channel limits when it has none. */
+function rulesFor(machine) {
+  if (Array.isArray(machine.alertRules)) return machine.alertRules;
+  return defaultRules(channelsFor(machine));
+}
+
+function numberOr(value, fallback) {
+  return value === undefined || value === null || value === '' ? fallback : Number(value);
+}
+
+/**
+ * Validates rules sent by a client against the machine's channels. Returns
+ * `{ rules }` or `{ error, field }`, `field` being the path of the bad value
+ * under `path`. Rules keep the id they were sent with so their state
+ * survives edits; new ones get a fresh id.
+ */
+function normalizeRules(input, channels, generateId, path = 'rules') {
+  if (!Array.isArray(input)) {
+    return { error: 'rules must be an array', field: path };
+  }
+
+  const keys = channels.map(c => c.key);
+  const ids = new Set();
+  const rules = [];
+  for (let i = 0; i < input.length; i++) {
+    const raw = input[i] || {};
+    const label = `Rule ${i + 1}`;
+
+    if (!keys.includes(raw.channel)) {
+      return { error: `${label}: channel must be one of: ${keys.join(', ')}`, field: `${path}.${i}.channel` };
+    }
+    const operator = raw.operator || 'above';
+    if (!OPERATORS.includes(operator)) {
+      return { error: `${label}: operator must be above or below`, field: `${path}.${i}.operator` };
+    }
+    const severity = raw.severity || 'warning';
+    if (!RULE_SEVERITIES.includes(severity)) {
+      return { error: `${label}: severity must be warning or critical`, field: `${path}.${i}.severity` };
+    }
+    const value = numberOr(raw.value, NaN);
+    if (!Number.isFinite(value)) {
+      return { error: `${label}: value must be a number`, field: `${path}.${i}.value` };
+    }
+    const forReadings = numberOr(raw.forReadings, 1);
+    if (!Number.isInteger(forReadings) || forReadings < 1) {
+      return { error: `${label}: forReadings must be a whole number of at least 1`, field: `${path}.${i}.forReadings` };
+    }
+    const forMinutes = numberOr(raw.forMinutes, 0);
+    const hysteresis = numberOr(raw.hysteresis, 0);
+    if (!(forMinutes >= 0) || !(hysteresis >= 0)) {
+      return { error: `${label}: forMinutes and hysteresis must be zero or more`, field: `${path}.${i}.${forMinutes >= 0 ? 'hysteresis' : 'forMinutes'}` };
+    }
+
+    const id = typeof raw.id === 'string' && raw.id && !ids.has(raw.id) ? raw.id : generateId();
+    ids.add(id);
+    rules.push({
+      id,
+      channel: raw.channel,
+      operator,
+      value,
+      severity,
+      forReadings,
+      forMinutes,
+      hysteresis,
+      enabled: raw.enabled !== false
+    });
+  }
+  return { rules };
+}
+
+function isBreached(rule, value) {
+  return rule.operator === 'above' ? value > rule.value : value < rule.value;
+}
+
+function isCleared(rule, value) {
+  return rule.operator === 'above'
+    ? value <= rule.value - rule.hysteresis
+    : value >= rule.value + rule.hysteresis;
+}
+
+/**
+ * Pure step of the rule engine: given the rules, their state after the
+ * previous reading and a new reading, returns the next state plus the rules
+ * that fired or cleared on this reading. Readings without a value for a
+ * rule's channel leave that rule untouched.
+ *
+ * State per rule id: { count, since, active, activeSince }.
+ */
+function evaluateRules(rules, previous, vital) {
+  const state = {};
+  const triggered = [];
+  const recovered = [];
+  const timestamp = new Date(vital.timestamp).getTime();
+
+  rules.forEach(rule => {
+    const prev = (previous && previous[rule.id]) || { count: 0, since: null, active: false, activeSince: null };
+    const value = vital[rule.channel];
+    if (rule.enabled === false) {
+      // A rule switched off while firing still reports its recovery once.
+      if (prev.active) recovered.push({ rule, value: typeof value === 'number' ? value : null });
+      return;
+    }
+    if (typeof value !== 'number') {
+      state[rule.id] = prev;
+      return;
+    }
+
+    const next = { ...prev };
+    if (prev.active) {
+      if (isCleared(rule, value)) {
+        Object.assign(next, { count: 0, since: null, active: false, activeSince: null });
+        recovered.push({ rule, value });
+      }
+    } else if (isBreached(rule, value)) {
+      next.count = prev.count + 1;
+      next.since = prev.since === null ? timestamp : prev.since;
+      const minutes = (timestamp - next.since) / (60 * 1000);
+      if (next.count >= rule.forReadings && minutes >= (rule.forMinutes || 0)) {
+        next.active = true;
+        next.activeSince = timestamp;
+        triggered.push({ rule, value });
+      }
+    } else {
+      next.count = 0;
+      next.since = null;
+    }
+    state[rule.id] = next;
+  });
+
+  return { state, triggered, recovered };
+}
+
+/**
+ * Replays stored readings (oldest first) through `rules` from a clean state:
+ * how many readings were past each rule's value and how often it would have
+ * fired. Used to preview edited limits before saving them.
+ */
+function replayRules(rules, vitals) {
+  const counts = Object.fromEntries(rules.map(r => [r.id, { breaches: 0, alerts: 0 }]));
+  let state = {};
+  let breachingReadings = 0;
+  let alerts = 0;
+
+  vitals.forEach(vital => {
+    const breached = rules.filter(r => r.enabled !== false && typeof vital[r.channel] === 'number' && isBreached(r, vital[r.channel]));
+    breached.forEach(r => { counts[r.id].breaches += 1; });
+    if (breached.length > 0) breachingReadings += 1;
+
+    const result = evaluateRules(rules, state, vital);
+    state = result.state;
+    result.triggered.forEach(({ rule }) => {
+      counts[rule.id].alerts += 1;
+      alerts += 1;
+    });
+  });
+
+  return {
+    breachingReadings,
+    alerts,
+    rules: rules.map(r => ({ id: r.id, channel: r.channel, operator: r.operator, value: r.value, severity: r.severity, ...counts[r.id] }))
+  };
+}
+
+function describeRule(rule, channel) {
+  const parts = [`${channel.name} ${rule.operator} ${formatValue(channel, rule.value)}`];
+  if (rule.forReadings > 1) parts.push(`for ${rule.forReadings} readings`);
+  if (rule.forMinutes > 0) parts.push(`for ${rule.forMinutes} min`);
+  return parts.join(' ');
+}
+
+/**
+ * Runs `evaluateRules` for a machine's readings and also returns the rules
+ * that are active afterwards. Rule state lives in the `ruleStates` collection
+ * (one document per machine, written only when something changed) so
+ * pending and active rules survive a restart.
+ */
+function createRuleEngine({ store }) {
+  function evaluate(machine, vital) {
+    const saved = store.get('ruleStates', machine.id);
+    const rules = rulesFor(machine);
+    const result = evaluateRules(rules, saved ? saved.rules : {}, vital);
+
+    const active = rules.filter(r => result.state[r.id] && result.state[r.id].active);
+    const changed = JSON.stringify(result.state) !== JSON.stringify(saved ? saved.rules : {});
+    if (changed) {
+      const doc = { id: machine.id, rules: result.state };
+      if (saved) store.update('ruleStates', doc);
+      else store.insert('ruleStates', doc);
+    }
+    return { ...result, active };
+  }
+
+  function reset(machineId) {
+    store.remove('ruleStates', machineId);
+  }
+
+  return { evaluate, reset };
+}
+
+const PREVIEW_READINGS = 500;
+const MAX_PREVIEW_READINGS = 10000;
+
+/**
+ * GET and PUT the alert rules of one machine, mounted at /api/machines/:id/rules.
+ * POST /preview replays the last `?limit=` readings through the current rules
+ * and through those of a machine update body (`buildUpdate` applies it
+ * without saving), so the effect of new limits shows before they are saved.
+ */
+function createRulesRouter({ store, generateId, buildUpdate, onChanged = () => {} }) {
+  const router = express.Router({ mergeParams: true });
+
+  function findMachine(req, res) {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) res.status(404).json({ message: 'Machine not found' });
+    return machine;
+  }
+
+  router.get('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    res.json({ custom: Array.isArray(machine.alertRules), rules: rulesFor(machine) });
+  });
+
+  // `rules: null` drops the custom rules and goes back to the channel limits.
+  router.put('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const before = { ...machine };
+
+    if (req.body.rules === null) {
+      delete machine.alertRules;
+    } else {
+      const result = normalizeRules(req.body.rules, channelsFor(machine), generateId);
+      if (result.error) {
+        return sendValidationErrors(res, [{ field: result.field, message: result.error }]);
+      }
+      machine.alertRules = result.rules;
+    }
+    store.update('machines', machine);
+    onChanged(machine, before, req.user);
+    res.json({ custom: Array.isArray(machine.alertRules), rules: rulesFor(machine) });
+  });
+
+  router.post('/preview', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const { value: query, errors: queryErrors } = validate({
+      limit: { type: 'number', integer: true, min: 1, max: MAX_PREVIEW_READINGS, default: PREVIEW_READINGS }
+    }, req.query, { allowUnknown: true });
+    if (queryErrors) return sendValidationErrors(res, queryErrors);
+    const { machine: proposed, errors } = buildUpdate(machine, req.body);
+    if (errors) return sendValidationErrors(res, errors);
+
+    const vitals = store.queryVitals(machine.id, { limit: query.limit });
+    res.json({
+      readings: vitals.length,
+      from: vitals.length > 0 ? vitals[0].timestamp : null,
+      to: vitals.length > 0 ? vitals[vitals.length - 1].timestamp : null,
+      current: replayRules(rulesFor(machine), vitals),
+      proposed: replayRules(rulesFor(proposed), vitals)
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  OPERATORS,
+  RULE_SEVERITIES,
+  defaultRules,
+  rulesFor,
+  normalizeRules,
+  evaluateRules,
+  replayRules,
+  describeRule,
+  createRuleEngine,
+  createRulesRouter
+};
@@ -0,0 +1,150 @@
+const { DETECTOR_DEFAULTS } = require('./anomaly');
+const { normalizeChannels } = require('./metrics');
+const { validate } = require('./validation');
+
+const INTERVAL_TYPES = ['days', 'runHours'];
+
+// Readings may be stamped a little ahead of the server clock; sensor clocks drift.
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+function checkChannels(value) {
+  const result = normalizeChannels(value);
+  return result.error ? { errors: [{ field: result.field, message: result.error }] } : { value: result.channels };
+}
+
+function checkInterval(value) {
+  const result = validate({
+    type: { type: 'enum', values: INTERVAL_TYPES, required: true },
+    value: { type: 'number', max: 100000, required: true, check: v => (v > 0 ? { value: v } : { error: 'must be more than 0' }) }
+  }, value);
+  if (result.errors) {
+    return { errors: result.errors.map(e => ({ field: `maintenanceInterval.${e.field}`, message: e.message })) };
+  }
+  return result;
+}
+
+function checkAnomalyDetection(value) {
+  const detectors = Object.keys(DETECTOR_DEFAULTS);
+  const errors = [];
+  const result = validate({
+    enabled: { type: 'boolean', default: true },
+    metrics: { type: 'object', default: () => ({}) },
+    options: { type: 'object', default: () => ({}) }
+  }, value);
+  if (result.errors) {
+    return { errors: result.errors.map(e => ({ field: `anomalyDetection.${e.field}`, message: e.message })) };
+  }
+
+  Object.entries(result.value.metrics).forEach(([key, names]) => {
+    if (!Array.isArray(names) || names.some(n => !detectors.includes(n))) {
+      errors.push({ field: `anomalyDetection.metrics.${key}`, message: `must be a list of: ${detectors.join(', ')}` });
+    }
+  });
+  Object.entries(result.value.options).forEach(([name, options]) => {
+    if (!detectors.includes(name)) {
+      errors.push({ field: `anomalyDetection.options.${name}`, message: `is not a detector; use one of: ${detectors.join(', ')}` });
+      return;
+    }
+    const schema = Object.fromEntries(Object.keys(DETECTOR_DEFAULTS[name]).map(k => [k, { type: 'number', min: 0 }]));
+    const checked = validate(schema, options);
+    if (checked.errors) {
+      errors.push(...checked.errors.map(e => ({ field: `anomalyDetection.options.${name}.${e.field}`, message: e.message })));
+    } else {
+      result.value.options[name] = checked.value;
+    }
+  });
+  return errors.length > 0 ? { errors } : result;
+}
+
+function checkNotificationChannels(value) {
+  const errors = [];
+  const channels = value.map((channel, i) => {
+    const result = validate({
+      type: { type: 'enum', values: ['webhook', 'slack', 'teams'], required: true },
+      url: { type: 'string', required: true, maxLength: 2000, pattern: /^https?:\/\/\S+$/, patternMessage: 'must be an http(s) URL' }
+    }, channel);
+    if (result.errors) {
+      errors.push(...result.errors.map(e => ({ field: `notificationChannels.${i}${e.field ? `.${e.field}` : ''}`, message: e.message })));
+    }
+    return result.value;
+  });
+  return errors.length > 0 ? { errors } : { value: channels };
+}
+
+// Fields a client may set on a machine. Everything else on a stored machine
+// (id, createdAt, reminder bookkeeping) is owned by the server.
+const machineFields = {
+  name: { type: 'string', required: true, maxLength: 120 },
+  code: { type: 'string', maxLength: 40, default: '' },
+  location: { type: 'string', maxLength: 120, default: '' },
+  // The area or production line the machine belongs to (see assets.js).
+  areaId: { type: 'string', nullable: true, default: null },
+  nextMaintenanceDate: { type: 'date', required: true },
+  responsibleEmail: { type: 'emails', default: '' },
+  channels: { type: 'array', maxItems: 50, check: checkChannels },
+  // Checked with the channels that refer to them when the machine is built.
+  components: { type: 'array', maxItems: 50, default: () => [] },
+  alertRules: { type: 'array', maxItems: 100, nullable: true },
+  anomalyDetection: { type: 'object', check: checkAnomalyDetection },
+  maintenanceInterval: { type: 'object', nullable: true, default: null, check: checkInterval },
+  // How often the machine's sensors are expected to report; null uses HEARTBEAT_INTERVAL_SECONDS.
+  reportingIntervalSeconds: { type: 'number', integer: true, min: 1, max: 86400, nullable: true, default: null },
+  notificationChannels: { type: 'array', maxItems: 20, default: () => [], check: checkNotificationChannels }
+};
+
+const machineCreateSchema = {
+  ...machineFields,
+  // The pre-channel body shape, still accepted from older clients.
+  thresholds: { type: 'object' }
+};
+
+/** A create body as `{ value }` or `{ errors }`; alert rules are checked later against the channels. */
+function validateMachineCreate(body) {
+  return validate(machineCreateSchema, body);
+}
+
+/** An update body: any subset of the machine fields. */
+function validateMachineUpdate(body) {
+  return validate(machineFields, body, { partial: true });
+}
+
+/**
+ * A reading posted for `channels`: each channel's value as a number (or
+ * null when the sensor has none) plus an optional `timestamp` and device
+ * sequence number `seq`. Buffered uploads must say when each reading was
+ * taken, so batches pass `requireTimestamp`.
+ */
+function validateReading(channels, body, { requireTimestamp = false } = {}) {
+  const schema = {
+    timestamp: {
+      type: 'datetime',
+      required: requireTimestamp,
+      check: date => date.getTime() - Date.now() > MAX_FUTURE_SKEW_MS
+        ? { error: 'is more than 5 minutes in the future' }
+        : { value: date.toISOString() }
+    },
+    seq: { type: 'number', integer: true, min: 0 }
+  };
+  channels.forEach(c => { schema[c.key] = { type: 'number', nullable: true }; });
+
+  const result = validate(schema, body);
+  if (result.errors) {
+    const keys = channels.map(c => c.key).join(', ');
+    return {
+      errors: result.errors.map(e => (e.message === 'is not a field that can be set'
+        ? { field: e.field, message: `is not a channel of this machine (${keys})` }
+        : e))
+    };
+  }
+  if (!channels.some(c => typeof result.value[c.key] === 'number')) {
+    return { errors: [{ field: '', message: `A reading needs a value for at least one of: ${channels.map(c => c.key).join(', ')}` }] };
+  }
+  return result;
+}
+
+module.exports = {
+  INTERVAL_TYPES,
+  validateMachineCreate,
+  validateMachineUpdate,
+  validateReading
+};
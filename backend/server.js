@@ -1,38 +1,89 @@
 const express = require('express');
     const cors = require('cors');
-    const fs = require('fs');
-    const path = require('path');
     const dotenv = require('dotenv');
     const nodemailer = require('nodemailer');
+    const { createAnomalyEngine, defaultAnomalyConfig } = require('./anomaly');
+    const { predictMachine, effectiveMaintenanceDate, predictionSettings } = require('./prediction');
+    const { orderComponent, createWorkOrdersRouter } = require('./workOrders');
+    const { createAlertService, createAlertsRouter } = require('./alerts');
+    const { createNotifier, createNotificationsRouter } = require('./notifier');
+    const { createStorage } = require('./storage');
+    const { createVitalsQueryRouter } = require('./vitalsQuery');
+    const { createEventBus, createStreamRouter } = require('./events');
+    const { createFleetRouter } = require('./fleet');
+    const { createTransferRouter } = require('./transfer');
+    const { createReportScheduler, createReportsRouter } = require('./reports');
+    const { MAX_BATCH, normalizeConfig, createSimulator, createSimulatorRouter } = require('./simulator');
+    const { createIngestService, createBatchIngestRouter } = require('./ingest');
+    const { createAuditLog, createAuditRouter } = require('./audit');
+    const { createWatchdog } = require('./watchdog');
+    const { createCalendarRouter } = require('./calendar');
+    const { createRetentionJob, createRetentionRouter } = require('./retention');
+    const { machineWithCode, duplicateCodes, normalizeComponents, linkChannels, createAssetsRouter } = require('./assets');
+    const { machineForecast, describeParts, createInventory, createPartsRouter, createBomRouter } = require('./parts');
+    const { normalizeRules, createRuleEngine, createRulesRouter } = require('./rules');
+    const { createMqttGateway, createMqttRouter } = require('./mqttGateway');
+    const { validateMachineCreate, validateMachineUpdate, validateReading } = require('./schemas');
+    const { sendValidationErrors, errorEnvelope, notFound, errorHandler } = require('./validation');
+    const {
+      channelsFor,
+      channelsFromThresholds,
+      defaultChannels,
+      migrateMachineChannels
+    } = require('./metrics');
+    const {
+      createAuth,
+      requireRole,
+      requireRoleByMethod,
+      restrictDevices,
+      allowDeviceOrRole,
+      createAuthRouter,
+      createUsersRouter,
+      createApiKeysRouter
+    } = require('./auth');
 
     dotenv.config();
 
     const app = express();
     const PORT = process.env.PORT || 5000;
 
-    app.use(cors());
+    // CORS_ORIGINS=* opens the API to any origin again; by default only the dashboard may call it.
+    const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(s => s.trim()).filter(Boolean);
+    app.use(cors({
+      origin: corsOrigins.includes('*') ? true : corsOrigins,
+      exposedHeaders: ['X-Next-Cursor']
+    }));
+    app.use(errorEnvelope);
+    // Gateways upload buffered readings in bodies much larger than any other request.
+    app.use(['/api/vitals/batch', '/api/machines/:id/vitals/batch'], express.json({ limit: '10mb' }));
+    // Imports of up to MAX_IMPORT_ROWS machines, as JSON; CSV bodies get the same limit in transfer.js.
+    app.use('/api/machines/import', express.json({ limit: '2mb' }));
     app.use(express.json());
 
-    const DB_FILE = path.join(__dirname, 'db.json');
-
-    function loadDb() {
-      try {
-        const raw = fs.readFileSync(DB_FILE, 'utf8');
-        return JSON.parse(raw);
-      } catch (err) {
-        return { machines: [], vitals: [] };
-      }
-    }
-
-    function saveDb(db) {
-      fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2), 'utf8');
-    }
-
     function generateId() {
       return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
     }
 
-    let db = loadDb();
+    const store = createStorage();
+
+    const migratedMachines = migrateMachineChannels(store);
+    if (migratedMachines > 0) {
+      console.log(`Converted ${migratedMachines} machine(s) from fixed thresholds to sensor channels`);
+    }
+    // Codes are unique regardless of case now; older duplicates keep working
+    // (exact matches win) until someone renames them.
+    duplicateCodes(store).forEach(group => {
+      console.warn(`Machine code ${group[0].code} is shared by: ${group.map(m => `${m.name} (${m.code}, ${m.id})`).join(', ')}. Give each a unique code.`);
+    });
+    const anomalyEngine = createAnomalyEngine();
+    const ruleEngine = createRuleEngine({ store });
+    const events = createEventBus();
+
+    // Trends and baselines restart after maintenance, so only readings taken
+    // since the last completed work order describe the machine's current wear.
+    function vitalsSinceMaintenance(machine, limit) {
+      return store.queryVitals(machine.id, { from: machine.lastMaintenanceAt, limit });
+    }
 
     function getTransporter() {
       if (!process.env.SMTP_HOST) {
@@ -44,197 +95,367 @@ const express = require('express');
         host: process.env.SMTP_HOST,
         port: parseInt(process.env.SMTP_PORT || '587', 10),
         secure: process.env.SMTP_SECURE === 'true',
-        auth: {
+        auth: process.env.SMTP_USER ? {
           user: process.env.SMTP_USER,
           pass: process.env.SMTP_PASS
-        }
+        } : undefined
       });
     }
 
     const transporter = getTransporter();
 
-    async function sendAlertEmail(subject, text) {
-      const to = process.env.ALERT_EMAIL_TO;
-      if (!to) {
-        console.warn('ALERT_EMAIL_TO not set. Alert:', subject, text);
-        return;
-      }
+    const notifier = createNotifier({ store, generateId, transporter });
 
-      if (!transporter) {
-        console.log('EMAIL ALERT (simulated):', { subject, text, to });
-        return;
-      }
+    const alertService = createAlertService({ store, generateId, notify: notifier.notify, publish: events.publish });
 
-      try {
-        await transporter.sendMail({
-          from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
-          to,
-          subject,
-          text
-        });
-        console.log('Alert email sent:', subject);
-      } catch (err) {
-        console.error('Error sending alert email:', err.message);
-      }
+    const auditLog = createAuditLog({ store, generateId });
+
+    const watchdog = createWatchdog({ store, alertService, notifier, events });
+
+    const inventory = createInventory({ store, notifier, events });
+
+    const auth = createAuth({ store, generateId });
+    auth.ensureAdmin();
+
+    // Login and health are the only routes reachable without credentials;
+    // the calendar feed also takes its own feed tokens.
+    app.use('/api/auth', createAuthRouter({ auth }));
+    app.get('/api/health', (req, res) => {
+      res.json({ status: 'ok', storage: store.driver, machines: store.list('machines').length });
+    });
+    app.use('/api', createCalendarRouter({ store, auth }));
+
+    app.use('/api', auth.authenticate, restrictDevices);
+
+    app.use('/api/users', requireRole('admin'), createUsersRouter({ store, generateId, auth }));
+    app.use('/api/machines/:id/api-keys', requireRole('manager'), createApiKeysRouter({ store, auth }));
+    app.use('/api/alerts', requireRoleByMethod({ write: 'technician' }), createAlertsRouter({ store, alertService }));
+    app.use('/api/notifications', requireRoleByMethod({ write: 'manager' }), createNotificationsRouter({ store, notifier }));
+    app.use('/api', createStreamRouter({ events }));
+
+    const reportScheduler = createReportScheduler({ store, notifier });
+    app.use('/api/reports/schedules', requireRole('manager'));
+    app.use('/api/reports', createReportsRouter({ store, generateId, scheduler: reportScheduler }));
+
+    // Edited rules start from a clean slate: open threshold alerts are closed
+    // and anything still out of range fires again under the new rules.
+    function restartRules(machine) {
+      ruleEngine.reset(machine.id);
+      alertService.resolveForMachine(machine.id, 'threshold', 'system', 'Alert rules changed');
     }
 
+    // Connectivity is worked out when asked for, never stored with the machine.
     app.get('/api/machines', (req, res) => {
-      res.json(db.machines);
+      res.json(store.list('machines').map(watchdog.withConnectivity));
     });
 
-    app.post('/api/machines', (req, res) => {
+    // Turns a create body into the machine that would be stored, without
+    // storing it. Shared by POST /api/machines and the bulk import. Returns
+    // `{ machine }` or `{ errors }` (field errors, see validation.js).
+    function buildMachine(body) {
+      const { value, errors } = validateMachineCreate(body);
+      if (errors) {
+        return { errors };
+      }
       const {
         name,
         code,
         location,
+        areaId,
         nextMaintenanceDate,
         responsibleEmail,
-        thresholds
-      } = req.body;
+        channels,
+        components,
+        thresholds,
+        alertRules,
+        anomalyDetection,
+        maintenanceInterval,
+        reportingIntervalSeconds,
+        notificationChannels
+      } = value;
+
+      const codeOwner = machineWithCode(store, code);
+      if (codeOwner) {
+        return { errors: [{ field: 'code', message: `is already used by ${codeOwner.name}` }] };
+      }
+      if (areaId && !store.get('areas', areaId)) {
+        return { errors: [{ field: 'areaId', message: 'is not an area or line' }] };
+      }
+      const parts = normalizeComponents(components, generateId);
+      if (parts.errors) {
+        return { errors: parts.errors };
+      }
 
-      if (!name || !nextMaintenanceDate) {
-        return res.status(400).json({ message: 'name and nextMaintenanceDate are required' });
+      // `thresholds` is the pre-channel body shape, still accepted from older clients.
+      const machineChannels = channels || (thresholds ? channelsFromThresholds(thresholds) : defaultChannels());
+
+      let machineRules;
+      if (alertRules) {
+        const result = normalizeRules(alertRules, machineChannels, generateId, 'alertRules');
+        if (result.error) {
+          return { errors: [{ field: result.field, message: result.error }] };
+        }
+        machineRules = result.rules;
       }
 
       const machine = {
         id: generateId(),
         name,
-        code: code || '',
-        location: location || '',
+        code,
+        location,
+        areaId,
         nextMaintenanceDate,
-        responsibleEmail: responsibleEmail || '',
-        thresholds: thresholds || {
-          temperature: 80,
-          vibration: 10,
-          pressure: 200
-        },
+        responsibleEmail,
+        channels: machineChannels,
+        components: parts.components,
+        ...(machineRules ? { alertRules: machineRules } : {}),
+        anomalyDetection: anomalyDetection || defaultAnomalyConfig(true, machineChannels.map(c => c.key)),
+        maintenanceInterval,
+        reportingIntervalSeconds,
+        notificationChannels,
         lastMaintenanceReminderSent: null,
         lastAbnormalAlertSent: null,
         createdAt: new Date().toISOString()
       };
+      return linkChannels(machine, { strict: true, renamed: parts.renamed });
+    }
+
+    // Applies an update body to a stored machine, without storing it.
+    function buildMachineUpdate(existing, body) {
+      const { value, errors } = validateMachineUpdate(body);
+      if (errors) {
+        return { errors };
+      }
+      const machine = {
+        ...existing,
+        ...value,
+        id: existing.id
+      };
+
+      if (value.code !== undefined && value.code !== existing.code) {
+        const codeOwner = machineWithCode(store, value.code, existing.id);
+        if (codeOwner) {
+          return { errors: [{ field: 'code', message: `is already used by ${codeOwner.name}` }] };
+        }
+      }
+      if (value.areaId && !store.get('areas', value.areaId)) {
+        return { errors: [{ field: 'areaId', message: 'is not an area or line' }] };
+      }
 
-      db.machines.push(machine);
-      saveDb(db);
+      // Channels sent along must point at real components; ones left alone
+      // lose the link when their component goes.
+      let renamed = {};
+      if (value.components !== undefined) {
+        const parts = normalizeComponents(value.components, generateId, existing.components || []);
+        if (parts.errors) {
+          return { errors: parts.errors };
+        }
+        machine.components = parts.components;
+        renamed = parts.renamed;
+      }
+      if (value.channels !== undefined || value.components !== undefined) {
+        const linked = linkChannels(machine, { strict: value.channels !== undefined, renamed });
+        if (linked.errors) {
+          return { errors: linked.errors };
+        }
+      }
+
+      if (value.channels !== undefined) {
+        delete machine.thresholds;
+
+        // Unless the client sent its own config, new channels get the default
+        // detectors and removed ones drop out.
+        const config = machine.anomalyDetection;
+        if (config && !value.anomalyDetection) {
+          const defaults = defaultAnomalyConfig(config.enabled, machine.channels.map(c => c.key)).metrics;
+          const metrics = {};
+          Object.keys(defaults).forEach(key => {
+            metrics[key] = (config.metrics && config.metrics[key]) || defaults[key];
+          });
+          machine.anomalyDetection = { ...config, metrics };
+        }
+      }
+
+      // Rules are checked against the channels they will run on, which may have just changed.
+      if (value.alertRules === null) {
+        delete machine.alertRules;
+      } else if (value.alertRules !== undefined || (value.channels !== undefined && Array.isArray(machine.alertRules))) {
+        const result = normalizeRules(machine.alertRules, channelsFor(machine), generateId, 'alertRules');
+        if (result.error) {
+          return { errors: [{ field: result.field, message: result.error }] };
+        }
+        machine.alertRules = result.rules;
+      }
+
+      return { machine };
+    }
+
+    function saveMachineUpdate(machine, body, existing, user) {
+      store.update('machines', machine);
+      auditLog.record({ action: 'updated', before: existing, after: machine, user });
+      if (body.alertRules !== undefined || body.channels !== undefined) {
+        restartRules(machine);
+      }
+      events.publish('machine.updated', { machine });
+    }
+
+    app.post('/api/machines', requireRole('manager'), (req, res) => {
+      const { machine, errors } = buildMachine(req.body);
+      if (errors) {
+        return sendValidationErrors(res, errors);
+      }
+
+      store.insert('machines', machine);
+      auditLog.record({ action: 'created', after: machine, user: req.user });
+      events.publish('machine.created', { machine });
 
       res.status(201).json(machine);
     });
 
-    app.put('/api/machines/:id', (req, res) => {
-      const id = req.params.id;
-      const idx = db.machines.findIndex(m => m.id === id);
-      if (idx === -1) {
+    app.put('/api/machines/:id', requireRole('manager'), (req, res) => {
+      const existing = store.get('machines', req.params.id);
+      if (!existing) {
         return res.status(404).json({ message: 'Machine not found' });
       }
-      db.machines[idx] = {
-        ...db.machines[idx],
-        ...req.body,
-        id
-      };
-      saveDb(db);
-      res.json(db.machines[idx]);
+      const { machine, errors } = buildMachineUpdate(existing, req.body);
+      if (errors) {
+        return sendValidationErrors(res, errors);
+      }
+
+      saveMachineUpdate(machine, req.body, existing, req.user);
+      res.json(machine);
     });
 
-    app.delete('/api/machines/:id', (req, res) => {
+    app.delete('/api/machines/:id', requireRole('admin'), (req, res) => {
       const id = req.params.id;
-      const idx = db.machines.findIndex(m => m.id === id);
-      if (idx === -1) {
+      const existing = store.get('machines', id);
+      if (!existing || !store.remove('machines', id)) {
         return res.status(404).json({ message: 'Machine not found' });
       }
-      db.machines.splice(idx, 1);
-      db.vitals = db.vitals.filter(v => v.machineId !== id);
-      saveDb(db);
+      auditLog.record({ action: 'deleted', before: existing, user: req.user });
+      store.deleteVitals(id);
+      store.removeWhere('workOrders', o => o.machineId === id);
+      store.removeWhere('apiKeys', k => k.machineId === id);
+      store.remove('boms', id);
+      alertService.resolveForMachine(id, null, 'system', 'Machine deleted');
+      anomalyEngine.reset(id);
+      ruleEngine.reset(id);
+      watchdog.forget(id);
+      events.publish('machine.deleted', { machineId: id });
       res.status(204).end();
     });
 
-    app.get('/api/machines/:id/vitals', (req, res) => {
-      const id = req.params.id;
-      const limit = parseInt(req.query.limit || '50', 10);
-      const vitals = db.vitals
-        .filter(v => v.machineId === id)
-        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-        .slice(-limit);
-      res.json(vitals);
-    });
-
-    app.post('/api/machines/:id/vitals', async (req, res) => {
-      const id = req.params.id;
-      const machine = db.machines.find(m => m.id === id);
+    app.use('/api/machines/import', requireRole('manager'));
+    app.use('/api', createTransferRouter({
+      store,
+      buildMachine,
+      buildMachineUpdate,
+      onCreated: (machine, user) => {
+        auditLog.record({ action: 'created', after: machine, user });
+        events.publish('machine.created', { machine });
+      },
+      onUpdated: saveMachineUpdate
+    }));
+    app.use('/api', createVitalsQueryRouter({ store }));
+    const retentionJob = createRetentionJob({ store, generateId });
+    app.use('/api/retention', requireRole('admin'), createRetentionRouter({ store, job: retentionJob }));
+    app.use('/api', createFleetRouter({ store, watchdog }));
+    app.use('/api/assets', requireRoleByMethod({ write: 'manager' }), createAssetsRouter({ store, generateId, watchdog, events, auditLog }));
+    app.use('/api/parts', requireRoleByMethod({ write: 'manager' }), createPartsRouter({ store, generateId, inventory }));
+    app.use('/api/machines/:id/bom', requireRoleByMethod({ write: 'manager' }), createBomRouter({ store, inventory }));
+
+    app.get('/api/machines/:id/prediction', (req, res) => {
+      const machine = store.get('machines', req.params.id);
       if (!machine) {
         return res.status(404).json({ message: 'Machine not found' });
       }
+      res.json(predictMachine(machine, vitalsSinceMaintenance(machine, predictionSettings().maxSamples)));
+    });
 
-      const { temperature, vibration, pressure, timestamp } = req.body;
-      const vital = {
-        id: generateId(),
-        machineId: id,
-        temperature: typeof temperature === 'number' ? temperature : null,
-        vibration: typeof vibration === 'number' ? vibration : null,
-        pressure: typeof pressure === 'number' ? pressure : null,
-        timestamp: timestamp || new Date().toISOString()
-      };
-
-      db.vitals.push(vital);
-
-      const thresholds = machine.thresholds || {
-        temperature: 80,
-        vibration: 10,
-        pressure: 200
-      };
-
-      let abnormal = false;
-      const reasons = [];
-
-      if (vital.temperature !== null && vital.temperature > thresholds.temperature) {
-        abnormal = true;
-        reasons.push(`Temperature ${vital.temperature}°C > ${thresholds.temperature}°C`);
-      }
-      if (vital.vibration !== null && vital.vibration > thresholds.vibration) {
-        abnormal = true;
-        reasons.push(`Vibration ${vital.vibration}mm/s > ${thresholds.vibration}mm/s`);
+    app.use('/api/machines/:id/work-orders', requireRoleByMethod({ write: 'technician' }), createWorkOrdersRouter({
+      store,
+      generateId,
+      onCompleted: (machine, order, user) => {
+        inventory.consume(machine, order);
+        const component = orderComponent(machine, order);
+        const before = component
+          ? {
+            ...machine,
+            components: machine.components.map(c => (c === component ? { ...c, nextMaintenanceDate: order.previousMaintenanceDate } : c))
+          }
+          : { ...machine, nextMaintenanceDate: order.previousMaintenanceDate };
+        auditLog.record({ action: 'maintenance', before, after: machine, user });
+        anomalyEngine.reset(machine.id);
+        alertService.resolveForMachine(
+          machine.id,
+          'maintenance',
+          order.technician || 'system',
+          'Maintenance completed',
+          component ? component.id : null
+        );
+        events.publish('machine.updated', { machine });
       }
-      if (vital.pressure !== null && vital.pressure > thresholds.pressure) {
-        abnormal = true;
-        reasons.push(`Pressure ${vital.pressure}bar > ${thresholds.pressure}bar`);
+    }));
+
+    app.use('/api/machines/:id/rules', requireRoleByMethod({ write: 'manager' }), createRulesRouter({
+      store,
+      generateId,
+      buildUpdate: buildMachineUpdate,
+      onChanged: (machine, before, user) => {
+        auditLog.record({ action: 'rules', before, after: machine, user });
+        restartRules(machine);
+        events.publish('machine.updated', { machine });
       }
+    }));
+
+    app.use('/api/machines/:id/audit', createAuditRouter({ auditLog }));
+
+    const ingestService = createIngestService({
+      store,
+      generateId,
+      anomalyEngine,
+      ruleEngine,
+      alertService,
+      notifier,
+      events,
+      watchdog,
+      vitalsSinceMaintenance
+    });
 
-      if (abnormal) {
-        const now = new Date();
-        const lastAlert = machine.lastAbnormalAlertSent ? new Date(machine.lastAbnormalAlertSent) : null;
-        const minGapMinutes = parseInt(process.env.ABNORMAL_ALERT_MIN_GAP_MINUTES || '30', 10);
-
-        if (!lastAlert || (now - lastAlert) / (1000 * 60) > minGapMinutes) {
-          const subject = `⚠️ Abnormal condition detected on machine: ${machine.name}`;
-          const text = `Machine: ${machine.name}
-Code: ${machine.code || '-'}
-Location: ${machine.location || '-'}
-Time: ${vital.timestamp}
-
-Reasons:
-- ${reasons.join('\n- ')}
+    const mqttGateway = createMqttGateway({ store, ingestBatch: ingestService.ingestBatch });
+    app.use('/api/mqtt', createMqttRouter({ gateway: mqttGateway }));
 
-Latest reading:
-- Temperature: ${vital.temperature ?? '-'} °C
-- Vibration: ${vital.vibration ?? '-'} mm/s
-- Pressure: ${vital.pressure ?? '-'} bar
-`;
+    app.post('/api/machines/:id/vitals', allowDeviceOrRole('technician'), (req, res) => {
+      const machine = store.get('machines', req.params.id);
+      if (!machine) {
+        return res.status(404).json({ message: 'Machine not found' });
+      }
 
-          await sendAlertEmail(subject, text);
-          machine.lastAbnormalAlertSent = now.toISOString();
-        }
+      const { value, errors } = validateReading(channelsFor(machine), req.body);
+      if (errors) {
+        return sendValidationErrors(res, errors);
       }
 
-      saveDb(db);
-      res.status(201).json({ vital, abnormal });
+      res.status(201).json(ingestService.ingest(machine, value));
     });
 
+    app.use('/api/machines/:id/vitals/batch', allowDeviceOrRole('technician'));
+    app.use('/api/vitals/batch', requireRole('technician'));
+    app.use('/api', createBatchIngestRouter({ store, ingestService }));
+
     function checkUpcomingMaintenance() {
       const now = new Date();
       const lookaheadDays = parseInt(process.env.MAINTENANCE_LOOKAHEAD_DAYS || '7', 10);
+      const usePrediction = process.env.PREDICTIVE_REMINDERS === 'true';
 
-      db.machines.forEach(machine => {
-        if (!machine.nextMaintenanceDate) return;
+      store.list('machines').forEach(machine => {
+        const prediction = usePrediction
+          ? predictMachine(machine, vitalsSinceMaintenance(machine, predictionSettings().maxSamples), now)
+          : null;
+        const effective = effectiveMaintenanceDate(machine, prediction);
+        if (!effective) return;
 
-        const due = new Date(machine.nextMaintenanceDate);
+        const due = effective.date;
         const diffDays = (due - now) / (1000 * 60 * 60 * 24);
 
         if (diffDays < 0) {
@@ -244,67 +465,122 @@ Latest reading:
         if (diffDays <= lookaheadDays) {
           const lastSent = machine.lastMaintenanceReminderSent ? new Date(machine.lastMaintenanceReminderSent) : null;
           if (!lastSent || (now - lastSent) / (1000 * 60 * 60 * 24) >= 1) {
-            const subject = `🛠️ Maintenance due soon for machine: ${machine.name}`;
+            const parts = machineForecast(store, machine, now);
+            const subject = `🛠️ Maintenance due soon for machine: ${machine.name}${parts.shortfall ? ' (parts short)' : ''}`;
             const text = `Machine: ${machine.name}
 Code: ${machine.code || '-'}
 Location: ${machine.location || '-'}
 
-Next maintenance date: ${machine.nextMaintenanceDate}
+Next maintenance date: ${machine.nextMaintenanceDate || '-'}
+Predicted maintenance date: ${prediction?.predictedMaintenanceDate || '-'}${effective.source === 'predicted' ? ` (limited by ${prediction.limitingMetric} trend)` : ''}
 Days until due: ${diffDays.toFixed(1)}
-
+${parts.items.length > 0 ? `\n${describeParts(parts)}\n` : ''}
 Please schedule maintenance.`;
 
-            sendAlertEmail(subject, text);
+            const { alert } = alertService.raise({
+              type: 'maintenance',
+              severity: diffDays < 0 ? 'warning' : 'info',
+              machine,
+              reasons: [
+                diffDays < 0
+                  ? `Maintenance overdue by ${Math.abs(diffDays).toFixed(1)} days`
+                  : `Maintenance due in ${diffDays.toFixed(1)} days (${effective.source} date)`,
+                ...(parts.shortfall ? [`Parts short: ${parts.items.filter(i => i.short > 0).map(i => `${i.partNumber} ×${i.short}`).join(', ')}`] : [])
+              ],
+              subject
+            });
+            notifier.notify({ subject, text, severity: alert.severity, machine, alert });
             machine.lastMaintenanceReminderSent = now.toISOString();
+            store.update('machines', machine);
           }
         }
       });
 
-      saveDb(db);
+      store.list('machines').forEach(machine => {
+        (machine.components || []).forEach(component => remindComponent(machine, component, now, lookaheadDays));
+      });
     }
 
-    setInterval(checkUpcomingMaintenance, 60 * 1000);
+    // Components have their own dates and reminders, raised as maintenance
+    // alerts keyed by the component so completing its work order clears them.
+    function remindComponent(machine, component, now, lookaheadDays) {
+      if (!component.nextMaintenanceDate) return;
+      const diffDays = (new Date(component.nextMaintenanceDate) - now) / (1000 * 60 * 60 * 24);
+      if (diffDays > lookaheadDays) return;
+      const lastSent = component.lastMaintenanceReminderSent ? new Date(component.lastMaintenanceReminderSent) : null;
+      if (lastSent && (now - lastSent) / (1000 * 60 * 60 * 24) < 1) return;
+
+      const subject = `🛠️ Maintenance due soon for ${component.name} on machine: ${machine.name}`;
+      const text = `Machine: ${machine.name}
+Code: ${machine.code || '-'}
+Location: ${machine.location || '-'}
+Component: ${component.name} (${component.kind})
 
-    app.get('/api/health', (req, res) => {
-      res.json({ status: 'ok', machines: db.machines.length });
+Next maintenance date: ${component.nextMaintenanceDate}
+Days until due: ${diffDays.toFixed(1)}
+
+Please schedule maintenance of this component.`;
+
+      const { alert } = alertService.raise({
+        type: 'maintenance',
+        key: component.id,
+        severity: diffDays < 0 ? 'warning' : 'info',
+        machine,
+        reasons: [
+          diffDays < 0
+            ? `${component.name}: maintenance overdue by ${Math.abs(diffDays).toFixed(1)} days`
+            : `${component.name}: maintenance due in ${diffDays.toFixed(1)} days`
+        ],
+        subject
+      });
+      notifier.notify({ subject, text, severity: alert.severity, machine, alert });
+      component.lastMaintenanceReminderSent = now.toISOString();
+      store.update('machines', machine);
+    }
+
+    setInterval(checkUpcomingMaintenance, 60 * 1000);
+    setInterval(() => alertService.checkEscalations(), 60 * 1000);
+    setInterval(() => reportScheduler.runDue(), 60 * 1000);
+    setInterval(() => watchdog.check(), 60 * 1000);
+    setInterval(() => retentionJob.runDue(), 60 * 1000);
+
+    const simulator = createSimulator({ store, ingest: ingestService.ingest });
+    app.get('/api/simulator', (req, res) => {
+      res.json(simulator.list());
     });
+    app.use('/api/machines/:id/simulator', requireRoleByMethod({ write: 'technician' }), createSimulatorRouter({ store, simulator }));
 
-    app.post('/api/machines/:id/vitals/simulate', (req, res) => {
-      const id = req.params.id;
-      const machine = db.machines.find(m => m.id === id);
+    // One-off readings from the simulator's signal model: `count` readings
+    // ending now, with the same config as a continuous simulation.
+    app.post('/api/machines/:id/vitals/simulate', requireRole('technician'), (req, res) => {
+      const machine = store.get('machines', req.params.id);
       if (!machine) {
         return res.status(404).json({ message: 'Machine not found' });
       }
-
-      const thresholds = machine.thresholds || {
-        temperature: 80,
-        vibration: 10,
-        pressure: 200
-      };
-
-      function randAround(base, spread) {
-        return base + (Math.random() * 2 - 1) * spread;
+      const count = req.body.count === undefined ? 1 : Number(req.body.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH) {
+        return sendValidationErrors(res, [{ field: 'count', message: `must be a whole number from 1 to ${MAX_BATCH}` }]);
       }
+      const { config, errors } = normalizeConfig(req.body);
+      if (errors) return sendValidationErrors(res, errors);
 
-      const temp = randAround(thresholds.temperature - 10, 8);
-      const vib = randAround(thresholds.vibration - 3, 3);
-      const pres = randAround(thresholds.pressure - 30, 20);
-
-      const vital = {
-        id: generateId(),
-        machineId: id,
-        temperature: Math.round(temp * 10) / 10,
-        vibration: Math.round(vib * 10) / 10,
-        pressure: Math.round(pres * 10) / 10,
-        timestamp: new Date().toISOString()
-      };
+      const results = simulator.runBatch(machine, config, count);
+      res.status(201).json(count === 1 ? results[0] : { seed: config.seed, count, results });
+    });
 
-      db.vitals.push(vital);
-      saveDb(db);
+    app.use('/api', notFound);
+    app.use(errorHandler);
 
-      res.status(201).json(vital);
+    app.listen(PORT, () => {
+      console.log(`Backend server running on port ${PORT} (${store.driver} storage)`);
+      mqttGateway.start();
     });
 
-    app.listen(PORT, () => {
-      console.log(`Backend server running on port ${PORT}`);
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.on(signal, async () => {
+        simulator.stopAll();
+        await mqttGateway.stop();
+        store.close();
+        process.exit(0);
+      });
     });
\ No newline at end of file
@@ -0,0 +1,351 @@
+const express = require('express');
+const { channelsFor } = require('./metrics');
+const { validate, sendValidationErrors } = require('./validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Faults a simulation can inject on top of the healthy signal:
+//   drift     gradual wear: the value creeps towards (and past) its limit
+//   spikes    occasional single readings far outside the normal band
+//   dropouts  the sensor sends nothing for the channel now and then
+//   stuck     the sensor freezes on one value for a run of readings
+const FAULTS = ['drift', 'spikes', 'dropouts', 'stuck'];
+
+// Channels bearing wear shows up on first; others only drift if listed explicitly.
+const WEAR_CHANNELS = ['vibration', 'temperature'];
+
+const MIN_INTERVAL_MS = 500;
+const MAX_BATCH = 10000;
+
+/** mulberry32: small, fast and good enough for test signals. Same seed, same sequence. */
+function createRng(seed) {
+  let state = seed >>> 0;
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  // Box-Muller; always draws two uniforms so the sequence doesn't depend on branches.
+  function gaussian() {
+    const u = next() || Number.EPSILON;
+    const v = next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+  return { next, gaussian };
+}
+
+/**
+ * The healthy signal for a channel, placed inside its limits: `baseline` is
+ * where it idles and `scale` how far it is from the nearest limit.
+ */
+function defaultModel(channel) {
+  const { min, max } = channel;
+  let baseline;
+  let scale;
+  if (typeof min === 'number' && typeof max === 'number') {
+    baseline = (min + max) / 2;
+    scale = (max - min) / 2;
+  } else if (typeof max === 'number') {
+    scale = Math.abs(max) * 0.3 || 1;
+    baseline = max - scale;
+  } else if (typeof min === 'number') {
+    scale = Math.abs(min) * 0.3 || 1;
+    baseline = min + scale;
+  } else {
+    baseline = 50;
+    scale = 25;
+  }
+  return {
+    baseline,
+    noise: scale * 0.05,
+    dailyAmplitude: scale * 0.1,
+    driftPerHour: 0,
+    spikeChance: 0,
+    spikeSize: scale * 1.5,
+    dropoutChance: 0,
+    stuckChance: 0,
+    stuckReadings: 10
+  };
+}
+
+const MODEL_FIELDS = Object.keys(defaultModel({ min: null, max: 1 }));
+
+/** The model for each of the machine's channels: defaults, then faults, then per-channel overrides. */
+function channelModels(channels, config) {
+  const wear = channels.some(c => WEAR_CHANNELS.includes(c.key))
+    ? channels.filter(c => WEAR_CHANNELS.includes(c.key)).map(c => c.key)
+    : channels.map(c => c.key);
+
+  return Object.fromEntries(channels.map(channel => {
+    const model = defaultModel(channel);
+    const scale = model.spikeSize / 1.5;
+    if (config.faults.includes('drift') && wear.includes(channel.key)) {
+      // Reaches the limit after about two days of model time.
+      model.driftPerHour = scale / 48;
+    }
+    if (config.faults.includes('spikes')) model.spikeChance = 0.02;
+    if (config.faults.includes('dropouts')) model.dropoutChance = 0.05;
+    if (config.faults.includes('stuck')) model.stuckChance = 0.01;
+    return [channel.key, { ...model, ...(config.channels[channel.key] || {}) }];
+  }));
+}
+
+// Per-channel overrides of the signal model, e.g. { temperature: { noise: 2 } }.
+function checkChannelModels(input) {
+  const errors = [];
+  const channels = {};
+  Object.entries(input).forEach(([key, overrides]) => {
+    channels[key] = {};
+    Object.entries(overrides || {}).forEach(([field, value]) => {
+      if (!MODEL_FIELDS.includes(field) || !Number.isFinite(Number(value))) {
+        errors.push({ field: `channels.${key}.${field}`, message: `must be one of ${MODEL_FIELDS.join(', ')} with a numeric value` });
+      } else {
+        channels[key][field] = Number(value);
+      }
+    });
+  });
+  return errors.length > 0 ? { errors } : { value: channels };
+}
+
+// Other fields of the body (such as the simulate route's `count`) are left alone.
+const configSchema = {
+  seed: { type: 'number', integer: true, min: 0, default: () => Math.floor(Math.random() * 2 ** 32) },
+  intervalMs: { type: 'number', min: MIN_INTERVAL_MS, default: 5000 },
+  timeScale: { type: 'number', default: 1, check: value => (value > 0 ? { value } : { error: 'must be a positive number' }) },
+  startHour: { type: 'number', min: 0, default: 8, check: value => (value < 24 ? { value } : { error: 'must be from 0 to 23' }) },
+  faults: {
+    type: 'array',
+    default: () => [],
+    check: faults => (faults.every(f => FAULTS.includes(f)) ? { value: faults } : { error: `must be a list of: ${FAULTS.join(', ')}` })
+  },
+  channels: { type: 'object', default: () => ({}), check: checkChannelModels }
+};
+
+/**
+ * Validates a simulation config sent by a client:
+ *   { seed, intervalMs, timeScale, startHour, faults, channels: { key: model overrides } }
+ * `timeScale` is how much model time passes per real millisecond, so daily
+ * cycles and wear are visible in a short demo. Returns `{ config }` or `{ errors }`.
+ */
+function normalizeConfig(body = {}) {
+  const { value, errors } = validate(configSchema, body, { allowUnknown: true });
+  return errors ? { errors } : { config: value };
+}
+
+/**
+ * One simulated machine: a seeded RNG, a model clock and per-channel fault
+ * state. `next()` returns the reading for the next step, without timestamp.
+ */
+function createSignal(config) {
+  const rng = createRng(config.seed);
+  const stepMs = config.intervalMs * config.timeScale;
+  const state = {};
+  let step = 0;
+
+  function next(channels) {
+    const hours = (step * stepMs) / HOUR_MS;
+    const hourOfDay = (config.startHour + hours) % 24;
+    const models = channelModels(channels, config);
+    const reading = {};
+    const faults = [];
+
+    channels.forEach(channel => {
+      const m = models[channel.key];
+      const s = state[channel.key] || (state[channel.key] = { stuckLeft: 0, stuckValue: null });
+      const noise = rng.gaussian();
+      const spike = rng.next() < m.spikeChance;
+      const spikeSign = rng.next() < 0.8 ? 1 : -1;
+      const dropout = rng.next() < m.dropoutChance;
+      const stick = rng.next() < m.stuckChance;
+
+      // Peaks mid-afternoon, lowest in the early morning, like a heated shop floor.
+      const daily = m.dailyAmplitude * Math.sin(((hourOfDay - 8) / 24) * 2 * Math.PI);
+      let value = m.baseline + daily + m.driftPerHour * hours + noise * m.noise;
+      if (spike) {
+        value += spikeSign * m.spikeSize;
+        faults.push(`${channel.key}:spike`);
+      }
+
+      if (s.stuckLeft > 0) {
+        s.stuckLeft -= 1;
+        value = s.stuckValue;
+        faults.push(`${channel.key}:stuck`);
+      } else if (stick && s.last !== undefined && s.last !== null) {
+        s.stuckLeft = Math.max(0, Math.round(m.stuckReadings) - 1);
+        s.stuckValue = s.last;
+        value = s.last;
+        faults.push(`${channel.key}:stuck`);
+      }
+
+      if (dropout) {
+        faults.push(`${channel.key}:dropout`);
+        return;
+      }
+      const f = 10 ** (channel.precision ?? 1);
+      reading[channel.key] = Math.round(value * f) / f;
+      s.last = reading[channel.key];
+    });
+
+    step += 1;
+    return { reading, faults, modelHours: hours };
+  }
+
+  return { next, steps: () => step };
+}
+
+/**
+ * Runs simulations for chosen machines, feeding every reading through
+ * `ingest` like a real sensor would so anomaly detection, alert rules,
+ * notifications and live events all see it. Simulations are kept in memory
+ * and end when the server stops.
+ */
+function createSimulator({ store, ingest }) {
+  const running = new Map();
+
+  function status(run) {
+    return {
+      machineId: run.machineId,
+      running: true,
+      config: run.config,
+      startedAt: run.startedAt,
+      readings: run.signal.steps(),
+      modelHours: Math.round(((run.signal.steps() * run.config.intervalMs * run.config.timeScale) / HOUR_MS) * 100) / 100,
+      lastReading: run.lastReading,
+      lastFaults: run.lastFaults,
+      alerts: run.alertIds.size,
+      error: run.error
+    };
+  }
+
+  function emit(run, machine, timestamp) {
+    const { reading, faults } = run.signal.next(channelsFor(machine));
+    const result = ingest(machine, { ...reading, timestamp });
+    run.lastReading = result.vital;
+    run.lastFaults = faults;
+    // Readings that fold into an alert already open carry its id again.
+    if (result.alertId) run.alertIds.add(result.alertId);
+    return { ...result, faults };
+  }
+
+  function tick(run) {
+    const machine = store.get('machines', run.machineId);
+    if (!machine) {
+      stop(run.machineId);
+      return;
+    }
+    try {
+      emit(run, machine, new Date().toISOString());
+      run.error = null;
+    } catch (err) {
+      run.error = err.message;
+      console.error(`Simulator error for machine ${run.machineId}:`, err.message);
+    }
+  }
+
+  function start(machineId, config) {
+    stop(machineId);
+    const run = {
+      machineId,
+      config,
+      signal: createSignal(config),
+      startedAt: new Date().toISOString(),
+      lastReading: null,
+      lastFaults: [],
+      alertIds: new Set(),
+      error: null
+    };
+    run.timer = setInterval(() => tick(run), config.intervalMs);
+    running.set(machineId, run);
+    return status(run);
+  }
+
+  function stop(machineId) {
+    const run = running.get(machineId);
+    if (!run) return null;
+    clearInterval(run.timer);
+    running.delete(machineId);
+    return { ...status(run), running: false };
+  }
+
+  function stopAll() {
+    [...running.keys()].forEach(stop);
+  }
+
+  /**
+   * Generates `count` readings at once, spaced `intervalMs` apart and ending
+   * now, for demos and repeatable detection tests. They all come after the
+   * machine's latest stored reading, squeezed closer together if need be,
+   * since the rules only move forward in time.
+   */
+  function runBatch(machine, config, count) {
+    const run = { machineId: machine.id, config, signal: createSignal(config), alertIds: new Set() };
+    const latest = store.queryVitals(machine.id, { limit: 1 })[0];
+    const after = latest ? new Date(latest.timestamp).getTime() : -Infinity;
+    const end = Math.max(Date.now(), after + count);
+    const step = Math.min(config.intervalMs, Math.floor((end - after) / count));
+    const results = [];
+    for (let i = count - 1; i >= 0; i--) {
+      results.push(emit(run, machine, new Date(end - i * step).toISOString()));
+    }
+    return results;
+  }
+
+  function get(machineId) {
+    const run = running.get(machineId);
+    return run ? status(run) : { machineId, running: false };
+  }
+
+  function list() {
+    return [...running.values()].map(status);
+  }
+
+  return { start, stop, stopAll, runBatch, get, list };
+}
+
+/** Start/stop/status of the simulation for one machine, mounted at /api/machines/:id/simulator. */
+function createSimulatorRouter({ store, simulator }) {
+  const router = express.Router({ mergeParams: true });
+
+  function findMachine(req, res) {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) res.status(404).json({ message: 'Machine not found' });
+    return machine;
+  }
+
+  router.get('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    res.json(simulator.get(machine.id));
+  });
+
+  // Starting again replaces the running simulation with the new config.
+  router.post('/start', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const { config, errors } = normalizeConfig(req.body);
+    if (errors) return sendValidationErrors(res, errors);
+    res.status(201).json(simulator.start(machine.id, config));
+  });
+
+  router.post('/stop', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const stopped = simulator.stop(machine.id);
+    if (!stopped) return res.status(404).json({ message: 'No simulation is running for this machine' });
+    res.json(stopped);
+  });
+
+  return router;
+}
+
+module.exports = {
+  FAULTS,
+  MAX_BATCH,
+  createRng,
+  normalizeConfig,
+  createSignal,
+  createSimulator,
+  createSimulatorRouter
+};
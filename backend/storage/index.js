@@ -0,0 +1,42 @@
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+/*
+ * Every adapter exposes the same synchronous interface:
+ *
+ *   list(collection) / get(collection, id)
+ *   insert(collection, doc) / update(collection, doc) / remove(collection, id)
+ *   removeWhere(collection, predicate)
+ *   appendVitals(vitals) / queryVitals(machineId, { from, to, limit })
+ *   countVitals(machineId?) / oldestVital(machineId)
+ *   deleteVitalsBefore(machineId, before) / deleteVitals(machineId)
+ *   upsertRollups(rollups) / queryRollups(machineId, resolution, { from, to })
+ *   deleteRollupsBefore(machineId, resolution, before)
+ *   flush() / close()
+ *
+ * Documents come back as copies, so callers must `update` after changing one.
+ * Vitals are never modified once stored and are returned oldest first;
+ * `limit` keeps the newest N readings of the range. Rollups summarise expired
+ * vitals per 'hour' or 'day' and are replaced whole, keyed by machine,
+ * resolution and timestamp. deleteVitals removes a machine's rollups too.
+ */
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+  const baseDir = options.baseDir || path.join(__dirname, '..');
+
+  if (driver === 'sqlite') {
+    return createSqliteStore({
+      file: options.file || process.env.SQLITE_FILE || path.join(baseDir, 'data.sqlite')
+    });
+  }
+  if (driver === 'json') {
+    return createJsonStore({
+      file: options.file || process.env.DB_FILE || path.join(baseDir, 'db.json'),
+      flushIntervalMs: parseInt(process.env.JSON_FLUSH_INTERVAL_MS || '1000', 10)
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected json or sqlite)`);
+}
+
+module.exports = { createStorage };
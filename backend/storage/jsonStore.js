@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+
+function clone(doc) {
+  return doc === undefined || doc === null ? doc : JSON.parse(JSON.stringify(doc));
+}
+
+// Index of the first entry in `times` that is >= t (times sorted ascending).
+function lowerBound(times, t) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the first entry in `times` that is > t.
+function upperBound(times, t) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Storage adapter that keeps everything in memory and persists it to a single
+ * JSON file in the original db.json layout. Writes are coalesced: changes mark
+ * the store dirty and are flushed at most every `flushIntervalMs`, always via
+ * a temp file + rename so a crash never leaves a half-written file.
+ */
+function createJsonStore({ file, flushIntervalMs = 1000 }) {
+  const collections = new Map();
+  // machineId -> { times: number[], rows: object[] }, both sorted by time
+  const series = new Map();
+  // `${machineId}:${resolution}` -> the same, one rollup per timestamp
+  const rollups = new Map();
+  let flushTimer = null;
+
+  function collection(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  function seriesFor(machineId) {
+    if (!series.has(machineId)) series.set(machineId, { times: [], rows: [] });
+    return series.get(machineId);
+  }
+
+  function insertVital(vital) {
+    const s = seriesFor(vital.machineId);
+    const t = new Date(vital.timestamp).getTime();
+    const at = upperBound(s.times, t);
+    s.times.splice(at, 0, t);
+    s.rows.splice(at, 0, vital);
+  }
+
+  function rollupSeries(machineId, resolution) {
+    const key = `${machineId}:${resolution}`;
+    if (!rollups.has(key)) rollups.set(key, { times: [], rows: [] });
+    return rollups.get(key);
+  }
+
+  function upsertRollup(rollup) {
+    const s = rollupSeries(rollup.machineId, rollup.resolution);
+    const t = new Date(rollup.timestamp).getTime();
+    const at = lowerBound(s.times, t);
+    if (s.times[at] === t) {
+      s.rows[at] = rollup;
+    } else {
+      s.times.splice(at, 0, t);
+      s.rows.splice(at, 0, rollup);
+    }
+  }
+
+  function slice(s, { from, to }) {
+    const start = from ? lowerBound(s.times, new Date(from).getTime()) : 0;
+    const end = to ? upperBound(s.times, new Date(to).getTime()) : s.times.length;
+    return [start, end];
+  }
+
+  // Drops the entries of `s` before `before`, returning how many went.
+  function dropBefore(s, before) {
+    const end = lowerBound(s.times, new Date(before).getTime());
+    s.times.splice(0, end);
+    s.rows.splice(0, end);
+    if (end > 0) markDirty();
+    return end;
+  }
+
+  function load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      return;
+    }
+    Object.keys(raw).forEach(key => {
+      if (!Array.isArray(raw[key])) return;
+      if (key === 'vitals') {
+        raw.vitals.forEach(insertVital);
+      } else if (key === 'vitalRollups') {
+        raw.vitalRollups.forEach(upsertRollup);
+      } else {
+        const docs = collection(key);
+        raw[key].forEach(doc => docs.set(doc.id, doc));
+      }
+    });
+  }
+
+  function snapshot() {
+    const data = {};
+    collections.forEach((docs, name) => {
+      data[name] = Array.from(docs.values());
+    });
+    data.vitals = [];
+    series.forEach(s => {
+      s.rows.forEach(v => data.vitals.push(v));
+    });
+    data.vitalRollups = [];
+    rollups.forEach(s => {
+      s.rows.forEach(r => data.vitalRollups.push(r));
+    });
+    return data;
+  }
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(snapshot(), null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  function markDirty() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        flush();
+      } catch (err) {
+        console.error('Error writing JSON store:', err.message);
+      }
+    }, flushIntervalMs);
+  }
+
+  load();
+
+  return {
+    driver: 'json',
+
+    list(name) {
+      return Array.from(collection(name).values()).map(clone);
+    },
+
+    get(name, id) {
+      return clone(collection(name).get(id)) || null;
+    },
+
+    insert(name, doc) {
+      collection(name).set(doc.id, clone(doc));
+      markDirty();
+      return doc;
+    },
+
+    update(name, doc) {
+      const docs = collection(name);
+      if (!docs.has(doc.id)) return null;
+      docs.set(doc.id, clone(doc));
+      markDirty();
+      return doc;
+    },
+
+    remove(name, id) {
+      const removed = collection(name).delete(id);
+      if (removed) markDirty();
+      return removed;
+    },
+
+    removeWhere(name, predicate) {
+      const docs = collection(name);
+      let count = 0;
+      docs.forEach((doc, id) => {
+        if (predicate(doc)) {
+          docs.delete(id);
+          count += 1;
+        }
+      });
+      if (count > 0) markDirty();
+      return count;
+    },
+
+    appendVitals(vitals) {
+      vitals.forEach(v => insertVital(clone(v)));
+      if (vitals.length > 0) markDirty();
+      return vitals;
+    },
+
+    queryVitals(machineId, { from, to, limit } = {}) {
+      const s = series.get(machineId);
+      if (!s) return [];
+      const [start, end] = slice(s, { from, to });
+      const first = limit ? Math.max(start, end - limit) : start;
+      return s.rows.slice(first, end).map(clone);
+    },
+
+    countVitals(machineId) {
+      if (machineId) return series.has(machineId) ? series.get(machineId).rows.length : 0;
+      let total = 0;
+      series.forEach(s => {
+        total += s.rows.length;
+      });
+      return total;
+    },
+
+    oldestVital(machineId) {
+      const s = series.get(machineId);
+      return s && s.rows.length > 0 ? s.rows[0] : null;
+    },
+
+    deleteVitalsBefore(machineId, before) {
+      const s = series.get(machineId);
+      return s ? dropBefore(s, before) : 0;
+    },
+
+    deleteVitals(machineId) {
+      let removed = series.delete(machineId);
+      rollups.forEach((s, key) => {
+        if (key.startsWith(`${machineId}:`)) removed = rollups.delete(key) || removed;
+      });
+      if (removed) markDirty();
+      return removed;
+    },
+
+    upsertRollups(list) {
+      list.forEach(r => upsertRollup(clone(r)));
+      if (list.length > 0) markDirty();
+      return list;
+    },
+
+    queryRollups(machineId, resolution, { from, to } = {}) {
+      const s = rollups.get(`${machineId}:${resolution}`);
+      if (!s) return [];
+      const [start, end] = slice(s, { from, to });
+      return s.rows.slice(start, end).map(clone);
+    },
+
+    deleteRollupsBefore(machineId, resolution, before) {
+      const s = rollups.get(`${machineId}:${resolution}`);
+      return s ? dropBefore(s, before) : 0;
+    },
+
+    flush,
+
+    close() {
+      flush();
+    }
+  };
+}
+
+module.exports = { createJsonStore };
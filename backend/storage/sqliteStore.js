@@ -0,0 +1,181 @@
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    UNIQUE (collection, id)
+  );
+  CREATE TABLE IF NOT EXISTS vitals (
+    id TEXT PRIMARY KEY,
+    machine_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS vitals_machine_ts ON vitals (machine_id, ts);
+  CREATE TABLE IF NOT EXISTS vital_rollups (
+    id TEXT PRIMARY KEY,
+    machine_id TEXT NOT NULL,
+    resolution TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS vital_rollups_machine_ts ON vital_rollups (machine_id, resolution, ts);
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=sqlite needs the optional "better-sqlite3" package: npm install better-sqlite3');
+  }
+}
+
+/**
+ * Storage adapter backed by an embedded SQLite file. Machines, work orders,
+ * alerts and other records live as JSON documents; vitals get their own table
+ * indexed by (machine_id, ts) so range queries never scan the whole history.
+ * Their hourly and daily rollups get a table of the same shape.
+ */
+function createSqliteStore({ file }) {
+  const Database = loadDriver();
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+
+  const stmts = {
+    list: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    insert: db.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    insertVital: db.prepare('INSERT OR REPLACE INTO vitals (id, machine_id, ts, data) VALUES (?, ?, ?, ?)'),
+    queryVitals: db.prepare(`
+      SELECT data FROM vitals
+      WHERE machine_id = @machineId AND ts >= @from AND ts <= @to
+      ORDER BY ts DESC, rowid DESC
+      LIMIT @limit
+    `),
+    countAll: db.prepare('SELECT COUNT(*) AS n FROM vitals'),
+    countMachine: db.prepare('SELECT COUNT(*) AS n FROM vitals WHERE machine_id = ?'),
+    oldestVital: db.prepare('SELECT data FROM vitals WHERE machine_id = ? ORDER BY ts, rowid LIMIT 1'),
+    deleteVitalsBefore: db.prepare('DELETE FROM vitals WHERE machine_id = ? AND ts < ?'),
+    deleteVitals: db.prepare('DELETE FROM vitals WHERE machine_id = ?'),
+    upsertRollup: db.prepare('INSERT OR REPLACE INTO vital_rollups (id, machine_id, resolution, ts, data) VALUES (?, ?, ?, ?, ?)'),
+    queryRollups: db.prepare(`
+      SELECT data FROM vital_rollups
+      WHERE machine_id = @machineId AND resolution = @resolution AND ts >= @from AND ts <= @to
+      ORDER BY ts
+    `),
+    deleteRollupsBefore: db.prepare('DELETE FROM vital_rollups WHERE machine_id = ? AND resolution = ? AND ts < ?'),
+    deleteRollups: db.prepare('DELETE FROM vital_rollups WHERE machine_id = ?')
+  };
+
+  const appendMany = db.transaction(vitals => {
+    vitals.forEach(v => {
+      stmts.insertVital.run(v.id, v.machineId, new Date(v.timestamp).getTime(), JSON.stringify(v));
+    });
+  });
+
+  const upsertRollups = db.transaction(rollups => {
+    rollups.forEach(r => {
+      stmts.upsertRollup.run(r.id, r.machineId, r.resolution, new Date(r.timestamp).getTime(), JSON.stringify(r));
+    });
+  });
+
+  const removeMany = db.transaction((name, ids) => {
+    ids.forEach(id => stmts.remove.run(name, id));
+  });
+
+  return {
+    driver: 'sqlite',
+
+    list(name) {
+      return stmts.list.all(name).map(row => JSON.parse(row.data));
+    },
+
+    get(name, id) {
+      const row = stmts.get.get(name, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    insert(name, doc) {
+      stmts.insert.run(name, doc.id, JSON.stringify(doc));
+      return doc;
+    },
+
+    update(name, doc) {
+      const result = stmts.update.run(JSON.stringify(doc), name, doc.id);
+      return result.changes > 0 ? doc : null;
+    },
+
+    remove(name, id) {
+      return stmts.remove.run(name, id).changes > 0;
+    },
+
+    removeWhere(name, predicate) {
+      const ids = this.list(name).filter(predicate).map(doc => doc.id);
+      removeMany(name, ids);
+      return ids.length;
+    },
+
+    appendVitals(vitals) {
+      appendMany(vitals);
+      return vitals;
+    },
+
+    queryVitals(machineId, { from, to, limit } = {}) {
+      const rows = stmts.queryVitals.all({
+        machineId,
+        from: from ? new Date(from).getTime() : Number.MIN_SAFE_INTEGER,
+        to: to ? new Date(to).getTime() : Number.MAX_SAFE_INTEGER,
+        limit: limit || -1
+      });
+      return rows.reverse().map(row => JSON.parse(row.data));
+    },
+
+    countVitals(machineId) {
+      return machineId ? stmts.countMachine.get(machineId).n : stmts.countAll.get().n;
+    },
+
+    oldestVital(machineId) {
+      const row = stmts.oldestVital.get(machineId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    deleteVitalsBefore(machineId, before) {
+      return stmts.deleteVitalsBefore.run(machineId, new Date(before).getTime()).changes;
+    },
+
+    deleteVitals(machineId) {
+      const rollups = stmts.deleteRollups.run(machineId).changes;
+      return stmts.deleteVitals.run(machineId).changes + rollups > 0;
+    },
+
+    upsertRollups(rollups) {
+      upsertRollups(rollups);
+      return rollups;
+    },
+
+    queryRollups(machineId, resolution, { from, to } = {}) {
+      return stmts.queryRollups.all({
+        machineId,
+        resolution,
+        from: from ? new Date(from).getTime() : Number.MIN_SAFE_INTEGER,
+        to: to ? new Date(to).getTime() : Number.MAX_SAFE_INTEGER
+      }).map(row => JSON.parse(row.data));
+    },
+
+    deleteRollupsBefore(machineId, resolution, before) {
+      return stmts.deleteRollupsBefore.run(machineId, resolution, new Date(before).getTime()).changes;
+    },
+
+    flush() {},
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../storage/jsonStore');
+const { createAnomalyEngine } = require('../anomaly');
+const { createRuleEngine } = require('../rules');
+const { createAlertService } = require('../alerts');
+const { createNotifier } = require('../notifier');
+const { createEventBus } = require('../events');
+const { createWatchdog } = require('../watchdog');
+const { createIngestService } = require('../ingest');
+
+// Shared by the *.test.js files; run with `npm test` (node --test).
+
+let lastId = 0;
+function generateId() {
+  lastId += 1;
+  return `t${lastId}`;
+}
+
+/** A JSON store in a temporary directory; `cleanup()` closes it and removes the directory. */
+function createTestStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maintenance-test-'));
+  const store = createJsonStore({ file: path.join(dir, 'db.json'), flushIntervalMs: 60 * 1000 });
+  return {
+    store,
+    cleanup() {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/** Sets environment variables until the returned function puts the old values back. */
+function setEnv(vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  Object.entries(vars).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  return () => setEnv(saved);
+}
+
+/**
+ * The ingest path as server.js wires it, with email going to a stub
+ * transport whose `sent` lists the messages.
+ */
+function createTestPipeline(store) {
+  const sent = [];
+  const transporter = { async sendMail(mail) { sent.push(mail); } };
+  const events = createEventBus();
+  const notifier = createNotifier({ store, generateId, transporter });
+  const alertService = createAlertService({ store, generateId, notify: notifier.notify, publish: events.publish });
+  const watchdog = createWatchdog({ store, alertService, notifier, events });
+  const ingestService = createIngestService({
+    store,
+    generateId,
+    anomalyEngine: createAnomalyEngine(),
+    ruleEngine: createRuleEngine({ store }),
+    alertService,
+    notifier,
+    events,
+    watchdog,
+    vitalsSinceMaintenance: (machine, limit) => store.queryVitals(machine.id, { from: machine.lastMaintenanceAt, limit })
+  });
+  return { sent, events, notifier, alertService, ingestService };
+}
+
+/** Resolves once `check()` returns something truthy, polling every 10 ms; rejects after `timeoutMs`. */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = { generateId, createTestStore, setEnv, createTestPipeline, waitFor };
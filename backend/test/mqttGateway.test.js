@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const { createMqttGateway } = require('../mqttGateway');
+const { createTestStore, createTestPipeline, waitFor } = require('./helpers');
+
+// An in-process Aedes broker on a free port. Aedes only ships as ESM.
+async function startBroker() {
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    broker,
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => broker.close(() => server.close(resolve)))
+  };
+}
+
+function connectClient(url) {
+  return new Promise((resolve, reject) => {
+    const client = mqtt.connect(url, { reconnectPeriod: 0 });
+    client.once('connect', () => resolve(client));
+    client.once('error', reject);
+  });
+}
+
+describe('MQTT gateway', () => {
+  let broker;
+  let test;
+  let gateway;
+  let publisher;
+
+  before(async () => {
+    broker = await startBroker();
+    test = createTestStore();
+    test.store.insert('machines', { id: 'm1', name: 'Press', code: 'P1', responsibleEmail: 'owner@example.com' });
+    const { ingestService } = createTestPipeline(test.store);
+
+    const subscribed = new Promise(resolve => broker.broker.once('subscribe', resolve));
+    gateway = createMqttGateway({
+      store: test.store,
+      ingestBatch: ingestService.ingestBatch,
+      url: broker.url,
+      topic: 'plant/+/vitals',
+      options: {}
+    });
+    gateway.start();
+    await subscribed;
+    publisher = await connectClient(broker.url);
+  });
+
+  after(async () => {
+    await gateway.stop();
+    await new Promise(resolve => publisher.end(false, {}, resolve));
+    await broker.close();
+    test.cleanup();
+  });
+
+  it('stores readings published for a machine code and raises then resolves a threshold alert', async () => {
+    const threshold = () => test.store.list('alerts').find(a => a.machineId === 'm1' && a.type === 'threshold');
+
+    publisher.publish('plant/P1/vitals', JSON.stringify({ timestamp: '2026-01-01T10:00:00Z', temperature: 95, seq: 1 }));
+    await waitFor(() => test.store.queryVitals('m1', {}).length === 1);
+
+    const [stored] = test.store.queryVitals('m1', {});
+    assert.equal(stored.temperature, 95);
+    assert.equal(stored.timestamp, '2026-01-01T10:00:00.000Z');
+    const raised = threshold();
+    assert.ok(raised, 'a threshold alert was raised');
+    assert.equal(raised.key, 'temperature');
+    assert.equal(raised.status, 'open');
+
+    publisher.publish('plant/P1/vitals', JSON.stringify({ timestamp: '2026-01-01T10:01:00Z', temperature: 50, seq: 2 }));
+    await waitFor(() => test.store.queryVitals('m1', {}).length === 2);
+
+    assert.equal(threshold().id, raised.id);
+    assert.equal(threshold().status, 'resolved');
+    assert.deepEqual(
+      { received: gateway.status().received, ingested: gateway.status().ingested, rejected: gateway.status().rejected },
+      { received: 2, ingested: 2, rejected: 0 }
+    );
+  });
+
+  it('drops messages for unknown machine codes', async () => {
+    const before = gateway.status().rejected;
+    publisher.publish('plant/NOPE/vitals', JSON.stringify({ temperature: 20 }));
+
+    await waitFor(() => gateway.status().rejected === before + 1);
+    assert.match(gateway.status().lastError.reason, /no machine with code NOPE/);
+  });
+});
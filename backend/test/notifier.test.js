@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createNotifier } = require('../notifier');
+const { generateId, createTestStore, setEnv } = require('./helpers');
+
+// A stand-in for webhook, Slack and Teams endpoints: records every POST and
+// answers with the next status queued for its path (200 once the queue is empty).
+function startHookServer() {
+  const requests = [];
+  const statuses = {};
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: JSON.parse(body) });
+      const status = (statuses[req.url] || []).shift() || 200;
+      res.writeHead(status).end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: path => `http://127.0.0.1:${server.address().port}${path}`,
+        requests,
+        respondWith(path, ...codes) { statuses[path] = codes; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Stands in for the nodemailer SMTP transport.
+function stubTransport() {
+  const sent = [];
+  return { sent, async sendMail(mail) { sent.push(mail); } };
+}
+
+describe('notifier', () => {
+  let hooks;
+  let test;
+  let restores;
+
+  before(async () => {
+    hooks = await startHookServer();
+  });
+
+  after(() => hooks.close());
+
+  beforeEach(() => {
+    test = createTestStore();
+    hooks.requests.length = 0;
+    restores = [setEnv({
+      ALERT_EMAIL_TO: 'plant@example.com',
+      ALERT_EMAIL_CC: 'manager@example.com, tech@example.com',
+      ALERT_WEBHOOK_URLS: undefined,
+      ALERT_SLACK_WEBHOOK_URLS: undefined,
+      ALERT_TEAMS_WEBHOOK_URLS: undefined,
+      NOTIFY_MAX_ATTEMPTS: '3',
+      NOTIFY_RETRY_BASE_MS: '20',
+      NOTIFY_DELIVERY_LOG_LIMIT: '1000'
+    })];
+  });
+
+  afterEach(() => {
+    restores.reverse().forEach(restore => restore());
+    test.cleanup();
+  });
+
+  it('emails the responsible contacts with the global CC, minus anyone already addressed', async () => {
+    const transport = stubTransport();
+    const notifier = createNotifier({ store: test.store, generateId, transporter: transport });
+    const machine = { id: 'm1', name: 'Press', responsibleEmail: 'tech@example.com; owner@example.com' };
+
+    const [delivery] = await notifier.notify({ subject: 'Hot', text: 'Too hot', machine });
+
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'tech@example.com, owner@example.com');
+    assert.equal(transport.sent[0].cc, 'manager@example.com');
+    assert.equal(transport.sent[0].subject, 'Hot');
+    assert.equal(delivery.status, 'delivered');
+  });
+
+  it('falls back to ALERT_EMAIL_TO for machines without contacts', async () => {
+    const transport = stubTransport();
+    const notifier = createNotifier({ store: test.store, generateId, transporter: transport });
+
+    await notifier.notify({ subject: 'Hot', text: 'Too hot', machine: { id: 'm1', name: 'Press' } });
+
+    assert.equal(transport.sent[0].to, 'plant@example.com');
+    assert.equal(transport.sent[0].cc, 'manager@example.com, tech@example.com');
+  });
+
+  it('posts each chat format to the machine\'s webhook, Slack and Teams channels', async () => {
+    const notifier = createNotifier({ store: test.store, generateId, transporter: stubTransport() });
+    const machine = {
+      id: 'm1',
+      name: 'Press',
+      code: 'P1',
+      notificationChannels: [
+        { type: 'webhook', url: hooks.url('/webhook') },
+        { type: 'slack', url: hooks.url('/slack') },
+        { type: 'teams', url: hooks.url('/teams') }
+      ]
+    };
+
+    const deliveries = await notifier.notify({ subject: 'Hot', text: 'Line 1\nLine 2', severity: 'critical', machine });
+
+    assert.deepEqual(deliveries.map(d => [d.channel, d.status]), [
+      ['email', 'delivered'],
+      ['webhook', 'delivered'],
+      ['slack', 'delivered'],
+      ['teams', 'delivered']
+    ]);
+    const byPath = Object.fromEntries(hooks.requests.map(r => [r.path, r.body]));
+    assert.equal(byPath['/webhook'].subject, 'Hot');
+    assert.equal(byPath['/webhook'].severity, 'critical');
+    assert.deepEqual(byPath['/webhook'].machine, { id: 'm1', name: 'Press', code: 'P1' });
+    assert.equal(byPath['/slack'].text, '*Hot*\nLine 1\nLine 2');
+    assert.equal(byPath['/teams']['@type'], 'MessageCard');
+    assert.equal(byPath['/teams'].themeColor, 'EF4444');
+    assert.equal(byPath['/teams'].text, 'Line 1<br>Line 2');
+  });
+
+  it('retries a 5xx with backoff until it is delivered', async () => {
+    const notifier = createNotifier({ store: test.store, generateId, transporter: stubTransport() });
+    restores.push(setEnv({ ALERT_WEBHOOK_URLS: hooks.url('/flaky') }));
+    hooks.respondWith('/flaky', 503, 502);
+
+    const started = Date.now();
+    const deliveries = await notifier.notify({ subject: 'Hot', text: 'Too hot', via: ['webhook'] });
+
+    assert.equal(deliveries.length, 1);
+    const [delivery] = deliveries;
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(a => a.ok), [false, false, true]);
+    assert.match(delivery.attempts[0].error, /HTTP 503/);
+    // Waits 20 ms, then 40 ms.
+    assert.ok(Date.now() - started >= 60);
+    assert.equal(hooks.requests.filter(r => r.path === '/flaky').length, 3);
+  });
+
+  it('marks a delivery failed once the attempts run out', async () => {
+    const notifier = createNotifier({ store: test.store, generateId, transporter: stubTransport() });
+    restores.push(setEnv({ ALERT_WEBHOOK_URLS: hooks.url('/down') }));
+    hooks.respondWith('/down', 500, 500, 500);
+
+    const [delivery] = await notifier.notify({ subject: 'Hot', text: 'Too hot', via: ['webhook'] });
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 3);
+    assert.equal(delivery.deliveredAt, null);
+    assert.equal(test.store.get('deliveries', delivery.id).status, 'failed');
+  });
+
+  it('logs every delivery and keeps only the newest NOTIFY_DELIVERY_LOG_LIMIT', async () => {
+    restores.push(setEnv({ NOTIFY_DELIVERY_LOG_LIMIT: '3' }));
+    const notifier = createNotifier({ store: test.store, generateId, transporter: stubTransport() });
+    const machine = { id: 'm1', name: 'Press', responsibleEmail: 'owner@example.com' };
+
+    for (let i = 1; i <= 5; i++) {
+      await notifier.notify({ subject: `Alert ${i}`, text: 'Too hot', machine, alert: { id: `a${i}` } });
+    }
+
+    const log = test.store.list('deliveries');
+    assert.deepEqual(log.map(d => d.subject), ['Alert 3', 'Alert 4', 'Alert 5']);
+    const last = log[2];
+    assert.equal(last.channel, 'email');
+    assert.equal(last.target, 'owner@example.com');
+    assert.equal(last.alertId, 'a5');
+    assert.equal(last.machineId, 'm1');
+    assert.equal(last.status, 'delivered');
+    assert.equal(last.attempts.length, 1);
+  });
+});
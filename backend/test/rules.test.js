@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules, replayRules } = require('../rules');
+
+function rule(fields) {
+  return { channel: 'temperature', operator: 'above', severity: 'warning', forReadings: 1, forMinutes: 0, hysteresis: 0, enabled: true, ...fields };
+}
+
+// One temperature reading a minute from 10:00, for `values`.
+function readings(values) {
+  return values.map((temperature, i) => ({ timestamp: new Date(Date.UTC(2026, 0, 1, 10, i)).toISOString(), temperature }));
+}
+
+// Feeds the readings through evaluateRules one at a time and lists, per
+// reading, the ids of the rules that fired and cleared on it.
+function run(rules, vitals, state = {}) {
+  const steps = vitals.map(vital => {
+    const result = evaluateRules(rules, state, vital);
+    state = result.state;
+    return {
+      triggered: result.triggered.map(t => t.rule.id),
+      recovered: result.recovered.map(r => r.rule.id)
+    };
+  });
+  return { steps, state };
+}
+
+describe('evaluateRules', () => {
+  it('fires after forReadings consecutive readings past the value', () => {
+    const { steps } = run([rule({ id: 'hot', value: 80, forReadings: 3 })], readings([85, 86, 87, 88]));
+
+    assert.deepEqual(steps.map(s => s.triggered), [[], [], ['hot'], []]);
+  });
+
+  it('starts the count again after a reading back under the value', () => {
+    const { steps, state } = run([rule({ id: 'hot', value: 80, forReadings: 3 })], readings([85, 86, 70, 85, 86]));
+
+    assert.deepEqual(steps.map(s => s.triggered), [[], [], [], [], []]);
+    assert.equal(state.hot.count, 2);
+    assert.equal(state.hot.active, false);
+  });
+
+  it('waits until the breach has lasted forMinutes', () => {
+    const rules = [rule({ id: 'hot', value: 80, forReadings: 1, forMinutes: 3 })];
+    const { steps, state } = run(rules, readings([85, 85, 85, 85, 85]));
+
+    // Readings are a minute apart, so the fourth is the first 3 minutes into the breach.
+    assert.deepEqual(steps.map(s => s.triggered), [[], [], [], ['hot'], []]);
+    assert.equal(state.hot.since, Date.UTC(2026, 0, 1, 10, 0));
+    assert.equal(state.hot.activeSince, Date.UTC(2026, 0, 1, 10, 3));
+  });
+
+  it('needs both forReadings and forMinutes', () => {
+    const vitals = [
+      { timestamp: '2026-01-01T10:00:00Z', temperature: 85 },
+      { timestamp: '2026-01-01T10:10:00Z', temperature: 85 },
+      { timestamp: '2026-01-01T10:11:00Z', temperature: 85 }
+    ];
+    const { steps } = run([rule({ id: 'hot', value: 80, forReadings: 3, forMinutes: 5 })], vitals);
+
+    assert.deepEqual(steps.map(s => s.triggered), [[], [], ['hot']]);
+  });
+
+  it('stays active until the value is back past the hysteresis band', () => {
+    const rules = [rule({ id: 'hot', value: 80, hysteresis: 5 })];
+    const { steps, state } = run(rules, readings([85, 79, 76, 75, 85]));
+
+    assert.deepEqual(steps, [
+      { triggered: ['hot'], recovered: [] },
+      { triggered: [], recovered: [] },
+      { triggered: [], recovered: [] },
+      { triggered: [], recovered: ['hot'] },
+      { triggered: ['hot'], recovered: [] }
+    ]);
+    assert.equal(state.hot.active, true);
+  });
+
+  it('clears a below rule once the value is above value + hysteresis', () => {
+    const rules = [rule({ id: 'cold', operator: 'below', value: 10, hysteresis: 2 })];
+    const { steps } = run(rules, readings([5, 11, 12]));
+
+    assert.deepEqual(steps.map(s => s.recovered), [[], [], ['cold']]);
+  });
+
+  it('escalates from warning to critical on the same channel', () => {
+    const warning = rule({ id: 'warm', value: 70, severity: 'warning' });
+    const critical = rule({ id: 'hot', value: 90, severity: 'critical', forReadings: 2 });
+    const { steps, state } = run([warning, critical], readings([75, 95, 96]));
+
+    assert.deepEqual(steps.map(s => s.triggered), [['warm'], [], ['hot']]);
+    assert.equal(state.warm.active, true);
+    assert.equal(state.hot.active, true);
+  });
+
+  it('reports the rule and value that recovered', () => {
+    const hot = rule({ id: 'hot', value: 80 });
+    const first = evaluateRules([hot], {}, { timestamp: '2026-01-01T10:00:00Z', temperature: 85 });
+    const second = evaluateRules([hot], first.state, { timestamp: '2026-01-01T10:01:00Z', temperature: 60 });
+
+    assert.deepEqual(first.triggered, [{ rule: hot, value: 85 }]);
+    assert.deepEqual(second.recovered, [{ rule: hot, value: 60 }]);
+    assert.deepEqual(second.state.hot, { count: 0, since: null, active: false, activeSince: null });
+  });
+
+  it('reports a firing rule that was switched off as recovered, once', () => {
+    const hot = rule({ id: 'hot', value: 80 });
+    const { state } = run([hot], readings([85]));
+    const disabled = { ...hot, enabled: false };
+
+    const off = evaluateRules([disabled], state, { timestamp: '2026-01-01T10:05:00Z', temperature: 90 });
+    const after = evaluateRules([disabled], off.state, { timestamp: '2026-01-01T10:06:00Z', temperature: 90 });
+
+    assert.deepEqual(off.recovered, [{ rule: disabled, value: 90 }]);
+    assert.deepEqual(after.recovered, []);
+    assert.deepEqual(after.triggered, []);
+  });
+
+  it('leaves a rule alone on readings without its channel', () => {
+    const rules = [rule({ id: 'hot', value: 80, forReadings: 2 })];
+    const { steps, state } = run(rules, [
+      { timestamp: '2026-01-01T10:00:00Z', temperature: 85 },
+      { timestamp: '2026-01-01T10:01:00Z', pressure: 100 },
+      { timestamp: '2026-01-01T10:02:00Z', temperature: 85 }
+    ]);
+
+    assert.deepEqual(steps.map(s => s.triggered), [[], [], ['hot']]);
+    assert.equal(state.hot.active, true);
+  });
+});
+
+describe('replayRules', () => {
+  it('counts breaching readings and alerts per rule', () => {
+    const warning = rule({ id: 'warm', value: 70, forReadings: 2 });
+    const critical = rule({ id: 'hot', value: 90, severity: 'critical' });
+    const off = rule({ id: 'off', value: 0, enabled: false });
+
+    const result = replayRules([warning, critical, off], readings([75, 75, 60, 95, 60, 95]));
+
+    // The warning needs two readings in a row, so only the first pair fires it.
+    assert.equal(result.breachingReadings, 4);
+    assert.equal(result.alerts, 3);
+    assert.deepEqual(result.rules.map(r => [r.id, r.breaches, r.alerts]), [
+      ['warm', 4, 1],
+      ['hot', 2, 2],
+      ['off', 0, 0]
+    ]);
+  });
+
+  it('returns zero counts for no readings', () => {
+    const result = replayRules([rule({ id: 'hot', value: 80 })], []);
+
+    assert.deepEqual(result, {
+      breachingReadings: 0,
+      alerts: 0,
+      rules: [{ id: 'hot', channel: 'temperature', operator: 'above', value: 80, severity: 'warning', breaches: 0, alerts: 0 }]
+    });
+  });
+});
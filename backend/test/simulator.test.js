@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator, normalizeConfig } = require('../simulator');
+const { createTestStore, createTestPipeline } = require('./helpers');
+
+function config(fields) {
+  const { config: value, errors } = normalizeConfig(fields);
+  assert.equal(errors, undefined);
+  return value;
+}
+
+describe('simulator', () => {
+  let test;
+  let simulator;
+  let machine;
+
+  beforeEach(() => {
+    test = createTestStore();
+    machine = test.store.insert('machines', { id: 'm1', name: 'Press', code: 'P1', responsibleEmail: 'owner@example.com' });
+    const { ingestService } = createTestPipeline(test.store);
+    simulator = createSimulator({ store: test.store, ingest: ingestService.ingest });
+  });
+
+  afterEach(() => {
+    simulator.stopAll();
+    test.cleanup();
+  });
+
+  it('gives the same readings for the same seed', () => {
+    const other = test.store.insert('machines', { id: 'm2', name: 'Lathe', code: 'L1' });
+    const settings = config({ seed: 42, intervalMs: 60000, faults: ['spikes', 'dropouts'] });
+
+    const first = simulator.runBatch(machine, settings, 50).map(r => r.faults);
+    const second = simulator.runBatch(other, settings, 50).map(r => r.faults);
+
+    assert.deepEqual(second, first);
+    assert.deepEqual(
+      test.store.queryVitals('m2', {}).map(v => [v.temperature, v.vibration, v.pressure]),
+      test.store.queryVitals('m1', {}).map(v => [v.temperature, v.vibration, v.pressure])
+    );
+  });
+
+  it('raises a threshold alert through the ingest path once bearing wear drifts past the limit', () => {
+    // An hour of model time per reading; drift reaches the limit after about two days.
+    const results = simulator.runBatch(machine, config({ seed: 7, intervalMs: 60000, timeScale: 60, faults: ['drift'] }), 72);
+
+    assert.ok(results.slice(0, 24).every(r => !r.alertId), 'no alert on the first day');
+    const raised = results.find(r => r.alertId);
+    assert.ok(raised, 'an alert was raised');
+    const alert = test.store.get('alerts', raised.alertId);
+    assert.equal(alert.type, 'threshold');
+    assert.equal(alert.machineId, 'm1');
+    assert.ok(['vibration', 'temperature'].includes(alert.key));
+    assert.equal(test.store.queryVitals('m1', {}).length, 72);
+  });
+
+  it('raises an alert for injected spikes', () => {
+    const results = simulator.runBatch(machine, config({ seed: 3, intervalMs: 60000, faults: ['spikes'] }), 200);
+
+    const spiked = results.filter(r => r.faults.some(f => f.endsWith(':spike')));
+    assert.ok(spiked.length > 0, 'the seed injects spikes');
+    assert.ok(spiked.some(r => r.alertId), 'a spike raised an alert');
+    assert.ok(test.store.list('alerts').some(a => a.machineId === 'm1' && a.type === 'threshold'));
+  });
+
+  it('counts each alert a running simulation raised once', () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.UTC(2026, 0, 1, 10) });
+    try {
+      // The warning opens the alert on the first reading; the critical rule
+      // fires on the third and escalates that same alert.
+      test.store.update('machines', {
+        ...machine,
+        alertRules: [
+          { id: 'warm', channel: 'temperature', operator: 'above', value: 80, severity: 'warning', forReadings: 1, forMinutes: 0, hysteresis: 0, enabled: true },
+          { id: 'hot', channel: 'temperature', operator: 'above', value: 90, severity: 'critical', forReadings: 3, forMinutes: 0, hysteresis: 0, enabled: true }
+        ]
+      });
+      simulator.start('m1', config({ seed: 1, intervalMs: 1000, channels: { temperature: { baseline: 95, noise: 0, dailyAmplitude: 0 } } }));
+      mock.timers.tick(5000);
+
+      const status = simulator.get('m1');
+      assert.equal(status.readings, 5);
+      assert.equal(status.alerts, 1);
+      const alerts = test.store.list('alerts').filter(a => a.machineId === 'm1');
+      assert.deepEqual(alerts.map(a => [a.key, a.severity, a.occurrences]), [['temperature', 'critical', 2]]);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
@@ -0,0 +1,316 @@
+const express = require('express');
+const { parseCsv, unguardCell, toCsvRow } = require('./csv');
+const { channelsFor, channelKeys } = require('./metrics');
+const { parseRange } = require('./vitalsQuery');
+const { sendError, sendValidationErrors } = require('./validation');
+
+// Columns of the machine spreadsheet. `channels` and `alertRules` hold the
+// same JSON the API takes; a blank cell keeps a machine's current value (or
+// the default for a new machine).
+const MACHINE_COLUMNS = [
+  'code',
+  'name',
+  'location',
+  'nextMaintenanceDate',
+  'responsibleEmail',
+  'maintenanceIntervalType',
+  'maintenanceIntervalValue',
+  'channels',
+  'alertRules'
+];
+
+// The fields an import may set; everything else on a machine is runtime state.
+const IMPORT_FIELDS = ['code', 'name', 'location', 'nextMaintenanceDate', 'responsibleEmail', 'maintenanceInterval', 'channels', 'alertRules'];
+const MAX_IMPORT_ROWS = 5000;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function attachment(res, filename, type) {
+  res.set('Content-Type', type);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+}
+
+/** What an export writes for a machine, in the shape the import reads back. */
+function exportedMachine(machine) {
+  return {
+    code: machine.code || '',
+    name: machine.name,
+    location: machine.location || '',
+    nextMaintenanceDate: machine.nextMaintenanceDate || null,
+    responsibleEmail: machine.responsibleEmail || '',
+    maintenanceInterval: machine.maintenanceInterval || null,
+    channels: channelsFor(machine),
+    ...(Array.isArray(machine.alertRules) ? { alertRules: machine.alertRules } : {})
+  };
+}
+
+function machineCsvRow(machine) {
+  const m = exportedMachine(machine);
+  return [
+    m.code,
+    m.name,
+    m.location,
+    m.nextMaintenanceDate,
+    m.responsibleEmail,
+    m.maintenanceInterval ? m.maintenanceInterval.type : '',
+    m.maintenanceInterval ? m.maintenanceInterval.value : '',
+    JSON.stringify(m.channels),
+    m.alertRules ? JSON.stringify(m.alertRules) : ''
+  ];
+}
+
+/**
+ * Turns a CSV file into `{ rows }` of `{ row, fields }`, numbered like the
+ * spreadsheet (the header is row 1), or `{ error }` for problems with the
+ * file as a whole.
+ */
+function rowsFromCsv(text) {
+  let table;
+  try {
+    table = parseCsv(text);
+  } catch (err) {
+    return { error: `Could not read CSV: ${err.message}` };
+  }
+  if (table.length === 0) return { error: 'The file is empty' };
+
+  const header = table[0].map(h => h.trim());
+  const unknown = header.filter(h => h && !MACHINE_COLUMNS.includes(h));
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Expected: ${MACHINE_COLUMNS.join(', ')}` };
+  }
+  if (!header.includes('code')) return { error: 'A code column is required to match rows to machines' };
+
+  const rows = [];
+  table.slice(1).forEach((cells, i) => {
+    if (cells.every(c => c.trim() === '')) return;
+    const raw = {};
+    header.forEach((column, j) => {
+      const value = unguardCell((cells[j] || '').trim());
+      if (column && value !== '') raw[column] = value;
+    });
+    rows.push({ row: i + 2, raw });
+  });
+
+  return {
+    rows: rows.map(({ row, raw }) => {
+      const errors = [];
+      const fields = {};
+      ['code', 'name', 'location', 'nextMaintenanceDate', 'responsibleEmail'].forEach(key => {
+        if (raw[key] !== undefined) fields[key] = raw[key];
+      });
+      ['channels', 'alertRules'].forEach(key => {
+        if (raw[key] === undefined) return;
+        try {
+          fields[key] = JSON.parse(raw[key]);
+        } catch (err) {
+          errors.push(`${key} is not valid JSON`);
+        }
+      });
+      if (raw.maintenanceIntervalType !== undefined || raw.maintenanceIntervalValue !== undefined) {
+        fields.maintenanceInterval = {
+          type: raw.maintenanceIntervalType || 'days',
+          value: raw.maintenanceIntervalValue === undefined ? NaN : Number(raw.maintenanceIntervalValue)
+        };
+      }
+      return { row, fields, errors };
+    })
+  };
+}
+
+function rowsFromJson(body) {
+  const items = Array.isArray(body) ? body : body && body.machines;
+  if (!Array.isArray(items)) return { error: 'Send an array of machines or { machines: [...] }' };
+
+  return {
+    rows: items.map((item, i) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { row: i + 1, fields: {}, errors: ['must be an object'] };
+      }
+      const fields = {};
+      IMPORT_FIELDS.forEach(key => {
+        if (item[key] !== undefined && item[key] !== null && item[key] !== '') fields[key] = item[key];
+      });
+      return { row: i + 1, fields, errors: [] };
+    })
+  };
+}
+
+function describeFieldError(e) {
+  return e.field ? `${e.field} ${e.message}` : e.message;
+}
+
+function definition(machine) {
+  return JSON.stringify(exportedMachine(machine));
+}
+
+/**
+ * Bulk machine import and export, and vitals as CSV.
+ *
+ * Imports match rows to machines by `code` (case-insensitively): known codes
+ * update that machine, new ones create a machine. Every row is checked before
+ * anything is written, so an import with errors changes nothing; `?dryRun=true`
+ * only reports what would happen.
+ */
+function createTransferRouter({ store, buildMachine, buildMachineUpdate, onCreated, onUpdated }) {
+  const router = express.Router();
+
+  function planImport(rows, user) {
+    const machines = store.list('machines');
+    const seen = new Map();
+
+    return rows.map(({ row, fields, errors }) => {
+      const code = typeof fields.code === 'string' ? fields.code.trim() : '';
+      const result = { row, code, name: fields.name || null, action: null, machineId: null, errors: [...errors] };
+
+      if (!code) {
+        result.errors.push('code is required');
+      } else if (seen.has(code.toLowerCase())) {
+        result.errors.push(`code ${code} is also used on row ${seen.get(code.toLowerCase())}`);
+      } else {
+        seen.set(code.toLowerCase(), row);
+      }
+
+      const matches = code ? machines.filter(m => (m.code || '').toLowerCase() === code.toLowerCase()) : [];
+      if (matches.length > 1) {
+        result.errors.push(`code ${code} matches ${matches.length} machines; make their codes unique first`);
+      }
+      if (result.errors.length > 0) {
+        result.action = 'error';
+        return result;
+      }
+
+      const body = { ...fields, code };
+      if (matches.length === 1) {
+        const existing = matches[0];
+        const built = buildMachineUpdate(existing, body);
+        if (built.errors) {
+          result.errors.push(...built.errors.map(describeFieldError));
+          result.action = 'error';
+          return result;
+        }
+        result.machineId = existing.id;
+        result.name = built.machine.name;
+        result.action = definition(built.machine) === definition(existing) ? 'unchanged' : 'update';
+        result.apply = () => onUpdated(built.machine, body, existing, user);
+        return result;
+      }
+
+      const built = buildMachine(body);
+      if (built.errors) {
+        result.errors.push(...built.errors.map(describeFieldError));
+        result.action = 'error';
+        return result;
+      }
+      result.action = 'create';
+      result.apply = () => {
+        store.insert('machines', built.machine);
+        onCreated(built.machine, user);
+        result.machineId = built.machine.id;
+      };
+      return result;
+    });
+  }
+
+  router.post(
+    '/machines/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    (req, res) => {
+      const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+      const parsed = typeof req.body === 'string' ? rowsFromCsv(req.body) : rowsFromJson(req.body);
+      if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+      }
+      if (parsed.rows.length === 0) {
+        return sendError(res, 400, 'The file has no machine rows');
+      }
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return sendError(res, 400, `At most ${MAX_IMPORT_ROWS} machines can be imported at once`);
+      }
+
+      const plan = planImport(parsed.rows, req.user);
+      const summary = { rows: plan.length, create: 0, update: 0, unchanged: 0, error: 0 };
+      plan.forEach(r => {
+        summary[r.action] += 1;
+      });
+
+      const failed = summary.error > 0;
+      if (!dryRun && !failed) {
+        plan.forEach(r => r.apply && r.action !== 'unchanged' && r.apply());
+      }
+
+      const report = {
+        dryRun,
+        applied: !dryRun && !failed,
+        summary,
+        rows: plan.map(({ apply, ...r }) => r)
+      };
+      if (!dryRun && failed) {
+        return res.status(400).json({ message: `${summary.error} row(s) have errors; nothing was imported`, ...report });
+      }
+      res.json(report);
+    }
+  );
+
+  // CSV by default, since that's what planners open; ?format=json for the API shape.
+  router.get('/machines/export', (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return sendValidationErrors(res, [{ field: 'format', message: 'must be csv or json' }]);
+    }
+    const machines = store.list('machines');
+
+    if (format === 'json') {
+      attachment(res, `machines-${today()}.json`, 'application/json');
+      return res.send(JSON.stringify(machines.map(exportedMachine), null, 2));
+    }
+    attachment(res, `machines-${today()}.csv`, 'text/csv; charset=utf-8');
+    res.send(toCsvRow(MACHINE_COLUMNS) + machines.map(m => toCsvRow(machineCsvRow(m))).join(''));
+  });
+
+  router.get('/machines/:id/vitals.csv', (req, res) => {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) {
+      return res.status(404).json({ message: 'Machine not found' });
+    }
+    const range = parseRange(req.query);
+    if (range.errors) {
+      return sendValidationErrors(res, range.errors);
+    }
+
+    const keys = channelKeys(machine);
+    attachment(res, `vitals-${machine.code || machine.id}-${today()}.csv`, 'text/csv; charset=utf-8');
+    res.write(toCsvRow(['timestamp', ...keys]));
+    store.queryVitals(machine.id, range).forEach(v => {
+      res.write(toCsvRow([v.timestamp, ...keys.map(k => v[k])]));
+    });
+    res.end();
+  });
+
+  // One row per reading across the fleet; channels a machine doesn't have stay blank.
+  router.get('/fleet/vitals.csv', (req, res) => {
+    const range = parseRange(req.query);
+    if (range.errors) {
+      return sendValidationErrors(res, range.errors);
+    }
+
+    const machines = store.list('machines');
+    const keys = [...new Set(machines.flatMap(channelKeys))];
+    attachment(res, `fleet-vitals-${today()}.csv`, 'text/csv; charset=utf-8');
+    res.write(toCsvRow(['machineCode', 'machineName', 'timestamp', ...keys]));
+    machines.forEach(machine => {
+      store.queryVitals(machine.id, range).forEach(v => {
+        res.write(toCsvRow([machine.code, machine.name, v.timestamp, ...keys.map(k => v[k])]));
+      });
+    });
+    res.end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  MACHINE_COLUMNS,
+  createTransferRouter
+};
@@ -0,0 +1,217 @@
+// Request validation and the one error shape every API response uses:
+//   { code: 'validation_failed', message: 'nextMaintenanceDate must be a date like 2025-03-31',
+//     errors: [{ field: 'nextMaintenanceDate', message: 'must be a date like 2025-03-31' }] }
+// `errors` lists problems with individual fields (dotted paths such as
+// `channels.1.max`) and is empty when the request as a whole was refused.
+
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error'
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_PATTERN = /^[^@\s,;]+@[^@\s,;]+\.[^@\s,;]+$/;
+
+function codeFor(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// Field messages are usually predicates ("must be a number") that read after
+// the field name; ones that are already sentences are used as they are.
+function describeErrors(errors) {
+  if (errors.length === 1) {
+    const [e] = errors;
+    if (/^[A-Z]/.test(e.message)) return e.message;
+    return e.field ? `${e.field} ${e.message}` : `The request body ${e.message}`;
+  }
+  return `${errors.length} fields are invalid: ${errors.map(e => e.field || 'body').join(', ')}`;
+}
+
+function sendError(res, status, message, { code = codeFor(status), errors = [] } = {}) {
+  return res.status(status).json({ code, message, errors });
+}
+
+function sendValidationErrors(res, errors) {
+  return sendError(res, 400, describeErrors(errors), { code: 'validation_failed', errors });
+}
+
+/** A calendar date as YYYY-MM-DD, or null for strings like 2025-02-30. */
+function parseDateOnly(value) {
+  const match = DATE_PATTERN.exec(typeof value === 'string' ? value.slice(0, 10) : '');
+  if (!match || (typeof value === 'string' && value.length > 10 && value[10] !== 'T')) return null;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return match[0];
+}
+
+// Each checker takes a value that is present and not null and returns
+// `{ value }` with the coerced value or `{ error }`.
+const checkers = {
+  string(spec, value) {
+    if (typeof value !== 'string') return { error: 'must be text' };
+    const text = spec.trim === false ? value : value.trim();
+    if (spec.required && text === '') return { error: 'is required' };
+    if (spec.maxLength && text.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters` };
+    if (spec.pattern && text !== '' && !spec.pattern.test(text)) return { error: spec.patternMessage || 'has an invalid format' };
+    return { value: text };
+  },
+
+  // Numeric strings are accepted because form inputs and query strings only carry text.
+  number(spec, value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (spec.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+    if (spec.min !== undefined && number < spec.min) return { error: `must be at least ${spec.min}` };
+    if (spec.max !== undefined && number > spec.max) return { error: `must be at most ${spec.max}` };
+    return { value: number };
+  },
+
+  boolean(spec, value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: 'must be true or false' };
+  },
+
+  enum(spec, value) {
+    return spec.values.includes(value) ? { value } : { error: `must be one of: ${spec.values.join(', ')}` };
+  },
+
+  // A calendar day, stored as YYYY-MM-DD.
+  date(spec, value) {
+    const date = parseDateOnly(value);
+    if (!date) return { error: 'must be a date like 2025-03-31' };
+    const year = Number(date.slice(0, 4));
+    if (year < 2000 || year > 2100) return { error: 'must be between the years 2000 and 2100' };
+    return { value: date };
+  },
+
+  // A point in time, returned as a Date.
+  datetime(spec, value) {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return { error: 'must be an ISO date and time' };
+    return { value: date };
+  },
+
+  // "a@x.com, b@y.com" or an array of addresses, stored as a comma separated string.
+  emails(spec, value) {
+    const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : null;
+    if (!list || list.some(v => typeof v !== 'string')) return { error: 'must be a list of email addresses' };
+    const addresses = list.map(v => v.trim()).filter(Boolean);
+    const bad = addresses.find(a => !EMAIL_PATTERN.test(a));
+    if (bad) return { error: `${bad} is not an email address` };
+    return { value: addresses.join(', ') };
+  },
+
+  object(spec, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+    return { value };
+  },
+
+  array(spec, value) {
+    if (!Array.isArray(value)) return { error: 'must be a list' };
+    if (spec.maxItems && value.length > spec.maxItems) return { error: `must have at most ${spec.maxItems} entries` };
+    return { value };
+  }
+};
+
+/**
+ * Checks `input` against `schema` ({ field: spec }) and returns `{ value }`
+ * with the coerced fields, or `{ errors }`. A spec has a `type` (a key of
+ * `checkers`) plus its options, and may add `required`, `nullable`,
+ * `default` and `check(value)` for rules beyond the type, which returns
+ * `{ value }`, `{ error }` or `{ errors }` with fields of its own.
+ *
+ * With `partial` (updates) missing required fields are fine and defaults are
+ * not applied; fields not in the schema are refused unless `allowUnknown`
+ * (query strings, which also carry things like access tokens).
+ */
+function validate(schema, input, { partial = false, allowUnknown = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ field: '', message: 'must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+  if (!allowUnknown) {
+    Object.keys(input)
+      .filter(key => !Object.prototype.hasOwnProperty.call(schema, key))
+      .forEach(key => errors.push({ field: key, message: 'is not a field that can be set' }));
+  }
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const raw = input[field];
+    if (raw === undefined || (raw === '' && spec.type !== 'string' && !spec.required)) {
+      if (spec.required && !partial) errors.push({ field, message: 'is required' });
+      else if (spec.default !== undefined && !partial) value[field] = typeof spec.default === 'function' ? spec.default() : spec.default;
+      return;
+    }
+    if (raw === null) {
+      if (spec.nullable) value[field] = null;
+      else errors.push({ field, message: spec.required ? 'is required' : 'cannot be null' });
+      return;
+    }
+
+    const typed = checkers[spec.type](spec, raw);
+    if (typed.error) {
+      errors.push({ field, message: typed.error });
+      return;
+    }
+    const checked = spec.check ? spec.check(typed.value) : typed;
+    if (checked.errors) errors.push(...checked.errors);
+    else if (checked.error) errors.push({ field, message: checked.error });
+    else value[field] = checked.value;
+  });
+
+  return errors.length > 0 ? { errors } : { value };
+}
+
+/**
+ * Installed before the routes: gives every error response the standard shape
+ * even where a route only sent `{ message }`.
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      return json({ code: codeFor(res.statusCode), errors: [], ...body });
+    }
+    return json(body);
+  };
+  next();
+}
+
+/** Unknown /api routes. */
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+/** Express error handler: malformed JSON, oversized bodies and anything a route threw. */
+function errorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'The request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'The request body is too large');
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.message);
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, 'Something went wrong on the server');
+}
+
+module.exports = {
+  parseDateOnly,
+  validate,
+  sendError,
+  sendValidationErrors,
+  errorEnvelope,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,152 @@
+const express = require('express');
+const { MAX_BUCKETS, parseBucket, parseAggregates } = require('./aggregate');
+const { vitalsHistory } = require('./retention');
+const { validate, sendValidationErrors } = require('./validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cursors point at the oldest reading already returned: its timestamp plus
+// how many readings sharing that timestamp were on the page.
+function encodeCursor(t, skip) {
+  return Buffer.from(JSON.stringify({ t, skip })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, skip } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isFinite(t) && Number.isInteger(skip) ? { t, skip } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const checkBucket = bucket => (parseBucket(bucket) ? { value: bucket } : { error: 'must look like 1m, 15m, 1h or 1d' });
+const checkAggregates = agg => {
+  const aggregates = parseAggregates(agg);
+  return aggregates ? { value: aggregates } : { error: 'must be a list of avg, min, max, sum, count or pNN' };
+};
+
+// Query strings carry other things too (access tokens for downloads), so
+// unknown parameters are ignored rather than refused.
+const rangeSchema = {
+  from: { type: 'datetime' },
+  to: { type: 'datetime' }
+};
+
+const vitalsSchema = {
+  ...rangeSchema,
+  limit: { type: 'number', integer: true, min: 1, max: 10000, default: 50 },
+  cursor: {
+    type: 'string',
+    check: cursor => {
+      const decoded = decodeCursor(cursor);
+      return decoded ? { value: decoded } : { error: 'is not a valid cursor' };
+    }
+  },
+  bucket: { type: 'string', check: checkBucket },
+  agg: { type: 'string', default: () => ['avg'], check: checkAggregates }
+};
+
+const fleetVitalsSchema = {
+  days: { type: 'number', integer: true, min: 1, max: 366, default: 7 },
+  agg: { type: 'string', default: () => ['avg', 'min', 'max'], check: checkAggregates }
+};
+
+/** Validates query parameters against `schema`, adding the from-before-to check. */
+function parseQuery(schema, query) {
+  const result = validate(schema, query, { allowUnknown: true });
+  if (result.errors) return result;
+  const { from, to } = result.value;
+  if (from && to && from > to) return { errors: [{ field: 'from', message: 'must be before to' }] };
+  return result;
+}
+
+/** Optional `from`/`to` query parameters as `{ from, to }` dates, or `{ errors }`. */
+function parseRange(query) {
+  const result = parseQuery(rangeSchema, query);
+  return result.errors ? result : result.value;
+}
+
+/**
+ * Vitals read endpoints: raw and downsampled history per machine, and a
+ * fleet-wide snapshot for the dashboard. Raw pages only reach back as far as
+ * readings are kept; downsampled history continues from the rollups.
+ */
+function createVitalsQueryRouter({ store }) {
+  const router = express.Router();
+
+  function rawPage(machineId, range, limit, cursor) {
+    let to = range.to;
+    let skip = 0;
+    if (cursor) {
+      to = new Date(cursor.t);
+      skip = cursor.skip;
+    }
+
+    const rows = store.queryVitals(machineId, { from: range.from, to, limit: limit + skip });
+    const page = skip > 0 ? rows.slice(0, Math.max(0, rows.length - skip)) : rows;
+    if (page.length < limit || page.length === 0) {
+      return { page, nextCursor: null };
+    }
+
+    const oldest = new Date(page[0].timestamp).getTime();
+    const sameTime = page.filter(v => new Date(v.timestamp).getTime() === oldest).length;
+    const carried = cursor && cursor.t === oldest ? skip : 0;
+    return { page, nextCursor: encodeCursor(oldest, sameTime + carried) };
+  }
+
+  router.get('/machines/:id/vitals', (req, res) => {
+    const id = req.params.id;
+    const { value: query, errors } = parseQuery(vitalsSchema, req.query);
+    if (errors) return sendValidationErrors(res, errors);
+
+    if (!query.bucket) {
+      const { page, nextCursor } = rawPage(id, query, query.limit, query.cursor);
+      if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+      return res.json(page);
+    }
+
+    const bucketMs = parseBucket(query.bucket);
+    const aggregates = query.agg;
+    const to = query.to || new Date();
+    const from = query.from || new Date(to.getTime() - Math.min(bucketMs * 500, 30 * DAY_MS));
+    if ((to - from) / bucketMs > MAX_BUCKETS) {
+      return sendValidationErrors(res, [{ field: 'bucket', message: `is too small: the range spans more than ${MAX_BUCKETS} buckets` }]);
+    }
+
+    const machine = store.get('machines', id) || { id };
+    const { points, sources } = vitalsHistory(store, machine, { from, to }, bucketMs, aggregates);
+    res.json({
+      machineId: id,
+      bucket: query.bucket,
+      agg: aggregates,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      sources,
+      points
+    });
+  });
+
+  router.get('/fleet/vitals', (req, res) => {
+    const { value: query, errors } = parseQuery(fleetVitalsSchema, req.query);
+    if (errors) return sendValidationErrors(res, errors);
+    const { days, agg: aggregates } = query;
+
+    const to = new Date();
+    const from = new Date(Math.floor(to.getTime() / DAY_MS) * DAY_MS - (days - 1) * DAY_MS);
+    const fleet = store.list('machines').map(machine => {
+      const latest = store.queryVitals(machine.id, { limit: 1 });
+      return {
+        machineId: machine.id,
+        name: machine.name,
+        latest: latest[0] || null,
+        daily: vitalsHistory(store, machine, { from, to }, DAY_MS, aggregates).points
+      };
+    });
+    res.json({ from: from.toISOString(), to: to.toISOString(), agg: aggregates, machines: fleet });
+  });
+
+  return router;
+}
+
+module.exports = { parseQuery, parseRange, createVitalsQueryRouter };
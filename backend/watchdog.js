@@ -0,0 +1,293 @@
+const { channelsFor, formatValue } = require('./metrics');
+
+// Connectivity and sensor health, judged from when readings arrive rather
+// than from their values:
+//   online   a reading arrived within STALE_AFTER expected intervals
+//   stale    late, but not yet OFFLINE_AFTER intervals
+//   offline  nothing for longer than that, or never
+// The same states are worked out per channel, since one sensor of a machine
+// can die while the others keep reporting.
+//
+// Alerts raised here:
+//   connectivity            the machine went offline; resolved when data resumes
+//   sensor, silent:<key>    a channel stopped reporting while the machine is up
+//   sensor, stuck:<key>     STUCK_SENSOR_SAMPLES identical values in a row
+//   sensor, impossible:<key> a value the sensor can't physically produce
+
+function watchdogSettings() {
+  return {
+    intervalSeconds: parseInt(process.env.HEARTBEAT_INTERVAL_SECONDS || '60', 10),
+    staleAfter: parseInt(process.env.HEARTBEAT_STALE_AFTER_INTERVALS || '3', 10),
+    offlineAfter: parseInt(process.env.HEARTBEAT_OFFLINE_AFTER_INTERVALS || '10', 10),
+    stuckSamples: parseInt(process.env.STUCK_SENSOR_SAMPLES || '30', 10)
+  };
+}
+
+// What a sensor in each unit can report at all. A channel's own `sensorMin`
+// and `sensorMax` (its measuring range) take precedence.
+const PHYSICAL_LIMITS = {
+  '°c': { min: -273.15 },
+  c: { min: -273.15 },
+  '°f': { min: -459.67 },
+  f: { min: -459.67 },
+  k: { min: 0 },
+  '%': { min: 0, max: 100 },
+  'mm/s': { min: 0 },
+  'm/s': { min: 0 },
+  rpm: { min: 0 },
+  hz: { min: 0 },
+  a: { min: 0 },
+  ma: { min: 0 },
+  // Gauge pressure can't go below a full vacuum.
+  bar: { min: -1.01325 },
+  kpa: { min: -101.325 },
+  psi: { min: -14.696 }
+};
+
+function limitsFor(channel) {
+  const physical = PHYSICAL_LIMITS[(channel.unit || '').trim().toLowerCase()] || {};
+  return {
+    min: typeof channel.sensorMin === 'number' ? channel.sensorMin : physical.min,
+    max: typeof channel.sensorMax === 'number' ? channel.sensorMax : physical.max
+  };
+}
+
+/** Whether `value` is outside what `channel`'s sensor can measure. */
+function isImpossible(channel, value) {
+  if (typeof value !== 'number') return false;
+  const { min, max } = limitsFor(channel);
+  return (min !== undefined && value < min) || (max !== undefined && value > max);
+}
+
+function expectedIntervalMs(machine, settings) {
+  const seconds = machine.reportingIntervalSeconds || settings.intervalSeconds;
+  return seconds * 1000;
+}
+
+function stateFor(lastAt, intervalMs, settings, now) {
+  if (lastAt === undefined) return 'offline';
+  const age = now - lastAt;
+  if (age <= intervalMs * settings.staleAfter) return 'online';
+  if (age <= intervalMs * settings.offlineAfter) return 'stale';
+  return 'offline';
+}
+
+function createWatchdog({ store, alertService, notifier, events }) {
+  // Per machine: when the last reading arrived (ms), per channel as well, the
+  // current run of identical values per channel and the keys of its open
+  // sensor alerts. Loaded from storage on first use, so a restart neither
+  // resets stuck counts nor makes every machine look new.
+  const machines = new Map();
+  // The connectivity state each machine was last reported in.
+  const states = new Map();
+
+  function trackerFor(machine) {
+    if (!machines.has(machine.id)) {
+      const tracker = { at: undefined, channels: new Map(), runs: new Map(), flagged: new Set() };
+      const { stuckSamples } = watchdogSettings();
+      store.queryVitals(machine.id, { limit: stuckSamples }).forEach(vital => {
+        const at = new Date(vital.timestamp).getTime();
+        tracker.at = at;
+        channelsFor(machine).forEach(c => {
+          if (typeof vital[c.key] !== 'number') return;
+          tracker.channels.set(c.key, at);
+          trackRun(tracker, c.key, vital[c.key]);
+        });
+      });
+      store.list('alerts')
+        .filter(a => a.machineId === machine.id && a.type === 'sensor' && a.status !== 'resolved')
+        .forEach(a => tracker.flagged.add(a.key));
+      machines.set(machine.id, tracker);
+    }
+    return machines.get(machine.id);
+  }
+
+  function trackRun(tracker, key, value) {
+    const run = tracker.runs.get(key);
+    if (run && run.value === value) {
+      run.count += 1;
+      return run;
+    }
+    const next = { value, count: 1 };
+    tracker.runs.set(key, next);
+    return next;
+  }
+
+  /** `{ state, lastReadingAt, expectedIntervalSeconds, channels: { key: { state, lastReadingAt } } }` */
+  function connectivity(machine, now = Date.now()) {
+    const settings = watchdogSettings();
+    const tracker = trackerFor(machine);
+    const intervalMs = expectedIntervalMs(machine, settings);
+    const iso = at => (at === undefined ? null : new Date(at).toISOString());
+    const channels = {};
+    channelsFor(machine).forEach(c => {
+      const at = tracker.channels.get(c.key);
+      channels[c.key] = { state: stateFor(at, intervalMs, settings, now), lastReadingAt: iso(at) };
+    });
+    return {
+      state: stateFor(tracker.at, intervalMs, settings, now),
+      lastReadingAt: iso(tracker.at),
+      expectedIntervalSeconds: intervalMs / 1000,
+      channels
+    };
+  }
+
+  function withConnectivity(machine) {
+    return { ...machine, connectivity: connectivity(machine) };
+  }
+
+  function machineHeader(machine) {
+    return `Machine: ${machine.name}
+Code: ${machine.code || '-'}
+Location: ${machine.location || '-'}`;
+  }
+
+  function raiseSensorAlert(machine, key, reason, vital, quiet) {
+    trackerFor(machine).flagged.add(key);
+    const existing = alertService.findActive(machine.id, 'sensor', key);
+    const subject = `⚠️ Sensor problem on machine: ${machine.name}`;
+    const { alert } = alertService.raise({ type: 'sensor', key, severity: 'warning', machine, reading: vital, reasons: [reason], subject });
+    // A sensor that keeps misbehaving folds into the open alert; only the first occurrence pages.
+    if (existing || quiet) return alert;
+    const text = `${machineHeader(machine)}
+Time: ${vital ? vital.timestamp : new Date().toISOString()}
+
+${reason}
+
+Readings from this sensor can't be trusted until it has been checked.
+`;
+    notifier.notify({ subject, text, severity: alert.severity, machine, alert });
+    return alert;
+  }
+
+  // Only keys this machine has flagged are looked up, which keeps the
+  // per-reading checks off the alert list.
+  function resolveSensorAlert(machine, key, note) {
+    const tracker = trackerFor(machine);
+    if (!tracker.flagged.delete(key)) return;
+    const open = alertService.findActive(machine.id, 'sensor', key);
+    if (open) alertService.resolve(open, 'system', note);
+  }
+
+  function publishState(machine, now) {
+    const current = connectivity(machine, now);
+    if (states.get(machine.id) !== current.state) {
+      states.set(machine.id, current.state);
+      events.publish('connectivity', { machineId: machine.id, connectivity: current });
+    }
+    return current;
+  }
+
+  /**
+   * Records a reading that just arrived and checks its values. `late`
+   * readings (older than ones already evaluated) only count as a sign of
+   * life; `quiet` ones are checked without notifying anyone. Returns the
+   * sensor problems found in the reading.
+   */
+  function observe(machine, vital, { quiet = false, late = false } = {}) {
+    const now = Date.now();
+    const tracker = trackerFor(machine);
+    const wasUp = ['online', 'stale'].includes(states.get(machine.id));
+    const issues = [];
+
+    tracker.at = now;
+    channelsFor(machine).forEach(channel => {
+      const value = vital[channel.key];
+      if (typeof value !== 'number') return;
+      tracker.channels.set(channel.key, now);
+      resolveSensorAlert(machine, `silent:${channel.key}`, `${channel.name} is reporting again`);
+      if (late) return;
+
+      if (isImpossible(channel, value)) {
+        const { min, max } = limitsFor(channel);
+        const range = [min !== undefined ? `from ${formatValue(channel, min)}` : null, max !== undefined ? `up to ${formatValue(channel, max)}` : null]
+          .filter(Boolean).join(' ');
+        const reason = `${channel.name} read ${formatValue(channel, value)}, which the sensor can't measure (${range})`;
+        issues.push({ channel: channel.key, type: 'impossible', message: reason });
+        raiseSensorAlert(machine, `impossible:${channel.key}`, reason, vital, quiet);
+      }
+
+      const { stuckSamples } = watchdogSettings();
+      const run = trackRun(tracker, channel.key, value);
+      if (run.count === 1) {
+        resolveSensorAlert(machine, `stuck:${channel.key}`, `${channel.name} changed to ${formatValue(channel, value)}`);
+      } else if (run.count >= stuckSamples) {
+        const reason = `${channel.name} has read exactly ${formatValue(channel, value)} for ${run.count} readings in a row`;
+        issues.push({ channel: channel.key, type: 'stuck', message: reason });
+        if (run.count === stuckSamples) raiseSensorAlert(machine, `stuck:${channel.key}`, reason, vital, quiet);
+      }
+    });
+
+    const open = !wasUp && alertService.findActive(machine.id, 'connectivity');
+    if (open) {
+      alertService.resolve(open, 'system', 'Data resumed');
+      const subject = `✅ Data resumed from machine: ${machine.name}`;
+      const text = `${machineHeader(machine)}
+Time: ${new Date(now).toISOString()}
+
+Readings are arriving again. The machine had been offline since ${open.createdAt}.
+`;
+      notifier.notify({ subject, text, severity: 'info', machine, alert: open });
+    }
+    publishState(machine, now);
+    return issues;
+  }
+
+  function wentOffline(machine, current) {
+    const settings = watchdogSettings();
+    const subject = `📡 Machine offline: ${machine.name}`;
+    const reason = current.lastReadingAt
+      ? `No readings since ${current.lastReadingAt} (expected every ${current.expectedIntervalSeconds} s)`
+      : 'No readings received';
+    const { alert, created } = alertService.raise({ type: 'connectivity', severity: 'warning', machine, reasons: [reason], subject });
+    if (!created) return;
+    const text = `${machineHeader(machine)}
+
+${reason}.
+The machine counts as offline after ${settings.offlineAfter} missed reporting intervals.
+Check the sensors, the gateway and the network connection.
+`;
+    notifier.notify({ subject, text, severity: alert.severity, machine, alert });
+  }
+
+  /**
+   * The periodic check: moves machines between online, stale and offline,
+   * pages when one goes offline and flags channels that have gone quiet on
+   * a machine that is still reporting. A machine's first check after startup
+   * only takes note of its state, so restarts don't page for machines that
+   * were already offline.
+   */
+  function check(now = Date.now()) {
+    const list = store.list('machines');
+    const ids = new Set(list.map(m => m.id));
+    [...machines.keys()].filter(id => !ids.has(id)).forEach(forget);
+
+    list.forEach(machine => {
+      const previous = states.get(machine.id);
+      const current = publishState(machine, now);
+      if (previous && previous !== 'offline' && current.state === 'offline') {
+        wentOffline(machine, current);
+      }
+      if (current.state === 'offline') return;
+
+      const { flagged } = trackerFor(machine);
+      channelsFor(machine).forEach(channel => {
+        const { state, lastReadingAt } = current.channels[channel.key];
+        if (state !== 'offline' || !lastReadingAt || flagged.has(`silent:${channel.key}`)) return;
+        raiseSensorAlert(machine, `silent:${channel.key}`, `${channel.name} has sent nothing since ${lastReadingAt}, while the machine keeps reporting`, null, false);
+      });
+    });
+  }
+
+  function forget(machineId) {
+    machines.delete(machineId);
+    states.delete(machineId);
+  }
+
+  return { observe, check, connectivity, withConnectivity, forget };
+}
+
+module.exports = {
+  isImpossible,
+  createWatchdog
+};
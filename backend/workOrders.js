@@ -0,0 +1,235 @@
+const express = require('express');
+const { validate, sendValidationErrors } = require('./validation');
+
+const STATUSES = ['open', 'assigned', 'in-progress', 'completed'];
+
+// Allowed status moves; `completed` is terminal.
+const TRANSITIONS = {
+  open: ['assigned', 'in-progress', 'completed'],
+  assigned: ['open', 'in-progress', 'completed'],
+  'in-progress': ['assigned', 'completed'],
+  completed: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every field is optional on both create and update.
+const workOrderSchema = {
+  status: { type: 'enum', values: STATUSES },
+  title: { type: 'string', maxLength: 200 },
+  technician: { type: 'string', maxLength: 120 },
+  notes: { type: 'string', maxLength: 2000 },
+  partsUsed: { type: 'array', maxItems: 100 },
+  downtimeMinutes: { type: 'number', min: 0 },
+  runHours: { type: 'number', min: 0 },
+  // Work on one of the machine's components; completing it reschedules that
+  // component instead of the machine.
+  componentId: { type: 'string', maxLength: 40, nullable: true },
+  completedAt: { type: 'datetime' },
+  nextMaintenanceDate: { type: 'date' }
+};
+
+function toDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function normalizeParts(partsUsed) {
+  if (!Array.isArray(partsUsed)) return [];
+  return partsUsed
+    .filter(p => p && (p.partNumber || p.description))
+    .map(p => ({
+      partNumber: p.partNumber || '',
+      description: p.description || '',
+      quantity: Number(p.quantity) || 1
+    }));
+}
+
+/**
+ * Estimates run-hours accumulated per calendar day from the meter readings
+ * recorded on completed work orders, falling back to DEFAULT_RUN_HOURS_PER_DAY.
+ */
+function runHoursPerDay(orders) {
+  const readings = orders
+    .filter(o => o.status === 'completed' && typeof o.runHours === 'number')
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+  const fallback = parseFloat(process.env.DEFAULT_RUN_HOURS_PER_DAY || '24');
+
+  if (readings.length < 2) return fallback;
+  const first = readings[0];
+  const last = readings[readings.length - 1];
+  const days = (new Date(last.completedAt) - new Date(first.completedAt)) / DAY_MS;
+  const hours = last.runHours - first.runHours;
+  return days > 0 && hours > 0 ? hours / days : fallback;
+}
+
+/**
+ * Works out the next due date after maintenance completed at `completedAt`.
+ * Calendar intervals count days from completion; run-hour intervals are
+ * converted to days using the machine's observed utilisation.
+ */
+function nextDueDate(machine, completedAt, orders) {
+  const days = intervalDays(machine, orders);
+  if (!days) return null;
+  return toDateOnly(new Date(completedAt.getTime() + days * DAY_MS));
+}
+
+/**
+ * The machine's maintenance interval in calendar days (DEFAULT_MAINTENANCE_INTERVAL_DAYS
+ * when it has none), or null for an unusable interval.
+ */
+function intervalDays(machine, orders) {
+  const interval = machine.maintenanceInterval || {
+    type: 'days',
+    value: parseInt(process.env.DEFAULT_MAINTENANCE_INTERVAL_DAYS || '30', 10)
+  };
+  const value = Number(interval.value);
+  if (!value || value <= 0) return null;
+  return interval.type === 'runHours' ? value / runHoursPerDay(orders) : value;
+}
+
+/** The component a work order is for, or null for the machine as a whole. */
+function orderComponent(machine, order) {
+  return (order.componentId && (machine.components || []).find(c => c.id === order.componentId)) || null;
+}
+
+function applyCompletion(machine, order, orders, body) {
+  const completedAt = body.completedAt || new Date();
+  order.completedAt = completedAt.toISOString();
+  if (typeof order.runHours === 'number') {
+    machine.runHours = order.runHours;
+  }
+
+  // Components follow the machine's maintenance interval.
+  const target = orderComponent(machine, order) || machine;
+  const next = body.nextMaintenanceDate || nextDueDate(machine, completedAt, orders);
+  order.previousMaintenanceDate = target.nextMaintenanceDate || null;
+  if (next) {
+    target.nextMaintenanceDate = next;
+  }
+  order.nextMaintenanceDate = target.nextMaintenanceDate || null;
+  target.lastMaintenanceAt = order.completedAt;
+  target.lastMaintenanceReminderSent = null;
+}
+
+function createWorkOrdersRouter({ store, generateId, onCompleted }) {
+  const router = express.Router({ mergeParams: true });
+
+  function findMachine(req, res) {
+    const machine = store.get('machines', req.params.id);
+    if (!machine) {
+      res.status(404).json({ message: 'Machine not found' });
+      return null;
+    }
+    return machine;
+  }
+
+  function ordersFor(machineId) {
+    return store.list('workOrders').filter(o => o.machineId === machineId);
+  }
+
+  function complete(machine, order, body, user) {
+    applyCompletion(machine, order, [...ordersFor(machine.id).filter(o => o.id !== order.id), order], body);
+    store.update('machines', machine);
+    if (onCompleted) onCompleted(machine, order, user);
+  }
+
+  function assignFields(order, body) {
+    ['title', 'technician', 'notes', 'downtimeMinutes', 'runHours', 'componentId'].forEach(key => {
+      if (body[key] !== undefined) order[key] = body[key];
+    });
+    if (body.partsUsed !== undefined) order.partsUsed = normalizeParts(body.partsUsed);
+  }
+
+  function checkComponent(machine, body) {
+    if (!body.componentId || (machine.components || []).some(c => c.id === body.componentId)) return null;
+    return [{ field: 'componentId', message: 'is not a component of this machine' }];
+  }
+
+  function setStatus(order, status, at) {
+    order.status = status;
+    order.statusHistory.push({ status, at });
+    if (status === 'in-progress' && !order.startedAt) order.startedAt = at;
+  }
+
+  router.get('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const orders = ordersFor(machine.id)
+      .sort((a, b) => new Date(b.completedAt || b.createdAt) - new Date(a.completedAt || a.createdAt));
+    res.json(orders);
+  });
+
+  router.post('/', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const { value: body, errors } = validate(workOrderSchema, req.body, { partial: true });
+    const problems = errors || checkComponent(machine, body);
+    if (problems) return sendValidationErrors(res, problems);
+
+    const requested = body.status || (body.technician ? 'assigned' : 'open');
+
+    const now = new Date().toISOString();
+    const order = {
+      id: generateId(),
+      machineId: machine.id,
+      title: 'Scheduled maintenance',
+      technician: '',
+      componentId: null,
+      notes: '',
+      partsUsed: [],
+      downtimeMinutes: 0,
+      status: null,
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+    assignFields(order, body);
+    setStatus(order, requested, now);
+
+    if (requested === 'completed') {
+      complete(machine, order, body, req.user);
+    }
+    store.insert('workOrders', order);
+    res.status(201).json({ workOrder: order, machine });
+  });
+
+  router.put('/:orderId', (req, res) => {
+    const machine = findMachine(req, res);
+    if (!machine) return;
+    const order = store.get('workOrders', req.params.orderId);
+    if (!order || order.machineId !== machine.id) {
+      return res.status(404).json({ message: 'Work order not found' });
+    }
+    const { value: body, errors } = validate(workOrderSchema, req.body, { partial: true });
+    const problems = errors || checkComponent(machine, body);
+    if (problems) return sendValidationErrors(res, problems);
+
+    const next = body.status;
+    if (next && next !== order.status && !TRANSITIONS[order.status].includes(next)) {
+      return res.status(409).json({ message: `Cannot move work order from ${order.status} to ${next}` });
+    }
+
+    const now = new Date().toISOString();
+    assignFields(order, body);
+    order.updatedAt = now;
+    if (next && next !== order.status) {
+      setStatus(order, next, now);
+      if (next === 'completed') {
+        complete(machine, order, body, req.user);
+      }
+    }
+    store.update('workOrders', order);
+    res.json({ workOrder: order, machine });
+  });
+
+  return router;
+}
+
+module.exports = {
+  STATUSES,
+  orderComponent,
+  intervalDays,
+  createWorkOrdersRouter
+};
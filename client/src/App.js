@@ -1,99 +1,269 @@
-import React, { useEffect, useState } from 'react';
-import axios from 'axios';
+import React, { useCallback, useEffect, useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, CartesianGrid } from 'recharts';
-import { FiCpu, FiAlertTriangle, FiCheckCircle, FiClock, FiPlus, FiTrash2, FiMail } from 'react-icons/fi';
+import { FiCpu, FiCheckCircle, FiClock, FiPlus, FiMail, FiTrendingUp, FiLogOut, FiGrid, FiDownload, FiFileText, FiEdit2, FiRefreshCw, FiCalendar, FiSettings, FiPackage } from 'react-icons/fi';
+import { API_URL, downloadFile, fieldErrors, errorMessage } from './api';
+import {
+  listMachines,
+  createMachine,
+  deleteMachine,
+  fetchPrediction,
+  fetchTrend,
+  fetchLatestVital
+} from './machinesApi';
+import { useLiveEvents, useStreamStatus } from './liveStream';
+import { useBackendHealth } from './health';
+import { connectivityOf, describeConnectivity } from './connectivity';
+import { statusForMachine } from './maintenanceStatus';
+import { useAuth } from './auth';
+import { useAssetTree, areaOptions, pathOf, machineNodeOf, nodeStatuses } from './assetTree';
+import MaintenanceHistory from './components/MaintenanceHistory';
+import SimulatorPanel from './components/SimulatorPanel';
+import AlertsInbox from './components/AlertsInbox';
+import ChannelEditor from './components/ChannelEditor';
+import RuleEditor from './components/RuleEditor';
+import FleetOverview from './components/FleetOverview';
+import MaintenanceCalendar from './components/MaintenanceCalendar';
+import MachineTransfer from './components/MachineTransfer';
+import MachineEditor from './components/MachineEditor';
+import MachineAudit from './components/MachineAudit';
+import AssetTree from './components/AssetTree';
+import AssetManager from './components/AssetManager';
+import PartsInventory from './components/PartsInventory';
+import MachineParts from './components/MachineParts';
+import { DEFAULT_CHANNELS, channelColor, channelsOf, channelsForSave, rulesForSave, formatValue, isOutOfRange } from './channels';
 import './App.css';
 
-// Using local state instead of API for demo if API fails
-const api = axios.create({
-  baseURL: 'http://localhost:5000/api'
-});
-
-function statusForMachine(machine) {
-  if (!machine.nextMaintenanceDate) return { label: 'Unknown', color: '#6b7280' };
-  const due = new Date(machine.nextMaintenanceDate);
-  const now = new Date();
-  const diffDays = (due - now) / (1000 * 60 * 60 * 24);
-
-  if (diffDays < 0) return { label: 'Overdue', color: '#ef4444' };
-  if (diffDays <= 3) return { label: 'Due soon', color: '#f97316' };
-  if (diffDays <= 7) return { label: 'Planned', color: '#eab308' };
-  return { label: 'OK', color: '#22c55e' };
+// Chart ranges and the bucket size that keeps each one to a few hundred points.
+const trendRanges = {
+  day: { label: 'Day', hours: 24, bucket: '5m' },
+  week: { label: 'Week', hours: 24 * 7, bucket: '1h' },
+  month: { label: 'Month', hours: 24 * 30, bucket: '4h' }
+};
+
+const connectionLabels = {
+  connecting: 'Connecting…',
+  live: 'Live',
+  reconnecting: 'Reconnecting…',
+  offline: 'Offline (retrying)'
+};
+
+const healthLabels = {
+  checking: 'Checking backend…',
+  connected: 'Backend connected',
+  unreachable: 'Backend unreachable',
+  error: 'Backend unhealthy'
+};
+
+// Green only when the API answers and live updates flow; red when the API is down.
+function badgeClass(health, streamStatus) {
+  if (health.state === 'unreachable' || health.state === 'error') return 'offline';
+  return health.state === 'connected' && streamStatus === 'live' ? 'live' : '';
 }
 
-function App() {
-  const [machines, setMachines] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [saving, setSaving] = useState(false);
-  const [form, setForm] = useState({
+function bucketMs(bucket) {
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000 };
+  return parseInt(bucket, 10) * units[bucket.slice(-1)];
+}
+
+// Folds a live reading into the last chart bucket (or starts a new one) so the
+// trend keeps moving between fetches.
+function mergeIntoTrend(trend, vital, bucket, metrics) {
+  const size = bucketMs(bucket);
+  const start = new Date(Math.floor(new Date(vital.timestamp).getTime() / size) * size).toISOString();
+  const last = trend[trend.length - 1];
+
+  if (last && last.timestamp === start) {
+    const merged = { ...last, count: last.count + 1 };
+    metrics.forEach(m => {
+      if (typeof vital[m] !== 'number') return;
+      merged[m] = typeof last[m] !== 'number' ? vital[m] : (last[m] * last.count + vital[m]) / (last.count + 1);
+    });
+    return [...trend.slice(0, -1), merged];
+  }
+  if (last && last.timestamp > start) return trend;
+
+  const point = { timestamp: start, count: 1 };
+  metrics.forEach(m => {
+    point[m] = typeof vital[m] === 'number' ? vital[m] : null;
+  });
+  return [...trend, point];
+}
+
+function emptyForm() {
+  return {
     name: '',
     code: '',
     location: '',
+    areaId: '',
     responsibleEmail: '',
     nextMaintenanceDate: '',
-    thresholds: {
-      temperature: 80,
-      vibration: 10,
-      pressure: 200
-    }
-  });
+    channels: DEFAULT_CHANNELS.map(c => ({ ...c })),
+    alertRules: []
+  };
+}
 
-  useEffect(() => {
-    fetchMachines();
-  }, []);
+function App() {
+  const [machines, setMachines] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [listMessage, setListMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [prediction, setPrediction] = useState(null);
+  const [trendRange, setTrendRange] = useState('day');
+  const [trend, setTrend] = useState([]);
+  const [trendLoading, setTrendLoading] = useState(false);
+  const [trendError, setTrendError] = useState(null);
+  const [latestVital, setLatestVital] = useState(null);
+  // Bumped when a batch upload lands, so the chart refetches history it can't merge live.
+  const [vitalsVersion, setVitalsVersion] = useState(0);
+  const [editing, setEditing] = useState(false);
+  // What the detail area shows while no machine is selected.
+  const [overview, setOverview] = useState('fleet');
+  const [alarms, setAlarms] = useState({});
+  const streamStatus = useStreamStatus();
+  const health = useBackendHealth(streamStatus);
+  const assets = useAssetTree();
+  const { user, logout, can } = useAuth();
+  const [form, setForm] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState({});
+  const [formMessage, setFormMessage] = useState(null);
 
-  const fetchMachines = async () => {
+  const fetchMachines = useCallback(async () => {
+    setLoading(true);
     try {
-      const response = await api.get('/machines');
-      setMachines(response.data);
+      setMachines(await listMachines());
+      setLoadError(null);
     } catch (error) {
-      console.error('Failed to fetch machines:', error);
-      // Fallback for GitHub Pages demo
-      const localData = localStorage.getItem('demo_machines');
-      if (localData) setMachines(JSON.parse(localData));
+      setLoadError(errorMessage(error, `Could not reach the backend at ${API_URL}`));
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchMachines();
+  }, [fetchMachines]);
+
+  // A list that failed to load comes back by itself once the backend does.
+  // The same failure sets the same message, so this doesn't retry in a loop.
+  useEffect(() => {
+    if (health.state === 'connected' && loadError) fetchMachines();
+  }, [health.state, loadError, fetchMachines]);
+
+  useEffect(() => {
+    setPrediction(null);
+    setEditing(false);
+    if (!selectedId) return;
+    fetchPrediction(selectedId)
+      .then(setPrediction)
+      .catch(error => console.error('Failed to fetch prediction:', error));
+  }, [selectedId]);
+
+  useEffect(() => {
+    setTrend([]);
+    setTrendError(null);
+    if (!selectedId) return undefined;
+    let cancelled = false;
+    const { hours, bucket } = trendRanges[trendRange];
+    const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    setTrendLoading(true);
+    fetchTrend(selectedId, { from, bucket })
+      .then(points => !cancelled && setTrend(points))
+      .catch(error => !cancelled && setTrendError(errorMessage(error, 'Could not load readings from the backend')))
+      .finally(() => !cancelled && setTrendLoading(false));
+    // A slow response for a previous machine or range must not overwrite this one.
+    return () => { cancelled = true; };
+  }, [selectedId, trendRange, vitalsVersion]);
+
+  useEffect(() => {
+    setLatestVital(null);
+    if (!selectedId) return;
+    fetchLatestVital(selectedId)
+      .then(setLatestVital)
+      .catch(error => console.error('Failed to fetch latest vital:', error));
+  }, [selectedId, vitalsVersion]);
+
+  useLiveEvents((type, data) => {
+    if (type === 'machine.created') {
+      setMachines(current => (current.some(m => m.id === data.machine.id) ? current : [...current, data.machine]));
+    } else if (type === 'machine.updated') {
+      setMachines(current => current.map(m => (m.id === data.machine.id ? { ...m, ...data.machine } : m)));
+    } else if (type === 'connectivity') {
+      setMachines(current => current.map(m => (m.id === data.machineId ? { ...m, connectivity: data.connectivity } : m)));
+    } else if (type === 'machine.deleted') {
+      setMachines(current => current.filter(m => m.id !== data.machineId));
+    } else if (type === 'vital') {
+      const { vital, abnormal } = data;
+      setAlarms(current => ({ ...current, [vital.machineId]: abnormal }));
+      if (vital.machineId === selectedId) {
+        setLatestVital(vital);
+        const keys = selectedChannels.map(c => c.key);
+        setTrend(current => mergeIntoTrend(current, vital, trendRanges[trendRange].bucket, keys));
+      }
+    } else if (type === 'vitals.backfilled' && data.machineId === selectedId) {
+      setVitalsVersion(v => v + 1);
+    }
+  });
 
   const handleAdd = async (e) => {
     e.preventDefault();
     setSaving(true);
+    setFormErrors({});
+    setFormMessage(null);
     try {
-      const response = await api.post('/machines', form);
-      const newMachines = [...machines, response.data];
-      setMachines(newMachines);
-      localStorage.setItem('demo_machines', JSON.stringify(newMachines));
-      setForm({
-        name: '', code: '', location: '', responsibleEmail: '',
-        nextMaintenanceDate: '', thresholds: { temperature: 80, vibration: 10, pressure: 200 }
-      });
+      // An empty rule list means "alarm on the channel limits", which is the backend default.
+      const { alertRules, ...machine } = form;
+      machine.areaId = form.areaId || null;
+      machine.channels = channelsForSave(form.channels);
+      if (alertRules.length > 0) machine.alertRules = rulesForSave(alertRules);
+      const created = await createMachine(machine);
+      // The live stream may have delivered it already.
+      setMachines(current => (current.some(m => m.id === created.id) ? current : [...current, created]));
+      setForm(emptyForm());
     } catch (error) {
-      // Fallback for GitHub Pages demo
-      const newMachine = { ...form, _id: Date.now().toString(), vitals: [] };
-      const updated = [...machines, newMachine];
-      setMachines(updated);
-      localStorage.setItem('demo_machines', JSON.stringify(updated));
+      setFormErrors(fieldErrors(error));
+      setFormMessage(errorMessage(error, 'Could not reach the backend; the machine was not added'));
     } finally {
       setSaving(false);
     }
   };
 
   const handleDelete = async (id) => {
+    setListMessage(null);
     try {
-      await api.delete(`/machines/${id}`);
-      const updated = machines.filter(m => m._id !== id);
-      setMachines(updated);
-      localStorage.setItem('demo_machines', JSON.stringify(updated));
+      await deleteMachine(id);
+      setMachines(current => current.filter(m => m.id !== id));
+      if (selectedId === id) setSelectedId(null);
     } catch (error) {
-      const updated = machines.filter(m => m._id !== id);
-      setMachines(updated);
-      localStorage.setItem('demo_machines', JSON.stringify(updated));
+      setListMessage(errorMessage(error, 'Could not reach the backend; the machine was not deleted'));
     }
   };
 
-  const selectedMachine = machines.find(m => m._id === selectedId);
+  const handleDownloadVitals = () => {
+    const from = new Date(Date.now() - trendRanges[trendRange].hours * 60 * 60 * 1000).toISOString();
+    const today = new Date().toISOString().slice(0, 10);
+    downloadFile(`/machines/${selectedId}/vitals.csv`, { from }, `vitals-${selectedMachine.code || selectedId}-${today}.csv`)
+      .catch(error => console.error('Failed to download vitals:', error));
+  };
+
+  const handleDownloadReport = () => {
+    const days = trendRanges[trendRange].hours / 24;
+    const today = new Date().toISOString().slice(0, 10);
+    downloadFile('/reports', { format: 'pdf', days, machineId: selectedId }, `report-${selectedMachine.code || selectedId}-${today}.pdf`)
+      .catch(error => console.error('Failed to download report:', error));
+  };
+
+  const handleMachineUpdated = (updated) => {
+    setMachines(current => current.map(m => (m.id === updated.id ? { ...m, ...updated } : m)));
+  };
+
+  const selectedMachine = machines.find(m => m.id === selectedId);
+  const selectedChannels = channelsOf(selectedMachine);
+  const selectedConnectivity = connectivityOf(selectedMachine);
+  const selectedPath = pathOf(assets.tree, selectedId);
+  const selectedNode = machineNodeOf(assets.tree, selectedId);
+  const areas = areaOptions(assets.tree);
 
   return (
     <div className="app-container">
@@ -105,144 +275,190 @@ function App() {
             <p>Live machine vitals • Maintenance scheduling • Email alerts</p>
           </div>
         </div>
-        <div className="status-badge">
+        <div
+          className={`status-badge ${badgeClass(health, streamStatus)}`}
+          title={`${API_URL}${health.checkedAt ? ` • checked ${health.checkedAt.toLocaleTimeString()}` : ''}`}
+        >
           <span className="dot"></span>
-          Backend connection: Local Storage Mode (Demo)
+          {healthLabels[health.state]}
+          {health.state === 'connected' && (
+            <span className="subtext">{health.storage} storage • live updates: {connectionLabels[streamStatus]}</span>
+          )}
+        </div>
+        <div className="user-menu">
+          <span>{user.name}</span>
+          <span className="role">{user.role}</span>
+          <button className="ghost-button" title="Sign out" onClick={logout}>
+            <FiLogOut />
+          </button>
         </div>
       </header>
 
       <main className="dashboard">
         <aside className="sidebar">
+          <AlertsInbox />
+
           <section className="card list-section">
             <div className="card-header">
               <h2>Machines</h2>
               <span className="count">{machines.length}</span>
+              <button
+                className={`ghost-button ${!selectedMachine && overview === 'fleet' ? 'active' : ''}`}
+                title="Fleet overview"
+                onClick={() => { setSelectedId(null); setOverview('fleet'); }}
+              >
+                <FiGrid /> Fleet
+              </button>
+              <button
+                className={`ghost-button ${!selectedMachine && overview === 'calendar' ? 'active' : ''}`}
+                title="Maintenance calendar"
+                onClick={() => { setSelectedId(null); setOverview('calendar'); }}
+              >
+                <FiCalendar /> Calendar
+              </button>
+              <button
+                className={`ghost-button ${!selectedMachine && overview === 'parts' ? 'active' : ''}`}
+                title="Spare parts inventory"
+                onClick={() => { setSelectedId(null); setOverview('parts'); }}
+              >
+                <FiPackage /> Parts
+              </button>
             </div>
+            {listMessage && <p className="form-error">{listMessage}</p>}
+            {assets.error && <p className="form-error">{assets.error}</p>}
             <div className="machine-list">
-              {machines.length === 0 ? (
+              {loadError ? (
+                <div className="empty-state">
+                  <p className="form-error">{loadError}</p>
+                  <button className="ghost-button" onClick={fetchMachines} disabled={loading}>
+                    <FiRefreshCw /> {loading ? 'Retrying…' : 'Retry'}
+                  </button>
+                </div>
+              ) : loading && machines.length === 0 ? (
+                <div className="empty-state">
+                  <p>Loading machines…</p>
+                </div>
+              ) : machines.length === 0 ? (
                 <div className="empty-state">
                   <p>No machines yet.</p>
                   <p className="subtext">Add your first machine using the form below.</p>
                 </div>
               ) : (
-                machines.map(m => {
-                  const status = statusForMachine(m);
-                  return (
-                    <div 
-                      key={m._id} 
-                      className={`machine-item ${selectedId === m._id ? 'active' : ''}`}
-                      onClick={() => setSelectedId(m._id)}
-                    >
-                      <div className="item-info">
-                        <h3>{m.name}</h3>
-                        <code>{m.code}</code>
-                      </div>
-                      <div className="item-meta">
-                        <span className="status-pill" style={{ backgroundColor: status.color }}>
-                          {status.label}
-                        </span>
-                        <button 
-                          className="btn-icon delete" 
-                          onClick={(e) => { e.stopPropagation(); handleDelete(m._id); }}
-                        >
-                          <FiTrash2 />
-                        </button>
-                      </div>
-                    </div>
-                  );
-                })
+                <AssetTree
+                  tree={assets.tree}
+                  machines={machines}
+                  alarms={alarms}
+                  selectedId={selectedId}
+                  onSelect={setSelectedId}
+                  onDelete={can('admin') ? handleDelete : null}
+                />
               )}
             </div>
           </section>
 
-          <section className="card form-section">
-            <h3>Add Machine</h3>
-            <form onSubmit={handleAdd}>
-              <div className="form-row">
-                <div className="field">
-                  <label>Name*</label>
-                  <input 
-                    required 
-                    placeholder="Press #2 Hydraulic Press"
-                    value={form.name}
-                    onChange={e => setForm({...form, name: e.target.value})}
-                  />
-                </div>
-                <div className="field">
-                  <label>Code / Tag</label>
-                  <input 
-                    placeholder="M-HP-02"
-                    value={form.code}
-                    onChange={e => setForm({...form, code: e.target.value})}
-                  />
-                </div>
-              </div>
+          {can('manager') && <AssetManager tree={assets.tree} onChanged={assets.refresh} />}
 
-              <div className="form-row">
-                <div className="field">
-                  <label>Location</label>
-                  <input 
-                    placeholder="Shop Floor A"
-                    value={form.location}
-                    onChange={e => setForm({...form, location: e.target.value})}
-                  />
-                </div>
-                <div className="field">
-                  <label>Responsible email</label>
-                  <input 
-                    type="email"
-                    placeholder="maintenance@example.com"
-                    value={form.responsibleEmail}
-                    onChange={e => setForm({...form, responsibleEmail: e.target.value})}
-                  />
-                </div>
-              </div>
+          <MachineTransfer />
 
-              <div className="field">
-                <label>Next maintenance date*</label>
-                <input 
-                  type="date"
-                  required
-                  value={form.nextMaintenanceDate}
-                  onChange={e => setForm({...form, nextMaintenanceDate: e.target.value})}
-                />
-              </div>
-
-              <div className="thresholds">
-                <p><FiAlertTriangle /> Alert thresholds</p>
-                <div className="t-grid">
+          {can('manager') && (
+            <section className="card form-section">
+              <h3>Add Machine</h3>
+              <form onSubmit={handleAdd}>
+                <div className="form-row">
                   <div className="field">
-                    <label>Max temperature (°C)</label>
-                    <input 
-                      type="number"
-                      value={form.thresholds.temperature}
-                      onChange={e => setForm({...form, thresholds: {...form.thresholds, temperature: e.target.value}})}
+                    <label>Name*</label>
+                    <input
+                      className={formErrors.name ? 'invalid' : undefined}
+                      required 
+                      placeholder="Press #2 Hydraulic Press"
+                      value={form.name}
+                      onChange={e => setForm({...form, name: e.target.value})}
                     />
+                    {formErrors.name && <p className="field-error">{formErrors.name}</p>}
                   </div>
                   <div className="field">
-                    <label>Max vibration (mm/s)</label>
-                    <input 
-                      type="number"
-                      value={form.thresholds.vibration}
-                      onChange={e => setForm({...form, thresholds: {...form.thresholds, vibration: e.target.value}})}
+                    <label>Code / Tag</label>
+                    <input
+                      className={formErrors.code ? 'invalid' : undefined}
+                      placeholder="M-HP-02"
+                      value={form.code}
+                      onChange={e => setForm({...form, code: e.target.value})}
                     />
+                    {formErrors.code && <p className="field-error">{formErrors.code}</p>}
                   </div>
+                </div>
+
+                <div className="form-row">
                   <div className="field">
-                    <label>Max pressure (bar)</label>
-                    <input 
-                      type="number"
-                      value={form.thresholds.pressure}
-                      onChange={e => setForm({...form, thresholds: {...form.thresholds, pressure: e.target.value}})}
+                    <label>Location</label>
+                    <input
+                      className={formErrors.location ? 'invalid' : undefined}
+                      placeholder="Shop Floor A"
+                      value={form.location}
+                      onChange={e => setForm({...form, location: e.target.value})}
                     />
+                    {formErrors.location && <p className="field-error">{formErrors.location}</p>}
+                  </div>
+                  <div className="field">
+                    <label>Area / line</label>
+                    <select
+                      className={formErrors.areaId ? 'invalid' : undefined}
+                      value={form.areaId}
+                      onChange={e => setForm({...form, areaId: e.target.value})}
+                    >
+                      <option value="">Unassigned</option>
+                      {areas.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                    </select>
+                    {formErrors.areaId && <p className="field-error">{formErrors.areaId}</p>}
                   </div>
                 </div>
-              </div>
 
-              <button type="submit" className="btn-primary" disabled={saving}>
-                <FiPlus /> {saving ? 'Adding...' : 'Add machine'}
-              </button>
-            </form>
-          </section>
+                <div className="field">
+                  <label>Responsible emails</label>
+                  <input
+                    className={formErrors.responsibleEmail ? 'invalid' : undefined}
+                    type="email"
+                    multiple
+                    placeholder="lead@example.com, tech@example.com"
+                    value={form.responsibleEmail}
+                    onChange={e => setForm({...form, responsibleEmail: e.target.value})}
+                  />
+                  {formErrors.responsibleEmail && <p className="field-error">{formErrors.responsibleEmail}</p>}
+                </div>
+
+                <div className="field">
+                  <label>Next maintenance date*</label>
+                  <input
+                    className={formErrors.nextMaintenanceDate ? 'invalid' : undefined}
+                    type="date"
+                    required
+                    value={form.nextMaintenanceDate}
+                    onChange={e => setForm({...form, nextMaintenanceDate: e.target.value})}
+                  />
+                  {formErrors.nextMaintenanceDate && <p className="field-error">{formErrors.nextMaintenanceDate}</p>}
+                </div>
+
+                <ChannelEditor
+                  channels={form.channels}
+                  errors={formErrors}
+                  onChange={channels => setForm({...form, channels})}
+                />
+
+                <RuleEditor
+                  rules={form.alertRules}
+                  channels={form.channels.filter(c => c.key)}
+                  errors={formErrors}
+                  onChange={alertRules => setForm({...form, alertRules})}
+                />
+
+                {formMessage && <p className="form-error">{formMessage}</p>}
+
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  <FiPlus /> {saving ? 'Adding...' : 'Add machine'}
+                </button>
+              </form>
+            </section>
+          )}
         </aside>
 
         <section className="detail-view">
@@ -250,48 +466,130 @@ function App() {
             <div className="detail-content">
               <div className="detail-header">
                 <div>
+                  {selectedPath.length > 0 && (
+                    <p className="breadcrumb">{selectedPath.map(node => node.name).join(' › ')}</p>
+                  )}
                   <h2>{selectedMachine.name}</h2>
-                  <p className="meta">{selectedMachine.code} • {selectedMachine.location}</p>
+                  <p className="meta">
+                    {selectedMachine.code} • {selectedMachine.location}
+                    {selectedConnectivity && (
+                      <span
+                        className="status-pill"
+                        style={{ backgroundColor: selectedConnectivity.color }}
+                        title={describeConnectivity(selectedMachine.connectivity)}
+                      >
+                        {selectedConnectivity.label}
+                      </span>
+                    )}
+                  </p>
                 </div>
                 <div className="maintenance-info">
+                  {can('manager') && !editing && (
+                    <button className="ghost-button" onClick={() => setEditing(true)}>
+                      <FiEdit2 /> Edit
+                    </button>
+                  )}
                   <FiClock /> Next: {new Date(selectedMachine.nextMaintenanceDate).toLocaleDateString()}
+                  {prediction?.predictedMaintenanceDate && (
+                    <span
+                      className="predicted-date"
+                      title={`Earliest projected ${prediction.limitingMetric} threshold crossing (95% band)`}
+                    >
+                      <FiTrendingUp /> Predicted: {new Date(prediction.predictedMaintenanceDate).toLocaleDateString()}
+                    </span>
+                  )}
                 </div>
               </div>
 
+              {editing && (
+                <MachineEditor
+                  machine={selectedMachine}
+                  areas={areas}
+                  onSaved={(updated) => {
+                    handleMachineUpdated(updated);
+                    setEditing(false);
+                  }}
+                  onCancel={() => setEditing(false)}
+                />
+              )}
+
               <div className="stats-grid">
-                <div className="stat-card">
-                  <label>Temperature</label>
-                  <div className="value">
-                    {selectedMachine.vitals?.[selectedMachine.vitals.length-1]?.temperature || '--'}
-                    <span>°C</span>
-                  </div>
-                </div>
-                <div className="stat-card">
-                  <label>Vibration</label>
-                  <div className="value">
-                    {selectedMachine.vitals?.[selectedMachine.vitals.length-1]?.vibration || '--'}
-                    <span>mm/s</span>
-                  </div>
-                </div>
-                <div className="stat-card">
-                  <label>Pressure</label>
-                  <div className="value">
-                    {selectedMachine.vitals?.[selectedMachine.vitals.length-1]?.pressure || '--'}
-                    <span>bar</span>
+                {selectedChannels.map(channel => (
+                  <div
+                    key={channel.key}
+                    className={`stat-card ${isOutOfRange(channel, latestVital?.[channel.key]) ? 'out-of-range' : ''}`}
+                  >
+                    <label>{channel.name}</label>
+                    <div className="value">
+                      {formatValue(channel, latestVital?.[channel.key])}
+                      <span>{channel.unit}</span>
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
 
+              {selectedNode && selectedNode.children.length > 0 && (
+                <div className="card components-card">
+                  <h3><FiSettings /> Components</h3>
+                  <ul className="component-list">
+                    {selectedNode.children.map(component => {
+                      const status = nodeStatuses[component.status];
+                      const maintenance = statusForMachine(component);
+                      return (
+                        <li key={component.id}>
+                          <span className="tree-dot" style={{ backgroundColor: status.color }} title={status.label} />
+                          <strong>{component.name}</strong>
+                          <span className="subtext">
+                            {component.kind}
+                            {component.channels.length > 0 ? ` • ${component.channels.join(', ')}` : ''}
+                          </span>
+                          {component.nextMaintenanceDate && (
+                            <span className="status-pill" style={{ backgroundColor: maintenance.color }} title="Component maintenance">
+                              {maintenance.label} • {new Date(component.nextMaintenanceDate).toLocaleDateString()}
+                            </span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+
               <div className="chart-card card">
-                <h3>Vital Trends (Last 10 readings)</h3>
-                <div className="chart-container">
+                <div className="card-header">
+                  <h3>Vital Trends (last {trendRanges[trendRange].label.toLowerCase()}, {trendRanges[trendRange].bucket} averages)</h3>
+                  <div className="card-actions">
+                    {Object.keys(trendRanges).map(key => (
+                      <button
+                        key={key}
+                        className={`ghost-button ${trendRange === key ? 'active' : ''}`}
+                        onClick={() => setTrendRange(key)}
+                      >
+                        {trendRanges[key].label}
+                      </button>
+                    ))}
+                    <button className="icon-button" title="Download readings in this range as CSV" onClick={handleDownloadVitals}>
+                      <FiDownload />
+                    </button>
+                    <button className="icon-button" title="Download a health report for this range (PDF)" onClick={handleDownloadReport}>
+                      <FiFileText />
+                    </button>
+                  </div>
+                </div>
+                {trendError && <p className="form-error">{trendError}</p>}
+                {!trendError && !trendLoading && trend.length === 0 && (
+                  <p className="empty">No readings in this range yet.</p>
+                )}
+                <div className={`chart-container ${trendLoading ? 'loading' : ''}`}>
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={selectedMachine.vitals?.slice(-10)}>
+                    <LineChart data={trend}>
                       <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                       <XAxis 
                         dataKey="timestamp" 
                         stroke="#9ca3af" 
-                        tickFormatter={(t) => new Date(t).toLocaleTimeString()}
+                        tickFormatter={(t) => (trendRange === 'day'
+                          ? new Date(t).toLocaleTimeString()
+                          : new Date(t).toLocaleDateString())}
                       />
                       <YAxis stroke="#9ca3af" />
                       <Tooltip 
@@ -299,19 +597,40 @@ function App() {
                         itemStyle={{ color: '#fff' }}
                       />
                       <Legend />
-                      <Line type="monotone" dataKey="temperature" stroke="#ef4444" name="Temp (°C)" dot={false} strokeWidth={2} />
-                      <Line type="monotone" dataKey="vibration" stroke="#3b82f6" name="Vib (mm/s)" dot={false} strokeWidth={2} />
-                      <Line type="monotone" dataKey="pressure" stroke="#10b981" name="Press (bar)" dot={false} strokeWidth={2} />
+                      {selectedChannels.map((channel, index) => (
+                        <Line
+                          key={channel.key}
+                          type="monotone"
+                          dataKey={channel.key}
+                          stroke={channelColor(index)}
+                          name={channel.unit ? `${channel.name} (${channel.unit})` : channel.name}
+                          dot={false}
+                          strokeWidth={2}
+                        />
+                      ))}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
               </div>
+
+              <MachineParts machine={selectedMachine} />
+              <MaintenanceHistory
+                machineId={selectedId}
+                components={selectedMachine.components}
+                onMachineUpdated={handleMachineUpdated}
+              />
+              <MachineAudit machine={selectedMachine} />
+
+              {can('technician') && <SimulatorPanel machineId={selectedId} />}
             </div>
           ) : (
-            <div className="detail-placeholder">
-              <FiCpu className="bg-icon" />
-              <p>Select a machine to view its live vitals, trends and maintenance info.</p>
-            </div>
+            overview === 'calendar' ? (
+              <MaintenanceCalendar machines={machines} onSelect={setSelectedId} onMachineUpdated={handleMachineUpdated} />
+            ) : overview === 'parts' ? (
+              <PartsInventory onSelect={setSelectedId} />
+            ) : (
+              <FleetOverview onSelect={setSelectedId} />
+            )
           )}
         </section>
       </main>
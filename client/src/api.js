@@ -0,0 +1,75 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'auth_token';
+
+// Builds that aren't served next to a local backend (e.g. GitHub Pages) set
+// REACT_APP_API_URL to where the API lives.
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = axios.create({
+  baseURL: API_URL
+});
+
+const unauthorizedListeners = new Set();
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+/** Called when the backend rejects the stored token (expired, user disabled, ...). */
+export function onUnauthorized(fn) {
+  unauthorizedListeners.add(fn);
+  return () => unauthorizedListeners.delete(fn);
+}
+
+api.interceptors.request.use(config => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+api.interceptors.response.use(
+  response => response,
+  error => {
+    if (error.response?.status === 401 && getToken()) {
+      setToken(null);
+      unauthorizedListeners.forEach(fn => fn());
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Field errors from a failed request as `{ field: message }`, keyed by the
+ * dotted path the API reports (`name`, `channels.1.max`, ...).
+ */
+export function fieldErrors(error) {
+  const errors = error.response?.data?.errors || [];
+  return Object.fromEntries(errors.filter(e => e.field).map(e => [e.field, e.message]));
+}
+
+/** The API's message for a failed request, or `fallback` when there was no response. */
+export function errorMessage(error, fallback) {
+  return error.response?.data?.message || fallback;
+}
+
+/**
+ * Saves a file from an authenticated endpoint. A plain link can't carry the
+ * token, so the file is fetched as a blob and handed to the browser.
+ */
+export async function downloadFile(path, params, filename) {
+  const response = await api.get(path, { params, responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default api;
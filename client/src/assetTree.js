@@ -0,0 +1,81 @@
+import { useEffect, useRef, useState } from 'react';
+import { errorMessage } from './api';
+import { fetchAssetTree } from './assetsApi';
+import { useLiveEvents } from './liveStream';
+
+// Rolled-up node health from backend/assets.js, worst first.
+export const nodeStatuses = {
+  critical: { label: 'Critical', color: '#ef4444' },
+  warning: { label: 'Warning', color: '#f97316' },
+  ok: { label: 'OK', color: '#22c55e' },
+  empty: { label: 'No machines', color: '#6b7280' }
+};
+
+const REFRESH_EVENTS = ['alert', 'recovered', 'connectivity', 'machine.created', 'machine.updated', 'machine.deleted', 'assets.changed'];
+// Events come in bursts (a save publishes several); refetch once they settle.
+const REFRESH_DELAY_MS = 1000;
+// Maintenance falls due without any event, so the tree also refreshes on a timer.
+const POLL_MS = 60000;
+
+/**
+ * The asset hierarchy with rolled-up health, kept current from the live
+ * stream. Returns `{ tree, error, refresh }`; `tree` is null until loaded.
+ */
+export function useAssetTree() {
+  const [tree, setTree] = useState(null);
+  const [error, setError] = useState(null);
+  const timer = useRef(null);
+
+  const refresh = () => {
+    fetchAssetTree()
+      .then(result => {
+        setTree(result);
+        setError(null);
+      })
+      .catch(err => setError(errorMessage(err, 'Could not load the site hierarchy')));
+  };
+
+  useEffect(() => {
+    refresh();
+    const poll = setInterval(refresh, POLL_MS);
+    return () => {
+      clearInterval(poll);
+      clearTimeout(timer.current);
+    };
+  }, []);
+
+  useLiveEvents((type) => {
+    if (!REFRESH_EVENTS.includes(type)) return;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(refresh, REFRESH_DELAY_MS);
+  });
+
+  return { tree, error, refresh };
+}
+
+/** `[{ id, label }]` for an area picker: every area and line, prefixed with its site. */
+export function areaOptions(tree) {
+  if (!tree) return [];
+  return tree.sites.flatMap(site => site.children.map(area => ({
+    id: area.id,
+    label: `${site.name} › ${area.name}${area.kind === 'line' ? ' (line)' : ''}`
+  })));
+}
+
+/** The site and area nodes above a machine, or [] when it is unassigned or unknown. */
+export function pathOf(tree, machineId) {
+  if (!tree) return [];
+  for (const site of tree.sites) {
+    for (const area of site.children) {
+      if (area.children.some(m => m.id === machineId)) return [site, area];
+    }
+  }
+  return [];
+}
+
+/** The machine's node (with its components' health), or null. */
+export function machineNodeOf(tree, machineId) {
+  if (!tree) return null;
+  const machines = [...tree.sites.flatMap(s => s.children.flatMap(a => a.children)), ...tree.unassigned];
+  return machines.find(m => m.id === machineId) || null;
+}
@@ -0,0 +1,42 @@
+import api from './api';
+
+// The site/area endpoints behind the asset tree, unwrapped like machinesApi.
+
+export async function fetchAssetTree() {
+  const response = await api.get('/assets/tree');
+  return response.data;
+}
+
+export async function createSite(body) {
+  const response = await api.post('/assets/sites', body);
+  return response.data;
+}
+
+export async function updateSite(id, body) {
+  const response = await api.put(`/assets/sites/${id}`, body);
+  return response.data;
+}
+
+export async function deleteSite(id) {
+  await api.delete(`/assets/sites/${id}`);
+}
+
+export async function createArea(body) {
+  const response = await api.post('/assets/areas', body);
+  return response.data;
+}
+
+export async function updateArea(id, body) {
+  const response = await api.put(`/assets/areas/${id}`, body);
+  return response.data;
+}
+
+export async function deleteArea(id) {
+  await api.delete(`/assets/areas/${id}`);
+}
+
+/** Files unassigned machines into one new area per distinct location under `siteId`. */
+export async function groupByLocation(siteId) {
+  const response = await api.post('/assets/areas/from-locations', { siteId });
+  return response.data;
+}
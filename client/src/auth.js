@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import api, { getToken, setToken, onUnauthorized } from './api';
+import LoginScreen from './components/LoginScreen';
+
+// Same order as the backend: each role can do everything the ones before it can.
+const ROLES = ['viewer', 'technician', 'manager', 'admin'];
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getToken()));
+
+  useEffect(() => {
+    if (!getToken()) return;
+    api.get('/auth/me')
+      .then(response => setUser(response.data))
+      .catch(() => setToken(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  useEffect(() => onUnauthorized(() => setUser(null)), []);
+
+  const login = async (username, password) => {
+    const response = await api.post('/auth/login', { username, password });
+    setToken(response.data.token);
+    setUser(response.data.user);
+  };
+
+  const logout = () => {
+    setToken(null);
+    setUser(null);
+  };
+
+  const can = (role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+  return (
+    <AuthContext.Provider value={{ user, checking, login, logout, can }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+/** `{ user, login, logout, can(role) }` for the signed-in user. */
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+/** Shows the login screen until someone is signed in. */
+export function RequireLogin({ children }) {
+  const { user, checking } = useAuth();
+  if (checking) return null;
+  return user ? children : <LoginScreen />;
+}
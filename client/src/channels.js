@@ -0,0 +1,52 @@
+// Client-side mirror of the backend's sensor channel schema (backend/metrics.js).
+export const DEFAULT_CHANNELS = [
+  { key: 'temperature', name: 'Temperature', unit: '°C', min: null, max: 80, precision: 1 },
+  { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: null, max: 10, precision: 1 },
+  { key: 'pressure', name: 'Pressure', unit: 'bar', min: null, max: 200, precision: 1 }
+];
+
+const CHANNEL_COLORS = ['#ef4444', '#3b82f6', '#10b981', '#eab308', '#a855f7', '#f97316', '#06b6d4', '#ec4899'];
+
+export function channelColor(index) {
+  return CHANNEL_COLORS[index % CHANNEL_COLORS.length];
+}
+
+/** The machine's channels, or the fixed three for machines saved before channels existed. */
+export function channelsOf(machine) {
+  if (machine && Array.isArray(machine.channels)) return machine.channels;
+  const thresholds = (machine && machine.thresholds) || {};
+  return DEFAULT_CHANNELS.map(c => ({ ...c, max: thresholds[c.key] ?? c.max }));
+}
+
+export function formatValue(channel, value) {
+  return typeof value === 'number' ? value.toFixed(channel.precision ?? 1) : '--';
+}
+
+export function isOutOfRange(channel, value) {
+  if (typeof value !== 'number') return false;
+  return (typeof channel.max === 'number' && value > channel.max)
+    || (typeof channel.min === 'number' && value < channel.min);
+}
+
+// Number inputs hand back text; the API wants numbers, and null for an empty limit.
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+/** Channels from the editor as the API expects them. */
+export function channelsForSave(channels) {
+  return channels.map(c => ({ ...c, min: toNumber(c.min), max: toNumber(c.max), precision: toNumber(c.precision) ?? 1 }));
+}
+
+/** Alert rules from the editor as the API expects them. */
+export function rulesForSave(rules) {
+  return rules.map(r => ({
+    ...r,
+    value: toNumber(r.value),
+    forReadings: toNumber(r.forReadings) ?? 1,
+    forMinutes: toNumber(r.forMinutes) ?? 0,
+    hysteresis: toNumber(r.hysteresis) ?? 0
+  }));
+}
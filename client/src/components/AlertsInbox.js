@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { FiBell, FiCheck, FiCheckCircle, FiRefreshCw } from 'react-icons/fi';
+import api from '../api';
+import { useLiveEvents } from '../liveStream';
+import { useAuth } from '../auth';
+
+const severityColors = {
+  critical: '#ef4444',
+  warning: '#f97316',
+  info: '#0ea5e9'
+};
+
+function AlertsInbox() {
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { can } = useAuth();
+
+  const fetchAlerts = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/alerts', { params: { status: 'open,acknowledged' } });
+      setAlerts(response.data);
+    } catch (error) {
+      console.error('Failed to fetch alerts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAlerts();
+  }, []);
+
+  useLiveEvents((type, data) => {
+    if (type !== 'alert') return;
+    const { alert } = data;
+    setAlerts(current => {
+      const rest = current.filter(a => a.id !== alert.id);
+      return alert.status === 'resolved' ? rest : [alert, ...rest];
+    });
+  });
+
+  const handleAction = async (alert, action) => {
+    try {
+      const response = await api.post(`/alerts/${alert.id}/${action}`);
+      setAlerts(response.data.status === 'resolved'
+        ? alerts.filter(a => a.id !== alert.id)
+        : alerts.map(a => (a.id === alert.id ? response.data : a)));
+    } catch (error) {
+      console.error(`Failed to ${action} alert:`, error);
+    }
+  };
+
+  const openCount = alerts.filter(a => a.status === 'open').length;
+
+  return (
+    <section className="card alerts-inbox">
+      <div className="card-header">
+        <h2><FiBell /> Alerts</h2>
+        <div className="card-actions">
+          <span className="count">{openCount} open</span>
+          <button className="icon-button" title="Refresh" onClick={fetchAlerts}>
+            <FiRefreshCw />
+          </button>
+        </div>
+      </div>
+
+      {!loading && alerts.length === 0 ? (
+        <p className="empty">No outstanding alerts.</p>
+      ) : (
+        <ul className="alert-list">
+          {alerts.map(alert => (
+            <li key={alert.id} className={`alert-item ${alert.status}`}>
+              <div className="alert-main">
+                <span className="pill" style={{ backgroundColor: severityColors[alert.severity] }}>
+                  {alert.severity}
+                </span>
+                <strong>{alert.machineName}</strong>
+                {alert.occurrences > 1 && <span className="alert-count">×{alert.occurrences}</span>}
+              </div>
+              <div className="alert-reason">{alert.reasons[0]}</div>
+              <div className="alert-meta">
+                {new Date(alert.lastOccurredAt).toLocaleString()}
+                {alert.status === 'acknowledged' && ` • ack by ${alert.acknowledgedBy}`}
+                {alert.escalatedAt && ' • escalated'}
+              </div>
+              {can('technician') && (
+                <div className="card-actions">
+                  {alert.status === 'open' && (
+                    <button className="ghost-button" onClick={() => handleAction(alert, 'ack')}>
+                      <FiCheck /> Ack
+                    </button>
+                  )}
+                  <button className="ghost-button" onClick={() => handleAction(alert, 'resolve')}>
+                    <FiCheckCircle /> Resolve
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default AlertsInbox;
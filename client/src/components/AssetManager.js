@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { FiCheck, FiEdit2, FiLayers, FiPlus, FiTrash2, FiX } from 'react-icons/fi';
+import { errorMessage } from '../api';
+import { createArea, createSite, deleteArea, deleteSite, groupByLocation, updateArea, updateSite } from '../assetsApi';
+
+function RenameField({ value, onSave, onCancel }) {
+  const [name, setName] = useState(value);
+  return (
+    <span className="asset-rename" onClick={e => e.stopPropagation()}>
+      <input autoFocus value={name} onChange={e => setName(e.target.value)} />
+      <button type="button" className="icon-button" title="Save" onClick={() => onSave(name)}><FiCheck /></button>
+      <button type="button" className="icon-button" title="Cancel" onClick={onCancel}><FiX /></button>
+    </span>
+  );
+}
+
+/**
+ * Managers' editor for the hierarchy above the machines: sites and their
+ * areas and lines. Machines are placed from their own form; a site can
+ * also take over all unassigned machines, one area per location.
+ */
+function AssetManager({ tree, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [siteForm, setSiteForm] = useState({ name: '', code: '' });
+  const [areaForms, setAreaForms] = useState({});
+  const [renaming, setRenaming] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, fallback, done) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (done) done(result);
+      onChanged();
+    } catch (err) {
+      setMessage(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const areaForm = siteId => areaForms[siteId] || { name: '', kind: 'area' };
+  const setAreaForm = (siteId, changes) => setAreaForms({ ...areaForms, [siteId]: { ...areaForm(siteId), ...changes } });
+
+  const handleAddSite = (e) => {
+    e.preventDefault();
+    run(() => createSite(siteForm), 'Could not add the site', () => setSiteForm({ name: '', code: '' }));
+  };
+
+  const handleAddArea = (e, siteId) => {
+    e.preventDefault();
+    run(() => createArea({ siteId, ...areaForm(siteId) }), 'Could not add the area', () => setAreaForm(siteId, { name: '' }));
+  };
+
+  const handleRename = (node, name) => {
+    const save = node.type === 'site' ? updateSite : updateArea;
+    run(() => save(node.id, { name }), 'Could not rename', () => setRenaming(null));
+  };
+
+  const handleGroup = (site) => {
+    run(() => groupByLocation(site.id), 'Could not group the machines', result => {
+      setMessage(`${result.machinesAssigned} machine(s) filed under ${site.name}, ${result.areasCreated.length} new area(s).`);
+    });
+  };
+
+  const nameOf = node => (renaming === node.id ? (
+    <RenameField value={node.name} onSave={name => handleRename(node, name)} onCancel={() => setRenaming(null)} />
+  ) : (
+    <span className="tree-name">{node.name}</span>
+  ));
+
+  const sites = tree ? tree.sites : [];
+  const unassigned = tree ? tree.unassigned.length : 0;
+
+  return (
+    <section className="card asset-manager">
+      <div className="card-header">
+        <h3><FiLayers /> Sites &amp; areas</h3>
+        <button className={`ghost-button ${open ? 'active' : ''}`} onClick={() => setOpen(!open)}>
+          {open ? 'Done' : 'Edit'}
+        </button>
+      </div>
+      {open && (
+        <>
+          {message && <p className="form-error">{message}</p>}
+          {sites.map(site => (
+            <div key={site.id} className="asset-site">
+              <div className="tree-row">
+                {nameOf(site)}
+                {site.code && <code>{site.code}</code>}
+                <span className="card-actions">
+                  {unassigned > 0 && (
+                    <button className="ghost-button" disabled={busy} title="Create an area per location for unassigned machines" onClick={() => handleGroup(site)}>
+                      Group {unassigned} unassigned
+                    </button>
+                  )}
+                  <button className="icon-button" title="Rename" onClick={() => setRenaming(site.id)}><FiEdit2 /></button>
+                  <button className="icon-button delete" title="Delete site" disabled={busy} onClick={() => run(() => deleteSite(site.id), 'Could not delete the site')}>
+                    <FiTrash2 />
+                  </button>
+                </span>
+              </div>
+              <ul className="tree-children">
+                {site.children.map(area => (
+                  <li key={area.id} className="tree-row">
+                    {nameOf(area)}
+                    <span className="subtext">{area.kind} • {area.counts.machines} machine(s)</span>
+                    <span className="card-actions">
+                      <button className="icon-button" title="Rename" onClick={() => setRenaming(area.id)}><FiEdit2 /></button>
+                      <button className="icon-button delete" title="Delete area" disabled={busy} onClick={() => run(() => deleteArea(area.id), 'Could not delete the area')}>
+                        <FiTrash2 />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <form className="asset-add" onSubmit={e => handleAddArea(e, site.id)}>
+                <input
+                  required
+                  placeholder="New area or line"
+                  value={areaForm(site.id).name}
+                  onChange={e => setAreaForm(site.id, { name: e.target.value })}
+                />
+                <select value={areaForm(site.id).kind} onChange={e => setAreaForm(site.id, { kind: e.target.value })}>
+                  <option value="area">area</option>
+                  <option value="line">line</option>
+                </select>
+                <button type="submit" className="icon-button" title="Add area" disabled={busy}><FiPlus /></button>
+              </form>
+            </div>
+          ))}
+          <form className="asset-add" onSubmit={handleAddSite}>
+            <input
+              required
+              placeholder="New site"
+              value={siteForm.name}
+              onChange={e => setSiteForm({ ...siteForm, name: e.target.value })}
+            />
+            <input
+              placeholder="Code"
+              value={siteForm.code}
+              onChange={e => setSiteForm({ ...siteForm, code: e.target.value })}
+            />
+            <button type="submit" className="icon-button" title="Add site" disabled={busy}><FiPlus /></button>
+          </form>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default AssetManager;
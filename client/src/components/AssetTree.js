@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { FiChevronDown, FiChevronRight, FiTrash2 } from 'react-icons/fi';
+import { nodeStatuses } from '../assetTree';
+import { connectivityOf, describeConnectivity } from '../connectivity';
+import { statusForMachine } from '../maintenanceStatus';
+
+function describeCounts(counts) {
+  return [
+    `${counts.machines} machine${counts.machines === 1 ? '' : 's'}`,
+    `${counts.critical} critical, ${counts.warning} warning`,
+    `${counts.overdue} overdue, ${counts.offline} offline`,
+    `${counts.openAlerts} open alert${counts.openAlerts === 1 ? '' : 's'}`
+  ].join('\n');
+}
+
+// Machines needing attention out of all machines below the node, coloured by the worst of them.
+function StatusBadge({ node }) {
+  const status = nodeStatuses[node.status] || nodeStatuses.empty;
+  const attention = node.counts.critical + node.counts.warning;
+  return (
+    <span className="status-pill" style={{ backgroundColor: status.color }} title={`${status.label}\n${describeCounts(node.counts)}`}>
+      {attention > 0 ? `${attention}/${node.counts.machines}` : node.counts.machines}
+    </span>
+  );
+}
+
+function Toggle({ open, onClick, hidden }) {
+  return (
+    <button
+      type="button"
+      className="icon-button tree-toggle"
+      style={hidden ? { visibility: 'hidden' } : undefined}
+      onClick={(e) => { e.stopPropagation(); onClick(); }}
+    >
+      {open ? <FiChevronDown /> : <FiChevronRight />}
+    </button>
+  );
+}
+
+function ComponentRow({ component }) {
+  const status = nodeStatuses[component.status] || nodeStatuses.ok;
+  const due = component.nextMaintenanceDate
+    ? `maintenance ${new Date(component.nextMaintenanceDate).toLocaleDateString()}`
+    : 'no maintenance date';
+  return (
+    <li className="tree-component" title={`${status.label}: sensors ${component.sensorState}, ${due}`}>
+      <span className="tree-dot" style={{ backgroundColor: status.color }} />
+      <span>{component.name}</span>
+      <span className="subtext">{component.kind}{component.channels.length > 0 ? ` • ${component.channels.join(', ')}` : ''}</span>
+    </li>
+  );
+}
+
+// `machine` is the live record from the dashboard's list; `node` its place in the tree, if loaded.
+function MachineRow({ machine, node, alarm, selected, open, onToggle, onSelect, onDelete }) {
+  const status = statusForMachine(machine);
+  const connectivity = connectivityOf(machine);
+  const components = node ? node.children : [];
+  return (
+    <li>
+      <div className={`machine-item ${selected ? 'active' : ''}`} onClick={() => onSelect(machine.id)}>
+        <Toggle open={open} onClick={onToggle} hidden={components.length === 0} />
+        <div className="item-info">
+          <h3>{machine.name}</h3>
+          <code>{machine.code}</code>
+        </div>
+        <div className="item-meta">
+          {alarm && (
+            <span className="status-pill" style={{ backgroundColor: '#ef4444' }}>
+              Alarm
+            </span>
+          )}
+          {connectivity && (
+            <span
+              className="status-pill"
+              style={{ backgroundColor: connectivity.color }}
+              title={describeConnectivity(machine.connectivity)}
+            >
+              {connectivity.label}
+            </span>
+          )}
+          <span className="status-pill" style={{ backgroundColor: status.color }} title="Maintenance">
+            {status.label}
+          </span>
+          {onDelete && (
+            <button
+              className="btn-icon delete"
+              onClick={(e) => { e.stopPropagation(); onDelete(machine.id); }}
+            >
+              <FiTrash2 />
+            </button>
+          )}
+        </div>
+      </div>
+      {open && components.length > 0 && (
+        <ul className="tree-children">
+          {components.map(c => <ComponentRow key={c.id} component={c} />)}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * The sidebar's machine list as a site › area/line › machine › component
+ * tree. Sites and areas start open and machines closed; each group shows
+ * its rolled-up health. Machines the tree doesn't know yet (just added)
+ * are listed with the unassigned ones.
+ */
+function AssetTree({ tree, machines, alarms, selectedId, onSelect, onDelete }) {
+  // Ids of sites/areas the user folded and of machines they unfolded.
+  const [folded, setFolded] = useState(() => new Set());
+  const [unfolded, setUnfolded] = useState(() => new Set());
+  const flip = (set, setter, id) => {
+    const next = new Set(set);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setter(next);
+  };
+
+  const byId = new Map(machines.map(m => [m.id, m]));
+  const placed = new Set();
+  const machineRows = nodes => nodes.filter(node => byId.has(node.id)).map(node => {
+    placed.add(node.id);
+    return (
+      <MachineRow
+        key={node.id}
+        machine={byId.get(node.id)}
+        node={node}
+        alarm={alarms[node.id]}
+        selected={selectedId === node.id}
+        open={unfolded.has(node.id)}
+        onToggle={() => flip(unfolded, setUnfolded, node.id)}
+        onSelect={onSelect}
+        onDelete={onDelete}
+      />
+    );
+  });
+
+  const group = (node, children) => {
+    const open = !folded.has(node.id);
+    return (
+      <li key={node.id} className={`tree-group tree-${node.type}`}>
+        <div className="tree-row" onClick={() => flip(folded, setFolded, node.id)}>
+          <Toggle open={open} onClick={() => flip(folded, setFolded, node.id)} />
+          <span className="tree-name">{node.name}</span>
+          {node.kind === 'line' && <span className="subtext">line</span>}
+          <StatusBadge node={node} />
+        </div>
+        {open && <ul className="tree-children">{children}</ul>}
+      </li>
+    );
+  };
+
+  const sites = tree ? tree.sites : [];
+  const siteRows = sites.map(site => group(site, site.children.map(area => (
+    group(area, area.children.length > 0 ? machineRows(area.children) : <li className="subtext tree-empty">No machines</li>)
+  ))));
+  const unassignedRows = machineRows(tree ? tree.unassigned : []);
+  const unknown = machines.filter(m => !placed.has(m.id)).map(m => (
+    <MachineRow
+      key={m.id}
+      machine={m}
+      alarm={alarms[m.id]}
+      selected={selectedId === m.id}
+      open={false}
+      onToggle={() => {}}
+      onSelect={onSelect}
+      onDelete={onDelete}
+    />
+  ));
+  const loose = [...unassignedRows, ...unknown];
+
+  return (
+    <ul className="asset-tree">
+      {siteRows}
+      {loose.length > 0 && (sites.length > 0 ? (
+        <li className="tree-group">
+          <div className="tree-row" onClick={() => flip(folded, setFolded, 'unassigned')}>
+            <Toggle open={!folded.has('unassigned')} onClick={() => flip(folded, setFolded, 'unassigned')} />
+            <span className="tree-name">Unassigned</span>
+            <span className="count">{loose.length}</span>
+          </div>
+          {!folded.has('unassigned') && <ul className="tree-children">{loose}</ul>}
+        </li>
+      ) : loose)}
+    </ul>
+  );
+}
+
+export default AssetTree;
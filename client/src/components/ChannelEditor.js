@@ -0,0 +1,106 @@
+import React from 'react';
+import { FiAlertTriangle, FiPlus, FiX } from 'react-icons/fi';
+
+const emptyChannel = { key: '', name: '', unit: '', min: '', max: '', precision: 1 };
+
+// Edits a machine's sensor channels: one row per channel with its reading key,
+// display name, unit, low/high alarm limits and displayed decimals. Given the
+// machine's `components`, each channel can also be put on one of them.
+// `errors` are the API's field errors, keyed like `channels.1.max`.
+function ChannelEditor({ channels, onChange, errors = {}, components = null }) {
+  const update = (index, field, value) => {
+    onChange(channels.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const invalid = (index, field) => (errors[`channels.${index}.${field}`] ? 'invalid' : undefined);
+  const rowErrors = (index) => Object.entries(errors)
+    .filter(([field]) => field.startsWith(`channels.${index}.`))
+    .map(([, message]) => message);
+
+  return (
+    <div className={`thresholds channel-editor ${components ? 'with-components' : ''}`}>
+      <p><FiAlertTriangle /> Sensor channels and alarm limits</p>
+      <div className="channel-row channel-row-head">
+        <span>Key</span>
+        <span>Name</span>
+        <span>Unit</span>
+        <span>Min</span>
+        <span>Max</span>
+        <span>Decimals</span>
+        {components && <span>Component</span>}
+        <span />
+      </div>
+      {channels.map((channel, index) => (
+        <React.Fragment key={index}>
+          <div className="channel-row">
+            <input
+              required
+              className={invalid(index, 'key')}
+              placeholder="rpm"
+              value={channel.key}
+              onChange={e => update(index, 'key', e.target.value)}
+            />
+            <input
+              placeholder="Spindle speed"
+              value={channel.name}
+              onChange={e => update(index, 'name', e.target.value)}
+            />
+            <input
+              placeholder="rpm"
+              value={channel.unit}
+              onChange={e => update(index, 'unit', e.target.value)}
+            />
+            <input
+              type="number"
+              step="any"
+              className={invalid(index, 'min')}
+              value={channel.min ?? ''}
+              onChange={e => update(index, 'min', e.target.value)}
+            />
+            <input
+              type="number"
+              step="any"
+              className={invalid(index, 'max')}
+              value={channel.max ?? ''}
+              onChange={e => update(index, 'max', e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              max="6"
+              className={invalid(index, 'precision')}
+              value={channel.precision}
+              onChange={e => update(index, 'precision', e.target.value)}
+            />
+            {components && (
+              <select
+                className={invalid(index, 'componentId')}
+                value={channel.componentId || ''}
+                onChange={e => update(index, 'componentId', e.target.value)}
+              >
+                <option value="">Machine</option>
+                {components.map(c => <option key={c.id} value={c.id}>{c.name || 'Unnamed'}</option>)}
+              </select>
+            )}
+            <button
+              type="button"
+              className="icon-button delete"
+              title="Remove channel"
+              disabled={channels.length === 1}
+              onClick={() => onChange(channels.filter((_, i) => i !== index))}
+            >
+              <FiX />
+            </button>
+          </div>
+          {rowErrors(index).map(message => <p key={message} className="field-error">{message}</p>)}
+        </React.Fragment>
+      ))}
+      {errors.channels && <p className="field-error">{errors.channels}</p>}
+      <button type="button" className="ghost-button" onClick={() => onChange([...channels, { ...emptyChannel }])}>
+        <FiPlus /> Add channel
+      </button>
+    </div>
+  );
+}
+
+export default ChannelEditor;
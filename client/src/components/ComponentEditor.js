@@ -0,0 +1,78 @@
+import React from 'react';
+import { FiPlus, FiSettings, FiX } from 'react-icons/fi';
+
+// Mirrors COMPONENT_KINDS in backend/assets.js.
+const componentKinds = ['spindle', 'pump', 'motor', 'gearbox', 'bearing', 'fan', 'compressor', 'valve', 'other'];
+
+// Ids for rows not saved yet; the backend swaps them for real ones and
+// rewrites channel links that point at them.
+let nextTempId = 1;
+const newComponent = () => ({ id: `new-${nextTempId++}`, name: '', kind: 'other', nextMaintenanceDate: '' });
+
+// Edits a machine's components: name, kind and its own next maintenance
+// date. `errors` are the API's field errors, keyed like `components.0.name`.
+function ComponentEditor({ components, onChange, errors = {} }) {
+  const update = (index, field, value) => {
+    onChange(components.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const invalid = (index, field) => (errors[`components.${index}.${field}`] ? 'invalid' : undefined);
+  const rowErrors = (index) => Object.entries(errors)
+    .filter(([field]) => field.startsWith(`components.${index}.`))
+    .map(([, message]) => message);
+
+  return (
+    <div className="thresholds component-editor">
+      <p><FiSettings /> Components</p>
+      {components.length === 0 && <p className="subtext">No components; sensors and maintenance belong to the whole machine.</p>}
+      {components.map((component, index) => (
+        <React.Fragment key={component.id}>
+          <div className="component-row">
+            <input
+              required
+              className={invalid(index, 'name')}
+              placeholder="Main spindle"
+              value={component.name}
+              onChange={e => update(index, 'name', e.target.value)}
+            />
+            <select value={component.kind} onChange={e => update(index, 'kind', e.target.value)}>
+              {componentKinds.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+            </select>
+            <input
+              type="date"
+              title="Next maintenance of this component"
+              className={invalid(index, 'nextMaintenanceDate')}
+              value={component.nextMaintenanceDate}
+              onChange={e => update(index, 'nextMaintenanceDate', e.target.value)}
+            />
+            <button
+              type="button"
+              className="icon-button delete"
+              title="Remove component"
+              onClick={() => onChange(components.filter((_, i) => i !== index))}
+            >
+              <FiX />
+            </button>
+          </div>
+          {rowErrors(index).map(message => <p key={message} className="field-error">{message}</p>)}
+        </React.Fragment>
+      ))}
+      {errors.components && <p className="field-error">{errors.components}</p>}
+      <button type="button" className="ghost-button" onClick={() => onChange([...components, newComponent()])}>
+        <FiPlus /> Add component
+      </button>
+    </div>
+  );
+}
+
+/** Components as the API takes them; an empty date means none. */
+export function componentsForSave(components) {
+  return components.map(c => ({
+    id: c.id,
+    name: c.name,
+    kind: c.kind,
+    nextMaintenanceDate: c.nextMaintenanceDate || null
+  }));
+}
+
+export default ComponentEditor;
@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { FiActivity, FiAlertTriangle, FiClock, FiDownload, FiFileText, FiRefreshCw, FiSearch, FiTool, FiWifiOff } from 'react-icons/fi';
+import api, { downloadFile } from '../api';
+import { useLiveEvents } from '../liveStream';
+import { connectivityStates } from '../connectivity';
+
+const sensorStates = {
+  alarm: { label: 'Alarm', color: '#ef4444' },
+  warning: { label: 'Warning', color: '#f97316' },
+  ok: { label: 'Normal', color: '#22c55e' },
+  'no-data': { label: 'No data', color: '#6b7280' }
+};
+
+const maintenanceStates = {
+  overdue: { label: 'Overdue', color: '#ef4444' },
+  'due-soon': { label: 'Due soon', color: '#f97316' },
+  planned: { label: 'Planned', color: '#eab308' },
+  ok: { label: 'OK', color: '#22c55e' },
+  unknown: { label: 'Unknown', color: '#6b7280' }
+};
+
+// Live events only tell us something changed; refetch the summary at most this often.
+const REFRESH_THROTTLE_MS = 5000;
+
+function formatHours(hours) {
+  if (hours === null) return '--';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours.toFixed(1)} h`;
+}
+
+function formatPercent(ratio) {
+  return ratio === null ? '--' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function matchesStatus(machine, status) {
+  if (status === 'all') return true;
+  return machine.sensorState === status || machine.maintenanceState === status || machine.connectivity === status;
+}
+
+function FleetOverview({ onSelect }) {
+  const [summary, setSummary] = useState(null);
+  const [days, setDays] = useState(30);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [location, setLocation] = useState('all');
+  const refreshTimer = useRef(null);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await api.get('/fleet/summary', { params: { days } });
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Failed to fetch fleet summary:', error);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+  const handleDownloadReport = () => {
+    downloadFile('/reports', { format: 'pdf', days }, `fleet-report-${new Date().toISOString().slice(0, 10)}.pdf`)
+      .catch(error => console.error('Failed to download fleet report:', error));
+  };
+
+  const handleExportVitals = () => {
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    downloadFile('/fleet/vitals.csv', { from }, `fleet-vitals-${new Date().toISOString().slice(0, 10)}.csv`)
+      .catch(error => console.error('Failed to export fleet vitals:', error));
+  };
+
+  useLiveEvents((type) => {
+    if (type === 'vital' || refreshTimer.current) return;
+    refreshTimer.current = setTimeout(() => {
+      refreshTimer.current = null;
+      fetchSummary();
+    }, REFRESH_THROTTLE_MS);
+  });
+
+  if (!summary) {
+    return <div className="fleet-overview"><p className="empty">Loading fleet…</p></div>;
+  }
+
+  const { kpis } = summary;
+  const query = search.trim().toLowerCase();
+  const visible = summary.machines.filter(m => matchesStatus(m, status)
+    && (location === 'all' || m.location === location)
+    && (!query || [m.name, m.code, m.location].some(v => (v || '').toLowerCase().includes(query))));
+
+  const groups = {};
+  visible.forEach(m => {
+    const key = m.location || '';
+    groups[key] = groups[key] || [];
+    groups[key].push(m);
+  });
+
+  return (
+    <div className="fleet-overview">
+      <div className="kpi-grid">
+        <div className={`kpi-card ${kpis.inAlarm > 0 ? 'bad' : ''}`}>
+          <label><FiAlertTriangle /> In alarm</label>
+          <div className="value">{kpis.inAlarm}<span>/ {kpis.machines}</span></div>
+        </div>
+        <div className={`kpi-card ${kpis.offline > 0 ? 'bad' : ''}`} title="Machines whose sensors have stopped reporting">
+          <label><FiWifiOff /> Offline</label>
+          <div className="value">{kpis.offline}<span>/ {kpis.machines}</span></div>
+        </div>
+        <div className={`kpi-card ${kpis.overdue > 0 ? 'bad' : ''}`}>
+          <label><FiClock /> Overdue maintenance</label>
+          <div className="value">{kpis.overdue}<span>{kpis.dueSoon} due soon</span></div>
+        </div>
+        <div className="kpi-card" title="Uptime divided by critical failures in the period">
+          <label><FiActivity /> MTBF</label>
+          <div className="value">{formatHours(kpis.mtbfHours)}<span>{kpis.failures} failures</span></div>
+        </div>
+        <div className="kpi-card" title="Mean time from a critical alert to its resolution">
+          <label><FiTool /> MTTR</label>
+          <div className="value">{formatHours(kpis.mttrHours)}</div>
+        </div>
+        <div className="kpi-card" title="Share of the period machines were not down">
+          <label><FiActivity /> Availability</label>
+          <div className="value">{formatPercent(kpis.availability)}<span>{kpis.downtimeHours} h down</span></div>
+        </div>
+      </div>
+
+      <div className="fleet-filters">
+        <div className="search-field">
+          <FiSearch />
+          <input
+            placeholder="Search name, code or location"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+          />
+        </div>
+        <select value={status} onChange={e => setStatus(e.target.value)}>
+          <option value="all">All statuses</option>
+          {Object.keys(sensorStates).map(key => (
+            <option key={key} value={key}>Sensors: {sensorStates[key].label}</option>
+          ))}
+          {Object.keys(connectivityStates).map(key => (
+            <option key={key} value={key}>Connectivity: {connectivityStates[key].label}</option>
+          ))}
+          {['overdue', 'due-soon', 'planned'].map(key => (
+            <option key={key} value={key}>Maintenance: {maintenanceStates[key].label}</option>
+          ))}
+        </select>
+        <select value={location} onChange={e => setLocation(e.target.value)}>
+          <option value="all">All locations</option>
+          {summary.locations.map(l => (
+            <option key={l.location} value={l.location}>{l.location || 'No location'}</option>
+          ))}
+        </select>
+        <select value={days} onChange={e => setDays(Number(e.target.value))} title="KPI period">
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+        <button className="icon-button" title={`Fleet report for the last ${days} days (PDF)`} onClick={handleDownloadReport}>
+          <FiFileText />
+        </button>
+        <button className="icon-button" title={`Download all readings from the last ${days} days as CSV`} onClick={handleExportVitals}>
+          <FiDownload />
+        </button>
+        <button className="icon-button" title="Refresh" onClick={fetchSummary}>
+          <FiRefreshCw />
+        </button>
+      </div>
+
+      {visible.length === 0 && <p className="empty">No machines match these filters.</p>}
+
+      {Object.keys(groups).sort().map(key => (
+        <section key={key} className="fleet-group">
+          <h3>{key || 'No location'} <span className="count">{groups[key].length}</span></h3>
+          <div className="fleet-grid">
+            {groups[key].map(m => (
+              <button
+                key={m.id}
+                className="fleet-tile"
+                style={{ borderColor: sensorStates[m.sensorState].color }}
+                onClick={() => onSelect(m.id)}
+              >
+                <div className="tile-head">
+                  <strong>{m.name}</strong>
+                  <code>{m.code}</code>
+                </div>
+                <div className="tile-states">
+                  <span className="status-pill" style={{ backgroundColor: sensorStates[m.sensorState].color }}>
+                    {sensorStates[m.sensorState].label}
+                  </span>
+                  <span className="status-pill" style={{ backgroundColor: connectivityStates[m.connectivity].color }}>
+                    {connectivityStates[m.connectivity].label}
+                  </span>
+                  <span className="status-pill" style={{ backgroundColor: maintenanceStates[m.maintenanceState].color }}>
+                    {maintenanceStates[m.maintenanceState].label}
+                  </span>
+                </div>
+                <div className="tile-meta">
+                  {m.openAlerts.critical + m.openAlerts.warning > 0 && `${m.openAlerts.critical + m.openAlerts.warning} open alerts • `}
+                  {m.latest ? `last reading ${new Date(m.latest.timestamp).toLocaleTimeString()}` : 'no readings'}
+                </div>
+              </button>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default FleetOverview;
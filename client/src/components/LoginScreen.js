@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { FiCpu, FiLogIn } from 'react-icons/fi';
+import { useAuth } from '../auth';
+import { API_URL } from '../api';
+
+function LoginScreen() {
+  const { login } = useAuth();
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await login(form.username, form.password);
+    } catch (err) {
+      setError(err.response?.data?.message || `Could not reach the backend at ${API_URL}`);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="card login-card" onSubmit={handleSubmit}>
+        <div className="logo">
+          <FiCpu className="logo-icon" />
+          <h1>Smart Maintenance Monitor</h1>
+        </div>
+        <div className="field">
+          <label>Username</label>
+          <input
+            required
+            autoFocus
+            autoComplete="username"
+            value={form.username}
+            onChange={e => setForm({ ...form, username: e.target.value })}
+          />
+        </div>
+        <div className="field">
+          <label>Password</label>
+          <input
+            required
+            type="password"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={e => setForm({ ...form, password: e.target.value })}
+          />
+        </div>
+        {error && <p className="form-error">{error}</p>}
+        <button type="submit" className="btn-primary" disabled={busy}>
+          <FiLogIn /> {busy ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
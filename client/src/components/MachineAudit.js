@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { FiList } from 'react-icons/fi';
+import { fetchAudit } from '../machinesApi';
+
+const actionLabels = {
+  created: 'Created',
+  updated: 'Edited',
+  deleted: 'Deleted',
+  rules: 'Alert rules changed',
+  maintenance: 'Maintenance completed'
+};
+
+// Rules and whole channels are objects; everything else prints as is.
+function describeValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length === 0 ? 'none' : `${value.length} item(s)`;
+  if (typeof value === 'object') {
+    if (value.operator) return `${value.channel} ${value.operator} ${value.value} (${value.severity})`;
+    if (value.key) return `${value.name || value.key} ${value.min ?? '–'}…${value.max ?? '–'} ${value.unit || ''}`.trim();
+    if (value.type) return `${value.value} ${value.type}`;
+    if ('enabled' in value) return value.enabled ? 'enabled' : 'disabled';
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Who changed the machine and its limits, newest first. Refetched whenever
+// the machine object changes, so saved edits show up straight away.
+function MachineAudit({ machine }) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!machine) return;
+    fetchAudit(machine.id, { limit: 50 })
+      .then(setEntries)
+      .catch(error => console.error('Failed to fetch audit log:', error));
+  }, [machine]);
+
+  return (
+    <div className="card audit-card">
+      <div className="card-header">
+        <h3><FiList /> Change log</h3>
+      </div>
+      {entries.length === 0 ? (
+        <p className="empty">No changes recorded yet.</p>
+      ) : (
+        <ol className="timeline">
+          {entries.map(entry => (
+            <li key={entry.id} className="timeline-item">
+              <div className="timeline-head">
+                <strong>{actionLabels[entry.action] || entry.action}</strong>
+                <span className="timeline-meta">{entry.actor} • {new Date(entry.at).toLocaleString()}</span>
+              </div>
+              <ul className="audit-changes">
+                {entry.changes.map(change => (
+                  <li key={change.field}>
+                    <code>{change.field}</code> {describeValue(change.from)} → {describeValue(change.to)}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default MachineAudit;
@@ -0,0 +1,247 @@
+import React, { useEffect, useState } from 'react';
+import { FiEdit2, FiSave, FiX } from 'react-icons/fi';
+import { fieldErrors, errorMessage } from '../api';
+import { previewRules, updateMachine } from '../machinesApi';
+import ChannelEditor from './ChannelEditor';
+import ComponentEditor, { componentsForSave } from './ComponentEditor';
+import RuleEditor from './RuleEditor';
+import { channelsOf, channelsForSave, rulesForSave } from '../channels';
+
+const previewSizes = [100, 500, 2000];
+
+function formFrom(machine) {
+  return {
+    name: machine.name || '',
+    code: machine.code || '',
+    location: machine.location || '',
+    areaId: machine.areaId || '',
+    responsibleEmail: machine.responsibleEmail || '',
+    nextMaintenanceDate: (machine.nextMaintenanceDate || '').slice(0, 10),
+    intervalType: machine.maintenanceInterval?.type || 'days',
+    intervalValue: machine.maintenanceInterval?.value ?? '',
+    reportingIntervalSeconds: machine.reportingIntervalSeconds ?? '',
+    components: (machine.components || []).map(c => ({ ...c, nextMaintenanceDate: (c.nextMaintenanceDate || '').slice(0, 10) })),
+    channels: channelsOf(machine).map(c => ({ ...c })),
+    alertRules: Array.isArray(machine.alertRules) ? machine.alertRules.map(r => ({ ...r })) : []
+  };
+}
+
+// Channels and rules as the API takes them; no rules means "alarm on the channel limits".
+function limitsBody(form) {
+  return {
+    channels: channelsForSave(form.channels),
+    alertRules: form.alertRules.length > 0 ? rulesForSave(form.alertRules) : null
+  };
+}
+
+function PreviewLine({ label, result, readings }) {
+  return (
+    <div className="preview-line">
+      <span>{label}</span>
+      <strong>{result.breachingReadings}</strong> of {readings} readings past a limit,
+      {' '}<strong>{result.alerts}</strong> alert{result.alerts === 1 ? '' : 's'}
+    </div>
+  );
+}
+
+// Edit mode of the detail view: every machine field plus components, channels
+// and rules, with a replay of recent readings against the limits being edited.
+// `areas` are the places the machine can be filed under (see areaOptions).
+function MachineEditor({ machine, areas = [], onSaved, onCancel }) {
+  const [form, setForm] = useState(() => formFrom(machine));
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [previewSize, setPreviewSize] = useState(500);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  const limits = JSON.stringify(limitsBody(form));
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      previewRules(machine.id, JSON.parse(limits), previewSize)
+        .then(result => {
+          setPreview(result);
+          setPreviewError(null);
+        })
+        .catch(error => setPreviewError(errorMessage(error, 'Preview unavailable')));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [machine.id, limits, previewSize]);
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const invalid = (field) => (errors[field] ? 'invalid' : undefined);
+  const error = (field) => errors[field] && <span className="field-error">{errors[field]}</span>;
+
+  // Channels on a removed component go back to the machine as a whole.
+  const setComponents = (components) => {
+    const ids = new Set(components.map(c => c.id));
+    const channels = form.channels.map(c => (c.componentId && !ids.has(c.componentId) ? { ...c, componentId: '' } : c));
+    setForm({ ...form, components, channels });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+    setMessage(null);
+    // Saving channels or rules restarts alerting, so they only go along when edited.
+    const original = JSON.stringify(limitsBody(formFrom(machine)));
+    try {
+      const updated = await updateMachine(machine.id, {
+        name: form.name,
+        code: form.code,
+        location: form.location,
+        areaId: form.areaId || null,
+        components: componentsForSave(form.components),
+        responsibleEmail: form.responsibleEmail,
+        nextMaintenanceDate: form.nextMaintenanceDate,
+        maintenanceInterval: form.intervalValue === ''
+          ? null
+          : { type: form.intervalType, value: Number(form.intervalValue) },
+        reportingIntervalSeconds: form.reportingIntervalSeconds === '' ? null : Number(form.reportingIntervalSeconds),
+        ...(limits !== original ? limitsBody(form) : {})
+      });
+      onSaved(updated);
+    } catch (err) {
+      setErrors(fieldErrors(err));
+      setMessage(errorMessage(err, 'Could not save the machine'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="card editor-card" onSubmit={handleSave}>
+      <div className="card-header">
+        <h3><FiEdit2 /> Edit {machine.name}</h3>
+        <div className="card-actions">
+          <button type="button" className="ghost-button" onClick={onCancel}>
+            <FiX /> Cancel
+          </button>
+          <button type="submit" className="ghost-button active" disabled={saving}>
+            <FiSave /> {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      <div className="form-grid">
+        <label>
+          Name
+          <input required className={invalid('name')} value={form.name} onChange={set('name')} />
+          {error('name')}
+        </label>
+        <label>
+          Code / Tag
+          <input className={invalid('code')} value={form.code} onChange={set('code')} />
+          {error('code')}
+        </label>
+        <label>
+          Location
+          <input className={invalid('location')} value={form.location} onChange={set('location')} />
+          {error('location')}
+        </label>
+        <label>
+          Area / line
+          <select className={invalid('areaId')} value={form.areaId} onChange={set('areaId')}>
+            <option value="">Unassigned</option>
+            {areas.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+          </select>
+          {error('areaId')}
+        </label>
+        <label>
+          Responsible emails
+          <input className={invalid('responsibleEmail')} value={form.responsibleEmail} onChange={set('responsibleEmail')} />
+          {error('responsibleEmail')}
+        </label>
+        <label>
+          Next maintenance date
+          <input
+            type="date"
+            required
+            className={invalid('nextMaintenanceDate')}
+            value={form.nextMaintenanceDate}
+            onChange={set('nextMaintenanceDate')}
+          />
+          {error('nextMaintenanceDate')}
+        </label>
+        <label>
+          Maintenance interval
+          <span className="interval-inputs">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="default"
+              className={invalid('maintenanceInterval.value')}
+              value={form.intervalValue}
+              onChange={set('intervalValue')}
+            />
+            <select value={form.intervalType} onChange={set('intervalType')}>
+              <option value="days">days</option>
+              <option value="runHours">run hours</option>
+            </select>
+          </span>
+          {error('maintenanceInterval.value')}
+        </label>
+        <label>
+          Expected reporting interval (seconds)
+          <input
+            type="number"
+            min="1"
+            step="1"
+            placeholder="default"
+            className={invalid('reportingIntervalSeconds')}
+            value={form.reportingIntervalSeconds}
+            onChange={set('reportingIntervalSeconds')}
+          />
+          {error('reportingIntervalSeconds')}
+        </label>
+
+        <ComponentEditor
+          components={form.components}
+          errors={errors}
+          onChange={setComponents}
+        />
+        <ChannelEditor
+          channels={form.channels}
+          components={form.components.length > 0 ? form.components : null}
+          errors={errors}
+          onChange={channels => setForm({ ...form, channels })}
+        />
+        <RuleEditor
+          rules={form.alertRules}
+          channels={form.channels.filter(c => c.key)}
+          errors={errors}
+          onChange={alertRules => setForm({ ...form, alertRules })}
+        />
+      </div>
+
+      <div className="threshold-preview">
+        <div className="card-header">
+          <strong>Effect on recent readings</strong>
+          <select value={previewSize} onChange={e => setPreviewSize(Number(e.target.value))}>
+            {previewSizes.map(n => <option key={n} value={n}>last {n}</option>)}
+          </select>
+        </div>
+        {previewError && <p className="empty">{previewError}</p>}
+        {!previewError && preview && (preview.readings === 0 ? (
+          <p className="empty">No stored readings to compare against yet.</p>
+        ) : (
+          <>
+            <PreviewLine label="Current" result={preview.current} readings={preview.readings} />
+            <PreviewLine label="With changes" result={preview.proposed} readings={preview.readings} />
+            <p className="subtext">
+              {new Date(preview.from).toLocaleString()} – {new Date(preview.to).toLocaleString()}
+            </p>
+          </>
+        ))}
+      </div>
+
+      {message && <p className="form-error">{message}</p>}
+    </form>
+  );
+}
+
+export default MachineEditor;
@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { FiEdit2, FiPackage, FiPlus, FiSave, FiX } from 'react-icons/fi';
+import { fieldErrors, errorMessage } from '../api';
+import { fetchBom, listParts, saveBom } from '../partsApi';
+import { useLiveEvents } from '../liveStream';
+import { useAuth } from '../auth';
+
+// The machine's bill of materials: the parts its next maintenance takes,
+// flagged where stock left over from maintenance due earlier won't cover it.
+// Managers edit the list; recording maintenance without parts uses it.
+function MachineParts({ machine }) {
+  const [bom, setBom] = useState(null);
+  const [parts, setParts] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [items, setItems] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [version, setVersion] = useState(0);
+  const { can } = useAuth();
+
+  useEffect(() => {
+    setBom(null);
+    setEditing(false);
+  }, [machine.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBom(machine.id)
+      .then(result => !cancelled && setBom(result))
+      .catch(error => console.error('Failed to fetch bill of materials:', error));
+    return () => { cancelled = true; };
+  }, [machine.id, machine.nextMaintenanceDate, version]);
+
+  useLiveEvents((type) => {
+    if (type === 'parts.changed') setVersion(v => v + 1);
+  });
+
+  const startEdit = async () => {
+    setErrors({});
+    setMessage(null);
+    setItems(bom.items.map(i => ({ partId: i.partId, quantity: i.needed })));
+    setEditing(true);
+    try {
+      setParts(await listParts());
+    } catch (error) {
+      setMessage(errorMessage(error, 'Could not load the parts list'));
+    }
+  };
+
+  const update = (index, field, value) => {
+    setItems(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+    setMessage(null);
+    try {
+      setBom(await saveBom(machine.id, items.map(i => ({ partId: i.partId, quantity: Number(i.quantity) || 1 }))));
+      setEditing(false);
+    } catch (error) {
+      setErrors(fieldErrors(error));
+      setMessage(errorMessage(error, 'Could not save the bill of materials'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!bom) return null;
+
+  return (
+    <form className="card machine-parts" onSubmit={handleSave}>
+      <div className="card-header">
+        <h3><FiPackage /> Parts for next maintenance</h3>
+        {bom.shortfall && <span className="status-pill" style={{ backgroundColor: '#ef4444' }}>Not all in stock</span>}
+        <div className="card-actions">
+          {can('manager') && !editing && (
+            <button type="button" className="ghost-button" onClick={startEdit}><FiEdit2 /> Edit</button>
+          )}
+          {editing && (
+            <>
+              <button type="button" className="ghost-button" onClick={() => setEditing(false)}><FiX /> Cancel</button>
+              <button type="submit" className="ghost-button active" disabled={saving}>
+                <FiSave /> {saving ? 'Saving…' : 'Save'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {editing ? (
+        <div className="bom-editor">
+          {items.map((item, index) => (
+            <div key={index} className="bom-row">
+              <select
+                required
+                className={errors[`items.${index}.partId`] ? 'invalid' : undefined}
+                value={item.partId}
+                onChange={e => update(index, 'partId', e.target.value)}
+              >
+                <option value="">Choose a part…</option>
+                {parts.map(p => (
+                  <option key={p.id} value={p.id}>{p.partNumber}{p.description ? ` – ${p.description}` : ''}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                className={errors[`items.${index}.quantity`] ? 'invalid' : undefined}
+                value={item.quantity}
+                onChange={e => update(index, 'quantity', e.target.value)}
+              />
+              <button
+                type="button"
+                className="icon-button delete"
+                title="Remove part"
+                onClick={() => setItems(items.filter((_, i) => i !== index))}
+              >
+                <FiX />
+              </button>
+            </div>
+          ))}
+          <button type="button" className="ghost-button" onClick={() => setItems([...items, { partId: '', quantity: 1 }])}>
+            <FiPlus /> Add part
+          </button>
+        </div>
+      ) : bom.items.length === 0 ? (
+        <p className="empty">No bill of materials; maintenance of this machine doesn't reserve any parts.</p>
+      ) : (
+        <ul className="bom-list">
+          {bom.items.map(item => (
+            <li key={item.partId} className={item.short > 0 ? 'short' : undefined}>
+              <code>{item.partNumber}</code>
+              <span>{item.description}</span>
+              <span className="subtext">{item.location}</span>
+              <span className="bom-qty">×{item.needed}</span>
+              {item.short > 0 ? (
+                <span
+                  className="status-pill"
+                  style={{ backgroundColor: '#ef4444' }}
+                  title={`${item.quantityOnHand} on hand, ${item.available} left after maintenance due earlier`}
+                >
+                  Short {item.short}
+                </span>
+              ) : (
+                <span className="status-pill" style={{ backgroundColor: '#22c55e' }} title={`${item.quantityOnHand} on hand`}>
+                  In stock
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {message && <p className="form-error">{message}</p>}
+    </form>
+  );
+}
+
+export default MachineParts;
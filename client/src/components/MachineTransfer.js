@@ -0,0 +1,159 @@
+import React, { useRef, useState } from 'react';
+import { FiDownload, FiUpload, FiX } from 'react-icons/fi';
+import api, { downloadFile } from '../api';
+import { useAuth } from '../auth';
+
+const actionLabels = {
+  create: 'New',
+  update: 'Update',
+  unchanged: 'Unchanged',
+  error: 'Error'
+};
+
+// Files are checked with a dry run first; nothing is written until the
+// planner has seen what each row would do and confirms.
+function MachineTransfer() {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInput = useRef(null);
+  const { can } = useAuth();
+
+  const sendImport = async (content, type, dryRun) => {
+    const response = await api.post('/machines/import', content, {
+      params: { dryRun },
+      headers: { 'Content-Type': type }
+    });
+    return response.data;
+  };
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+
+    const text = await picked.text();
+    const type = picked.name.toLowerCase().endsWith('.json') ? 'application/json' : 'text/csv';
+    setFile({ name: picked.name });
+    setReport(null);
+    setError(null);
+
+    let content = text;
+    if (type === 'application/json') {
+      try {
+        content = JSON.parse(text);
+      } catch (err) {
+        setError('The file is not valid JSON');
+        return;
+      }
+    }
+    setFile({ name: picked.name, content, type });
+    setBusy(true);
+    try {
+      setReport(await sendImport(content, type, true));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not read the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    try {
+      setReport(await sendImport(file.content, file.type, false));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Import failed');
+      if (err.response?.data?.rows) setReport(err.response.data);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = () => {
+    setFile(null);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleExport = (format) => {
+    const today = new Date().toISOString().slice(0, 10);
+    downloadFile('/machines/export', { format }, `machines-${today}.${format}`)
+      .catch(err => console.error('Failed to export machines:', err));
+  };
+
+  const changes = report ? report.summary.create + report.summary.update : 0;
+
+  return (
+    <section className="card transfer-card">
+      <div className="card-header">
+        <h2>Import / export</h2>
+        <div className="card-actions">
+          <button className="ghost-button" onClick={() => handleExport('csv')}>
+            <FiDownload /> CSV
+          </button>
+          <button className="ghost-button" onClick={() => handleExport('json')}>
+            <FiDownload /> JSON
+          </button>
+          {can('manager') && (
+            <button className="ghost-button" disabled={busy} onClick={() => fileInput.current.click()}>
+              <FiUpload /> Import
+            </button>
+          )}
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            hidden
+            onChange={handleFile}
+          />
+        </div>
+      </div>
+
+      {file && (
+        <div className="import-report">
+          <div className="card-header">
+            <strong>{file.name}</strong>
+            <button className="icon-button" title="Close" onClick={handleClose}>
+              <FiX />
+            </button>
+          </div>
+
+          {busy && <p className="empty">Checking…</p>}
+          {error && <p className="form-error">{error}</p>}
+
+          {report && (
+            <>
+              <p className="import-summary">
+                {report.applied ? 'Imported: ' : 'Would import: '}
+                {report.summary.create} new, {report.summary.update} updated, {report.summary.unchanged} unchanged
+                {report.summary.error > 0 && `, ${report.summary.error} with errors`}
+              </p>
+              <ul className="import-rows">
+                {report.rows.filter(r => r.action !== 'unchanged').map(r => (
+                  <li key={r.row} className={r.action}>
+                    <span className="row-number">Row {r.row}</span>
+                    <span className="row-action">{actionLabels[r.action]}</span>
+                    <span>{r.code || '-'}{r.name ? ` • ${r.name}` : ''}</span>
+                    {r.errors.length > 0 && <div className="row-errors">{r.errors.join('; ')}</div>}
+                  </li>
+                ))}
+              </ul>
+              {!report.applied && report.summary.error === 0 && (
+                <button className="btn-primary" disabled={busy || changes === 0} onClick={handleApply}>
+                  <FiUpload /> {changes === 0 ? 'Nothing to change' : `Import ${changes} machine(s)`}
+                </button>
+              )}
+              {report.summary.error > 0 && (
+                <p className="form-error">Fix the rows above in the file and pick it again.</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default MachineTransfer;
@@ -0,0 +1,262 @@
+import React, { useState } from 'react';
+import { FiCalendar, FiChevronLeft, FiChevronRight, FiLink, FiX } from 'react-icons/fi';
+import api, { API_URL, errorMessage } from '../api';
+import { updateMachine } from '../machinesApi';
+import { statusForMachine } from '../maintenanceStatus';
+import { useAuth } from '../auth';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Days are handled as local YYYY-MM-DD keys, the format nextMaintenanceDate is stored in.
+function dayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function startOfWeek(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+// Whole weeks, Monday first: the one week around `cursor`, or every week touching its month.
+function visibleDays(view, cursor) {
+  const start = view === 'week' ? startOfWeek(cursor) : startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1));
+  const end = view === 'week'
+    ? addDays(start, 6)
+    : addDays(startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0)), 6);
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) days.push(day);
+  return days;
+}
+
+function feedUrl(token, { location, email }) {
+  const url = new URL(`${API_URL}/calendar.ics`, window.location.href);
+  url.searchParams.set('token', token);
+  if (location) url.searchParams.set('location', location);
+  if (email) url.searchParams.set('email', email);
+  return url.toString();
+}
+
+// Subscription links for calendar apps. Tokens are only shown once, so a new
+// link replaces (and revokes) the previous one.
+function SubscribePanel({ locations, onClose }) {
+  const { user } = useAuth();
+  const [token, setToken] = useState(null);
+  const [filters, setFilters] = useState({ location: '', email: '' });
+  const [message, setMessage] = useState(null);
+  const [hasLink, setHasLink] = useState(Boolean(user.calendarFeed));
+
+  const createLink = async () => {
+    setMessage(null);
+    try {
+      const response = await api.post('/calendar/feed-token');
+      setToken(response.data.token);
+      setHasLink(true);
+    } catch (error) {
+      setMessage(errorMessage(error, 'Could not create a calendar link'));
+    }
+  };
+
+  const revokeLink = async () => {
+    setMessage(null);
+    try {
+      await api.delete('/calendar/feed-token');
+      setToken(null);
+      setHasLink(false);
+      setMessage('Calendar links revoked; subscribed calendars stop updating.');
+    } catch (error) {
+      setMessage(errorMessage(error, 'Could not revoke the calendar link'));
+    }
+  };
+
+  const url = token && feedUrl(token, filters);
+
+  return (
+    <div className="calendar-subscribe">
+      <div className="card-header">
+        <strong><FiLink /> Subscribe from a calendar app</strong>
+        <button className="icon-button" title="Close" onClick={onClose}><FiX /></button>
+      </div>
+      <div className="form-grid">
+        <label>
+          Location
+          <select value={filters.location} onChange={e => setFilters({ ...filters, location: e.target.value })}>
+            <option value="">All locations</option>
+            {locations.map(l => <option key={l} value={l}>{l}</option>)}
+          </select>
+        </label>
+        <label>
+          Responsible email
+          <input
+            type="email"
+            placeholder="anyone"
+            value={filters.email}
+            onChange={e => setFilters({ ...filters, email: e.target.value.trim() })}
+          />
+        </label>
+      </div>
+      {url ? (
+        <>
+          <input className="feed-url" readOnly value={url} onFocus={e => e.target.select()} />
+          <p className="subtext">
+            Anyone with this link can read the maintenance calendar. <a href={url.replace(/^https?:/, 'webcal:')}>Open in calendar app</a>
+          </p>
+        </>
+      ) : (
+        <p className="subtext">
+          {hasLink ? 'You already have a calendar link; creating a new one revokes it.' : 'Creates a private link that calendar apps can poll.'}
+        </p>
+      )}
+      <div className="card-actions">
+        <button className="ghost-button" onClick={createLink}>{hasLink ? 'New link' : 'Create link'}</button>
+        {hasLink && <button className="ghost-button" onClick={revokeLink}>Revoke links</button>}
+      </div>
+      {message && <p className="form-error">{message}</p>}
+    </div>
+  );
+}
+
+// Every machine's next maintenance date by month or week, coloured like the
+// machine list. Managers drag a machine to another day to reschedule it.
+function MaintenanceCalendar({ machines, onSelect, onMachineUpdated }) {
+  const { can } = useAuth();
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [pending, setPending] = useState({});
+  const [dropDay, setDropDay] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [subscribing, setSubscribing] = useState(false);
+  const canEdit = can('manager');
+
+  const dateOf = (machine) => pending[machine.id] || (machine.nextMaintenanceDate || '').slice(0, 10);
+  const days = visibleDays(view, cursor);
+  const today = dayKey(new Date());
+  const byDay = {};
+  machines.forEach(m => {
+    const date = dateOf(m);
+    if (date) (byDay[date] = byDay[date] || []).push(m);
+  });
+  const firstShown = dayKey(days[0]);
+  const overdueEarlier = machines.filter(m => dateOf(m) && dateOf(m) < firstShown && dateOf(m) < today);
+  const locations = [...new Set(machines.map(m => m.location).filter(Boolean))].sort();
+
+  const move = (step) => {
+    setCursor(current => (view === 'week'
+      ? addDays(current, step * 7)
+      : new Date(current.getFullYear(), current.getMonth() + step, 1)));
+  };
+
+  const handleDrop = async (e, day) => {
+    e.preventDefault();
+    setDropDay(null);
+    const machine = machines.find(m => m.id === e.dataTransfer.getData('text/plain'));
+    if (!machine || dateOf(machine) === day) return;
+    setMessage(null);
+    setPending(current => ({ ...current, [machine.id]: day }));
+    try {
+      onMachineUpdated(await updateMachine(machine.id, { nextMaintenanceDate: day }));
+    } catch (error) {
+      setMessage(errorMessage(error, `Could not reschedule ${machine.name}`));
+    } finally {
+      setPending(current => {
+        const { [machine.id]: done, ...rest } = current;
+        return rest;
+      });
+    }
+  };
+
+  const chip = (machine) => {
+    const status = statusForMachine({ ...machine, nextMaintenanceDate: dateOf(machine) });
+    return (
+      <button
+        key={machine.id}
+        className={`calendar-chip ${pending[machine.id] ? 'saving' : ''}`}
+        style={{ backgroundColor: status.color }}
+        title={`${machine.name}${machine.location ? ` • ${machine.location}` : ''} • ${status.label}`}
+        draggable={canEdit && !pending[machine.id]}
+        onDragStart={e => {
+          e.dataTransfer.setData('text/plain', machine.id);
+          e.dataTransfer.effectAllowed = 'move';
+        }}
+        onClick={() => onSelect(machine.id)}
+      >
+        {machine.code || machine.name}
+      </button>
+    );
+  };
+
+  const title = view === 'week'
+    ? `Week of ${days[0].toLocaleDateString()}`
+    : cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="card maintenance-calendar">
+      <div className="card-header">
+        <h3><FiCalendar /> {title}</h3>
+        <div className="card-actions">
+          <button className="icon-button" title="Previous" onClick={() => move(-1)}><FiChevronLeft /></button>
+          <button className="ghost-button" onClick={() => setCursor(new Date())}>Today</button>
+          <button className="icon-button" title="Next" onClick={() => move(1)}><FiChevronRight /></button>
+          {['month', 'week'].map(key => (
+            <button key={key} className={`ghost-button ${view === key ? 'active' : ''}`} onClick={() => setView(key)}>
+              {key === 'month' ? 'Month' : 'Week'}
+            </button>
+          ))}
+          <button className={`ghost-button ${subscribing ? 'active' : ''}`} onClick={() => setSubscribing(!subscribing)}>
+            <FiLink /> Subscribe
+          </button>
+        </div>
+      </div>
+
+      {subscribing && <SubscribePanel locations={locations} onClose={() => setSubscribing(false)} />}
+
+      {overdueEarlier.length > 0 && (
+        <div className="calendar-overdue">
+          <span className="subtext">Overdue before this view:</span>
+          {overdueEarlier.map(chip)}
+        </div>
+      )}
+
+      <div className={`calendar-grid ${view}`}>
+        {WEEKDAYS.map(d => <div key={d} className="calendar-weekday">{d}</div>)}
+        {days.map(day => {
+          const key = dayKey(day);
+          const scheduled = byDay[key] || [];
+          const classes = [
+            'calendar-day',
+            view === 'month' && day.getMonth() !== cursor.getMonth() ? 'outside' : '',
+            key === today ? 'today' : '',
+            scheduled.length > 1 ? 'busy' : '',
+            dropDay === key ? 'drop-target' : ''
+          ].filter(Boolean).join(' ');
+          return (
+            <div
+              key={key}
+              className={classes}
+              onDragOver={canEdit ? e => { e.preventDefault(); setDropDay(key); } : undefined}
+              onDragLeave={canEdit ? () => setDropDay(current => (current === key ? null : current)) : undefined}
+              onDrop={canEdit ? e => handleDrop(e, key) : undefined}
+            >
+              <div className="calendar-date">
+                {day.getDate()}
+                {scheduled.length > 1 && <span className="count" title="Machines due this day">{scheduled.length}</span>}
+              </div>
+              {scheduled.map(chip)}
+            </div>
+          );
+        })}
+      </div>
+
+      {canEdit && <p className="subtext">Drag a machine to another day to reschedule its maintenance.</p>}
+      {message && <p className="form-error">{message}</p>}
+    </div>
+  );
+}
+
+export default MaintenanceCalendar;
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { FiCheckCircle, FiTool } from 'react-icons/fi';
+import api from '../api';
+import { useAuth } from '../auth';
+
+const emptyForm = { technician: '', componentId: '', notes: '', downtimeMinutes: '', parts: '' };
+
+// "BRG-6204 x2, Oil filter" -> [{ partNumber: 'BRG-6204', quantity: 2 }, ...]
+function parseParts(text) {
+  return text
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(.*?)\s*x\s*(\d+)$/i);
+      return match
+        ? { partNumber: match[1], quantity: parseInt(match[2], 10) }
+        : { partNumber: entry, quantity: 1 };
+    });
+}
+
+// Work on one component reschedules that component; without one, the machine.
+function MaintenanceHistory({ machineId, components = [], onMachineUpdated }) {
+  const [orders, setOrders] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const { can } = useAuth();
+
+  useEffect(() => {
+    setOrders([]);
+    setForm(emptyForm);
+    if (!machineId) return;
+    api.get(`/machines/${machineId}/work-orders`)
+      .then(response => setOrders(response.data))
+      .catch(error => console.error('Failed to fetch work orders:', error));
+  }, [machineId]);
+
+  const componentName = (id) => (components.find(c => c.id === id) || {}).name;
+
+  const handleComplete = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post(`/machines/${machineId}/work-orders`, {
+        status: 'completed',
+        technician: form.technician,
+        componentId: form.componentId || null,
+        notes: form.notes,
+        downtimeMinutes: Number(form.downtimeMinutes) || 0,
+        partsUsed: parseParts(form.parts)
+      });
+      setOrders([response.data.workOrder, ...orders]);
+      onMachineUpdated(response.data.machine);
+      setForm(emptyForm);
+      setShowForm(false);
+    } catch (error) {
+      console.error('Failed to record maintenance:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card history-card">
+      <div className="card-header">
+        <h3><FiTool /> Service history</h3>
+        {can('technician') && (
+          <button className="ghost-button" onClick={() => setShowForm(!showForm)}>
+            <FiCheckCircle /> Mark maintenance done
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form className="form-grid" onSubmit={handleComplete}>
+          <label>
+            Technician
+            <input
+              value={form.technician}
+              onChange={e => setForm({ ...form, technician: e.target.value })}
+            />
+          </label>
+          {components.length > 0 && (
+            <label>
+              Component
+              <select value={form.componentId} onChange={e => setForm({ ...form, componentId: e.target.value })}>
+                <option value="">Whole machine</option>
+                {components.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </label>
+          )}
+          <label>
+            Downtime (minutes)
+            <input
+              type="number"
+              min="0"
+              value={form.downtimeMinutes}
+              onChange={e => setForm({ ...form, downtimeMinutes: e.target.value })}
+            />
+          </label>
+          <label className="full-width">
+            Parts used
+            <input
+              placeholder={form.componentId ? 'BRG-6204 x2, Oil filter' : 'BRG-6204 x2, Oil filter (empty: the bill of materials)'}
+              value={form.parts}
+              onChange={e => setForm({ ...form, parts: e.target.value })}
+            />
+          </label>
+          <label className="full-width">
+            Notes
+            <input
+              value={form.notes}
+              onChange={e => setForm({ ...form, notes: e.target.value })}
+            />
+          </label>
+          <button type="submit" className="primary-button" disabled={saving}>
+            {saving ? 'Saving...' : 'Record maintenance'}
+          </button>
+        </form>
+      )}
+
+      {orders.length === 0 ? (
+        <p className="empty">No maintenance recorded yet.</p>
+      ) : (
+        <ol className="timeline">
+          {orders.map(order => (
+            <li key={order.id} className={`timeline-item status-${order.status}`}>
+              <div className="timeline-head">
+                <strong>
+                  {order.title}
+                  {componentName(order.componentId) && ` – ${componentName(order.componentId)}`}
+                </strong>
+                <span className="pill">{order.status}</span>
+              </div>
+              <div className="timeline-meta">
+                {new Date(order.completedAt || order.createdAt).toLocaleString()}
+                {order.technician && ` • ${order.technician}`}
+                {order.downtimeMinutes > 0 && ` • ${order.downtimeMinutes} min downtime`}
+              </div>
+              {order.partsUsed.length > 0 && (
+                <div className="timeline-meta">
+                  Parts: {order.partsUsed.map(p => `${p.partNumber} ×${p.quantity}`).join(', ')}
+                </div>
+              )}
+              {(order.stockTaken || []).some(t => t.short > 0) && (
+                <div className="timeline-meta form-error">
+                  Not in stock: {order.stockTaken.filter(t => t.short > 0).map(t => `${t.partNumber} ×${t.short}`).join(', ')}
+                </div>
+              )}
+              {order.notes && <p>{order.notes}</p>}
+              {order.status === 'completed' && order.nextMaintenanceDate && (
+                <div className="timeline-meta">
+                  Rescheduled to {new Date(order.nextMaintenanceDate).toLocaleDateString()}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default MaintenanceHistory;
@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiAlertTriangle, FiEdit2, FiPackage, FiPlus, FiRefreshCw, FiSave, FiTrash2, FiX } from 'react-icons/fi';
+import { fieldErrors, errorMessage } from '../api';
+import { createPart, deletePart, fetchShortfalls, listParts, updatePart } from '../partsApi';
+import { useLiveEvents } from '../liveStream';
+import { useAuth } from '../auth';
+
+const emptyPart = { partNumber: '', description: '', quantityOnHand: '', reorderLevel: '', location: '' };
+
+const REFRESH_DELAY_MS = 1000;
+
+// Number inputs hand back text; empty counts as zero.
+function partForSave(form) {
+  return {
+    partNumber: form.partNumber,
+    description: form.description,
+    quantityOnHand: Number(form.quantityOnHand) || 0,
+    reorderLevel: Number(form.reorderLevel) || 0,
+    location: form.location
+  };
+}
+
+function PartFields({ form, errors, onChange }) {
+  const set = field => e => onChange({ ...form, [field]: e.target.value });
+  const invalid = field => (errors[field] ? 'invalid' : undefined);
+  return (
+    <>
+      <td><input required className={invalid('partNumber')} placeholder="BRG-6205" value={form.partNumber} onChange={set('partNumber')} /></td>
+      <td><input className={invalid('description')} placeholder="Spindle bearing" value={form.description} onChange={set('description')} /></td>
+      <td><input className={invalid('location')} placeholder="Shelf A3" value={form.location} onChange={set('location')} /></td>
+      <td><input type="number" min="0" step="1" className={invalid('quantityOnHand')} value={form.quantityOnHand} onChange={set('quantityOnHand')} /></td>
+      <td><input type="number" min="0" step="1" className={invalid('reorderLevel')} value={form.reorderLevel} onChange={set('reorderLevel')} /></td>
+    </>
+  );
+}
+
+/**
+ * The spare parts store: stock per part against its reorder level and what
+ * maintenance due within the backend's lookahead will take, plus the
+ * upcoming maintenance whose parts are not all in stock. Managers edit parts
+ * in place.
+ */
+function PartsInventory({ onSelect }) {
+  const [parts, setParts] = useState(null);
+  const [shortfalls, setShortfalls] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyPart);
+  const [adding, setAdding] = useState(emptyPart);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const refreshTimer = useRef(null);
+  const { can } = useAuth();
+
+  const fetchAll = async () => {
+    try {
+      const [partList, forecast] = await Promise.all([listParts(), fetchShortfalls()]);
+      setParts(partList);
+      setShortfalls(forecast);
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(errorMessage(error, 'Could not load the parts inventory'));
+    }
+  };
+
+  useEffect(() => {
+    fetchAll();
+    return () => clearTimeout(refreshTimer.current);
+  }, []);
+
+  // Stock moves when maintenance is recorded, and due dates move with it.
+  useLiveEvents((type) => {
+    if (type !== 'parts.changed' && !type.startsWith('machine.')) return;
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(fetchAll, REFRESH_DELAY_MS);
+  });
+
+  const run = async (action, fallback) => {
+    setBusy(true);
+    setErrors({});
+    setMessage(null);
+    try {
+      await action();
+      await fetchAll();
+      return true;
+    } catch (error) {
+      setErrors(fieldErrors(error));
+      setMessage(errorMessage(error, fallback));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await run(() => createPart(partForSave(adding)), 'Could not add the part')) setAdding(emptyPart);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (await run(() => updatePart(editing, partForSave(form)), 'Could not save the part')) setEditing(null);
+  };
+
+  const startEdit = (part) => {
+    setEditing(part.id);
+    setErrors({});
+    setForm({ ...part });
+  };
+
+  if (loadError && !parts) {
+    return (
+      <div className="card parts-inventory">
+        <p className="form-error">{loadError}</p>
+        <button className="ghost-button" onClick={fetchAll}><FiRefreshCw /> Retry</button>
+      </div>
+    );
+  }
+  if (!parts) {
+    return <div className="card parts-inventory"><p className="empty">Loading parts…</p></div>;
+  }
+
+  const short = shortfalls ? shortfalls.machines.filter(m => m.shortfall) : [];
+  const low = parts.filter(p => p.low).length;
+
+  return (
+    <div className="card parts-inventory">
+      <div className="card-header">
+        <h3><FiPackage /> Spare parts</h3>
+        <span className="count">{parts.length}</span>
+        {low > 0 && <span className="status-pill" style={{ backgroundColor: '#f97316' }}>{low} at or below reorder level</span>}
+        <div className="card-actions">
+          <button className="icon-button" title="Refresh" onClick={fetchAll}><FiRefreshCw /></button>
+        </div>
+      </div>
+
+      {shortfalls && (
+        <div className="parts-shortfalls">
+          <strong><FiAlertTriangle /> Maintenance in the next {shortfalls.days} days</strong>
+          {short.length === 0 ? (
+            <p className="subtext">
+              {shortfalls.machines.length === 0
+                ? 'No upcoming maintenance has a bill of materials.'
+                : `Parts for all ${shortfalls.machines.length} upcoming maintenance jobs are in stock.`}
+            </p>
+          ) : (
+            <ul>
+              {short.map(m => (
+                <li key={m.machineId}>
+                  <button className="link-button" onClick={() => onSelect(m.machineId)}>{m.name}</button>
+                  {' '}due {new Date(m.nextMaintenanceDate).toLocaleDateString()}: short{' '}
+                  {m.items.filter(i => i.short > 0).map(i => `${i.partNumber} ×${i.short}`).join(', ')}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {message && <p className="form-error">{message}</p>}
+
+      {/* One form: while a row is being edited the add row is hidden and Enter saves the edit. */}
+      <form onSubmit={editing ? handleSave : handleAdd}>
+        <table className="parts-table">
+          <thead>
+            <tr>
+              <th>Part number</th>
+              <th>Description</th>
+              <th>Location</th>
+              <th>On hand</th>
+              <th>Reorder at</th>
+              <th title="Needed by maintenance due in the lookahead window">Reserved</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {parts.map(part => (editing === part.id ? (
+              <tr key={part.id} className="editing">
+                <PartFields form={form} errors={errors} onChange={setForm} />
+                <td>{part.reserved}</td>
+                <td className="row-actions">
+                  <button type="submit" className="icon-button" title="Save" disabled={busy}><FiSave /></button>
+                  <button type="button" className="icon-button" title="Cancel" onClick={() => setEditing(null)}><FiX /></button>
+                </td>
+              </tr>
+            ) : (
+              <tr key={part.id} className={part.low ? 'low' : undefined}>
+                <td><code>{part.partNumber}</code></td>
+                <td>{part.description}</td>
+                <td>{part.location}</td>
+                <td>
+                  {part.quantityOnHand}
+                  {part.low && <span className="status-pill" style={{ backgroundColor: '#f97316' }}>Low</span>}
+                </td>
+                <td>{part.reorderLevel}</td>
+                <td className={part.reserved > part.quantityOnHand ? 'short' : undefined}>{part.reserved}</td>
+                <td className="row-actions">
+                  {can('manager') && !editing && (
+                    <>
+                      <button type="button" className="icon-button" title="Edit" onClick={() => startEdit(part)}><FiEdit2 /></button>
+                      <button
+                        type="button"
+                        className="icon-button delete"
+                        title="Delete part"
+                        disabled={busy}
+                        onClick={() => run(() => deletePart(part.id), 'Could not delete the part')}
+                      >
+                        <FiTrash2 />
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            )))}
+            {parts.length === 0 && (
+              <tr><td colSpan={7} className="empty">No parts yet.</td></tr>
+            )}
+          </tbody>
+          {can('manager') && !editing && (
+            <tfoot>
+              <tr>
+                <PartFields form={adding} errors={errors} onChange={setAdding} />
+                <td />
+                <td className="row-actions">
+                  <button type="submit" className="icon-button" title="Add part" disabled={busy}><FiPlus /></button>
+                </td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </form>
+    </div>
+  );
+}
+
+export default PartsInventory;
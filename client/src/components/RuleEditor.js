@@ -0,0 +1,117 @@
+import React from 'react';
+import { FiBell, FiPlus, FiX } from 'react-icons/fi';
+
+// Edits a machine's alert rules. With no rules the backend alarms on the
+// first reading past a channel's min or max, so the list starts empty.
+// `errors` are the API's field errors for the rules under `path`.
+function RuleEditor({ rules, channels, onChange, errors = {}, path = 'alertRules' }) {
+  const update = (index, field, value) => {
+    onChange(rules.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+  };
+
+  const invalid = (index, field) => (errors[`${path}.${index}.${field}`] ? 'invalid' : undefined);
+  const rowErrors = (index) => Object.entries(errors)
+    .filter(([field]) => field.startsWith(`${path}.${index}.`))
+    .map(([, message]) => message);
+
+  const addRule = () => {
+    const channel = channels[0] || {};
+    onChange([...rules, {
+      channel: channel.key || '',
+      operator: 'above',
+      value: channel.max ?? '',
+      severity: 'warning',
+      forReadings: 3,
+      forMinutes: 0,
+      hysteresis: 0
+    }]);
+  };
+
+  return (
+    <div className="thresholds rule-editor">
+      <p><FiBell /> Alert rules</p>
+      {rules.length === 0 ? (
+        <p className="subtext">No custom rules: any reading past a channel's min or max raises a critical alert.</p>
+      ) : (
+        <div className="rule-row rule-row-head">
+          <span>Channel</span>
+          <span>Severity</span>
+          <span>When</span>
+          <span>Value</span>
+          <span>Readings</span>
+          <span>Minutes</span>
+          <span>Clear band</span>
+          <span />
+        </div>
+      )}
+      {rules.map((rule, index) => (
+        <React.Fragment key={index}>
+          <div className="rule-row">
+            <select className={invalid(index, 'channel')} value={rule.channel} onChange={e => update(index, 'channel', e.target.value)}>
+              {channels.map(c => (
+                <option key={c.key} value={c.key}>{c.name || c.key}</option>
+              ))}
+            </select>
+            <select value={rule.severity} onChange={e => update(index, 'severity', e.target.value)}>
+              <option value="warning">Warning</option>
+              <option value="critical">Critical</option>
+            </select>
+            <select value={rule.operator} onChange={e => update(index, 'operator', e.target.value)}>
+              <option value="above">Above</option>
+              <option value="below">Below</option>
+            </select>
+            <input
+              required
+              type="number"
+              step="any"
+              className={invalid(index, 'value')}
+              value={rule.value}
+              onChange={e => update(index, 'value', e.target.value)}
+            />
+            <input
+              type="number"
+              min="1"
+              className={invalid(index, 'forReadings')}
+              title="Consecutive readings past the value before the rule fires"
+              value={rule.forReadings}
+              onChange={e => update(index, 'forReadings', e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              className={invalid(index, 'forMinutes')}
+              title="Minutes the condition must last before the rule fires"
+              value={rule.forMinutes}
+              onChange={e => update(index, 'forMinutes', e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              className={invalid(index, 'hysteresis')}
+              title="How far back inside the value a reading must be before the alert clears"
+              value={rule.hysteresis}
+              onChange={e => update(index, 'hysteresis', e.target.value)}
+            />
+            <button
+              type="button"
+              className="icon-button delete"
+              title="Remove rule"
+              onClick={() => onChange(rules.filter((_, i) => i !== index))}
+            >
+              <FiX />
+            </button>
+          </div>
+          {rowErrors(index).map(message => <p key={message} className="field-error">{message}</p>)}
+        </React.Fragment>
+      ))}
+      {errors[path] && <p className="field-error">{errors[path]}</p>}
+      <button type="button" className="ghost-button" onClick={addRule} disabled={channels.length === 0}>
+        <FiPlus /> Add rule
+      </button>
+    </div>
+  );
+}
+
+export default RuleEditor;
@@ -0,0 +1,133 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { FiPlay, FiSquare, FiZap } from 'react-icons/fi';
+import api from '../api';
+
+const faultLabels = {
+  drift: 'Bearing wear drift',
+  spikes: 'Spikes',
+  dropouts: 'Dropouts',
+  stuck: 'Stuck values'
+};
+
+const emptyForm = { seed: '', intervalMs: 2000, timeScale: 60, faults: [] };
+
+// Demo and test readings without hardware; they take the same path as a real sensor's.
+function SimulatorPanel({ machineId }) {
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = useCallback(() => api.get(`/machines/${machineId}/simulator`)
+    .then(response => setStatus(response.data))
+    .catch(err => console.error('Failed to fetch simulator status:', err)), [machineId]);
+
+  useEffect(() => {
+    setStatus(null);
+    setError(null);
+    if (!machineId) return;
+    fetchStatus();
+  }, [machineId, fetchStatus]);
+
+  useEffect(() => {
+    if (!status?.running) return;
+    const timer = setInterval(fetchStatus, 5000);
+    return () => clearInterval(timer);
+  }, [status?.running, fetchStatus]);
+
+  const config = () => ({
+    ...(form.seed !== '' ? { seed: Number(form.seed) } : {}),
+    intervalMs: Number(form.intervalMs),
+    timeScale: Number(form.timeScale),
+    faults: form.faults
+  });
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      await request();
+      await fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Simulator request failed');
+    }
+  };
+
+  const toggleFault = (fault) => {
+    const faults = form.faults.includes(fault)
+      ? form.faults.filter(f => f !== fault)
+      : [...form.faults, fault];
+    setForm({ ...form, faults });
+  };
+
+  return (
+    <div className="card simulator-card">
+      <div className="card-header">
+        <h3><FiZap /> Simulator</h3>
+        <div className="card-actions">
+          {status?.running ? (
+            <button className="ghost-button" onClick={() => run(() => api.post(`/machines/${machineId}/simulator/stop`))}>
+              <FiSquare /> Stop
+            </button>
+          ) : (
+            <button className="ghost-button" onClick={() => run(() => api.post(`/machines/${machineId}/simulator/start`, config()))}>
+              <FiPlay /> Start
+            </button>
+          )}
+        </div>
+      </div>
+
+      {status?.running ? (
+        <p className="simulator-status">
+          Running with seed {status.config.seed}: {status.readings} readings, {status.modelHours} h of model time,
+          {' '}{status.alerts} alerts{status.config.faults.length > 0 && `, faults: ${status.config.faults.map(f => faultLabels[f]).join(', ')}`}
+          {status.error && <span className="form-error"> Last error: {status.error}</span>}
+        </p>
+      ) : (
+        <div className="simulator-form">
+          <label>
+            Seed
+            <input
+              type="number"
+              min="0"
+              placeholder="random"
+              value={form.seed}
+              onChange={e => setForm({ ...form, seed: e.target.value })}
+            />
+          </label>
+          <label>
+            Interval (ms)
+            <input
+              type="number"
+              min="500"
+              value={form.intervalMs}
+              onChange={e => setForm({ ...form, intervalMs: e.target.value })}
+            />
+          </label>
+          <label title="Model time per real time, so wear and daily cycles show up in a short demo">
+            Speed-up
+            <input
+              type="number"
+              min="1"
+              value={form.timeScale}
+              onChange={e => setForm({ ...form, timeScale: e.target.value })}
+            />
+          </label>
+          <div className="fault-options">
+            {Object.keys(faultLabels).map(fault => (
+              <label key={fault}>
+                <input
+                  type="checkbox"
+                  checked={form.faults.includes(fault)}
+                  onChange={() => toggleFault(fault)}
+                />
+                {faultLabels[fault]}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+}
+
+export default SimulatorPanel;
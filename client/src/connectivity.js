@@ -0,0 +1,28 @@
+// Mirrors backend/watchdog.js: whether a machine's readings are arriving,
+// separate from whether its maintenance is due.
+export const connectivityStates = {
+  online: { label: 'Online', color: '#22c55e' },
+  stale: { label: 'Stale', color: '#eab308' },
+  offline: { label: 'Offline', color: '#6b7280' }
+};
+
+/** The machine's connectivity state, or null when the backend hasn't reported one. */
+export function connectivityOf(machine) {
+  const state = machine && machine.connectivity && machine.connectivity.state;
+  return state ? { state, ...connectivityStates[state] } : null;
+}
+
+/** Tooltip text: when the last reading came in and which channels have gone quiet. */
+export function describeConnectivity(connectivity) {
+  if (!connectivity) return '';
+  const last = connectivity.lastReadingAt
+    ? `Last reading ${new Date(connectivity.lastReadingAt).toLocaleString()}`
+    : 'No readings yet';
+  const quiet = Object.entries(connectivity.channels || {})
+    .filter(([, channel]) => channel.state !== 'online')
+    .map(([key, channel]) => `${key} ${channel.state}`);
+  return [
+    `${last} (expected every ${connectivity.expectedIntervalSeconds} s)`,
+    ...(quiet.length > 0 && connectivity.state !== 'offline' ? [`Channels: ${quiet.join(', ')}`] : [])
+  ].join('\n');
+}
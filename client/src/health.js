@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import api from './api';
+
+const POLL_MS = 30000;
+const TIMEOUT_MS = 5000;
+
+/**
+ * Polls GET /api/health and reports
+ * `{ state: 'checking' | 'connected' | 'unreachable' | 'error', storage, machines, checkedAt }`.
+ * `unreachable` means no response at all (server down, wrong URL, CORS);
+ * `error` means the backend answered but not with a healthy status. A
+ * change in `recheckOn` (e.g. the live stream dropping) checks again at once.
+ */
+export function useBackendHealth(recheckOn) {
+  const [health, setHealth] = useState({ state: 'checking' });
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const check = () => {
+      api.get('/health', { timeout: TIMEOUT_MS })
+        .then(response => {
+          if (cancelled) return;
+          const { status, storage, machines } = response.data;
+          setHealth({ state: status === 'ok' ? 'connected' : 'error', storage, machines, checkedAt: new Date() });
+        })
+        .catch(error => {
+          if (cancelled) return;
+          setHealth({ state: error.response ? 'error' : 'unreachable', checkedAt: new Date() });
+        })
+        .finally(() => {
+          if (!cancelled) timer = setTimeout(check, POLL_MS);
+        });
+    };
+
+    check();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [recheckOn]);
+
+  return health;
+}
@@ -2,10 +2,15 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { AuthProvider, RequireLogin } from './auth';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthProvider>
+      <RequireLogin>
+        <App />
+      </RequireLogin>
+    </AuthProvider>
   </React.StrictMode>
 );
\ No newline at end of file
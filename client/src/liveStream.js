@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState } from 'react';
+import api, { getToken } from './api';
+
+const EVENT_TYPES = ['vital', 'vitals.backfilled', 'connectivity', 'abnormal', 'recovered', 'alert', 'machine.created', 'machine.updated', 'machine.deleted', 'assets.changed', 'parts.changed'];
+const MAX_RETRY_MS = 30000;
+
+// One shared EventSource for the whole dashboard; components subscribe to it
+// through the hooks below instead of opening their own connections.
+const listeners = new Set();
+const statusListeners = new Set();
+let source = null;
+let status = 'connecting';
+let retryMs = 1000;
+let retryTimer = null;
+let lastEventId = 0;
+
+function setStatus(next) {
+  status = next;
+  statusListeners.forEach(fn => fn(next));
+}
+
+function connect() {
+  retryTimer = null;
+  // EventSource can't send an Authorization header, so the token rides in the URL.
+  const params = new URLSearchParams({ access_token: getToken() || '' });
+  if (lastEventId) params.set('lastEventId', lastEventId);
+  source = new EventSource(`${api.defaults.baseURL}/stream?${params}`);
+
+  source.onopen = () => {
+    retryMs = 1000;
+    setStatus('live');
+  };
+
+  // The browser retries on its own while the stream is merely interrupted;
+  // once it gives up (CLOSED) we reconnect ourselves with backoff.
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      source = null;
+      setStatus('offline');
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    } else {
+      setStatus('reconnecting');
+    }
+  };
+
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (e) => {
+      lastEventId = parseInt(e.lastEventId, 10) || lastEventId;
+      const data = JSON.parse(e.data);
+      listeners.forEach(fn => fn(type, data));
+    });
+  });
+}
+
+function retain() {
+  if (!source && !retryTimer) connect();
+}
+
+function release() {
+  if (listeners.size > 0 || statusListeners.size > 0) return;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (source) source.close();
+  source = null;
+  setStatus('connecting');
+}
+
+/** Calls `handler(type, data)` for every event pushed by the backend. */
+export function useLiveEvents(handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    const fn = (type, data) => handlerRef.current(type, data);
+    listeners.add(fn);
+    retain();
+    return () => {
+      listeners.delete(fn);
+      release();
+    };
+  }, []);
+}
+
+/** 'connecting' | 'live' | 'reconnecting' | 'offline' */
+export function useStreamStatus() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    statusListeners.add(setCurrent);
+    retain();
+    setCurrent(status);
+    return () => {
+      statusListeners.delete(setCurrent);
+      release();
+    };
+  }, []);
+
+  return current;
+}
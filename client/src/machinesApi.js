@@ -0,0 +1,61 @@
+import api from './api';
+
+// The machine endpoints the dashboard uses, unwrapped to their response
+// bodies. Failures reject with the axios error, so callers can hand it to
+// `fieldErrors` / `errorMessage`.
+
+export async function listMachines() {
+  const response = await api.get('/machines');
+  return response.data;
+}
+
+export async function createMachine(body) {
+  const response = await api.post('/machines', body);
+  return response.data;
+}
+
+export async function updateMachine(id, body) {
+  const response = await api.put(`/machines/${id}`, body);
+  return response.data;
+}
+
+export async function deleteMachine(id) {
+  await api.delete(`/machines/${id}`);
+}
+
+export async function fetchPrediction(id) {
+  const response = await api.get(`/machines/${id}/prediction`);
+  return response.data;
+}
+
+/** The newest stored reading, or null when the machine has none yet. */
+export async function fetchLatestVital(id) {
+  const response = await api.get(`/machines/${id}/vitals`, { params: { limit: 1 } });
+  return response.data[0] || null;
+}
+
+/**
+ * Readings since `from` averaged into `bucket`-sized points, flattened to
+ * `{ timestamp, count, [channel]: average }` for the chart.
+ */
+export async function fetchTrend(id, { from, bucket }) {
+  const response = await api.get(`/machines/${id}/vitals`, { params: { from, bucket, agg: 'avg' } });
+  return response.data.points.map(({ timestamp, count, ...metrics }) => {
+    const point = { timestamp, count };
+    Object.keys(metrics).forEach(key => {
+      point[key] = metrics[key].avg;
+    });
+    return point;
+  });
+}
+
+/** How many stored readings would breach the machine's current limits and `limits`. */
+export async function previewRules(id, limits, limit) {
+  const response = await api.post(`/machines/${id}/rules/preview`, limits, { params: { limit } });
+  return response.data;
+}
+
+export async function fetchAudit(id, params) {
+  const response = await api.get(`/machines/${id}/audit`, { params });
+  return response.data;
+}
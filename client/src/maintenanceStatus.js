@@ -0,0 +1,13 @@
+// Maintenance buckets shared by the machine list and the calendar; the
+// backend's fleet summary uses the same bands (backend/fleet.js).
+export function statusForMachine(machine) {
+  if (!machine.nextMaintenanceDate) return { label: 'Unknown', color: '#6b7280' };
+  const due = new Date(machine.nextMaintenanceDate);
+  const now = new Date();
+  const diffDays = (due - now) / (1000 * 60 * 60 * 24);
+
+  if (diffDays < 0) return { label: 'Overdue', color: '#ef4444' };
+  if (diffDays <= 3) return { label: 'Due soon', color: '#f97316' };
+  if (diffDays <= 7) return { label: 'Planned', color: '#eab308' };
+  return { label: 'OK', color: '#22c55e' };
+}
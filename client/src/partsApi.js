@@ -0,0 +1,40 @@
+import api from './api';
+
+// Spare parts, per-machine bills of materials and the shortfall forecast,
+// unwrapped like machinesApi.
+
+export async function listParts() {
+  const response = await api.get('/parts');
+  return response.data;
+}
+
+export async function createPart(body) {
+  const response = await api.post('/parts', body);
+  return response.data;
+}
+
+export async function updatePart(id, body) {
+  const response = await api.put(`/parts/${id}`, body);
+  return response.data;
+}
+
+export async function deletePart(id) {
+  await api.delete(`/parts/${id}`);
+}
+
+/** Maintenance due within `days` that has a bill of materials, with what is short. */
+export async function fetchShortfalls(days) {
+  const response = await api.get('/parts/shortfalls', { params: { days } });
+  return response.data;
+}
+
+/** The machine's bill of materials as its next maintenance would draw on stock. */
+export async function fetchBom(machineId) {
+  const response = await api.get(`/machines/${machineId}/bom`);
+  return response.data;
+}
+
+export async function saveBom(machineId, items) {
+  const response = await api.put(`/machines/${machineId}/bom`, { items });
+  return response.data;
+}